@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/*
+ * QORECSS BIN - `qorecss <command>`
+ *
+ * Thin launcher for lib/cli.js so the parsing and commands stay testable
+ * without spawning processes. See `qorecss --help` for commands and exit codes.
+ */
+
+const {main} = require('../lib/cli'); // argument parsing and subcommands
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; }); // exit code documented in lib/cli.js
@@ -22,6 +22,68 @@
  * providing an intuitive API for developers familiar with modern npm packages.
  */
 
+/*
+ * DIAGNOSTIC LOGGER
+ *
+ * DESIGN RATIONALE:
+ * Node and bundlers load the shared leveled logger from lib/log.js. A plain
+ * <script> tag, or a copy of index.js without lib/, cannot require it, so a
+ * minimal twin honouring the same QORECSS_LOG_LEVEL, data-qorecss-debug and
+ * data-qorecss-log-format settings is built inline. Both stay at warn until
+ * configured, keeping the entry/return trace quiet.
+ */
+const log = loadLog(); // shared logger wherever modules resolve
+
+function loadLog(){ // picks lib/log.js when it can be required
+ if(typeof require === 'function'){ try { return require('./lib/log'); } catch { /* index.js copied without lib/ */ } } // bundlers and Node
+ return inlineLog(); // classic <script> or standalone copy
+}
+
+function inlineLog(){ // script-tag logger mirroring lib/log.js levels
+ const levels = ['silent', 'error', 'warn', 'info', 'debug']; // same order as lib/log.js
+ const configured = settingLevel(); // resolved once at load, the qorecss <script> is in the document by then
+ const json = setting('QORECSS_LOG_FORMAT', 'data-qorecss-log-format') === 'json'; // output style, resolved with the level
+ let override = null; // level forced through setLevel()
+
+ function setting(envName, attrName){ // Node variable first, then the first element carrying the attribute
+  if(typeof process !== 'undefined' && process.env && process.env[envName]){ return String(process.env[envName]).toLowerCase(); } // standalone copies under Node
+  const el = typeof document !== 'undefined' && document.querySelector ? document.querySelector(`[${attrName}]`) : null; // usually the qorecss <script>
+  return el ? el.getAttribute(attrName) : null; // empty string when present without a value
+ }
+
+ function settingLevel(){ // level requested through QORECSS_LOG_LEVEL or data-qorecss-debug
+  const value = setting('QORECSS_LOG_LEVEL', 'data-qorecss-debug'); // raw setting
+  if(value === '' || value === 'true'){ return 'debug'; } // bare flag means full trace
+  return levels.includes(value) ? value : 'warn'; // unknown values keep the default
+ }
+
+ function getLevel(){ // active level after applying the override
+  return override || configured; // setLevel() wins over the load-time setting
+ }
+
+ function enabled(level){ // true when messages at level would be written
+  return levels.indexOf(level) > 0 && levels.indexOf(level) <= levels.indexOf(getLevel()); // silent is never a message level
+ }
+
+ function write(level){ // logger method for one level
+  const method = console[level] ? level : 'log'; // older consoles lack debug/info
+  return (msg, data) => { // emits one record when level is enabled
+   if(!enabled(level)){ return; } // disabled trace costs one comparison
+   if(json){ console[method](JSON.stringify({time: new Date().toISOString(), level, name: 'qorecss', msg: String(msg), data})); return; } // one JSON document per line
+   if(data === undefined){ console[method](`[qorecss] ${msg}`); } else { console[method](`[qorecss] ${msg}`, data); } // prefix identifies the source
+  };
+ }
+
+ function setLevel(level){ // forces a level until reset with setLevel(null)
+  if(level == null){ override = null; return getLevel(); } // clears the override
+  if(!levels.includes(level)){ throw new Error(`Unknown log level ${level}, expected one of ${levels.join(', ')}`); } // same contract as lib/log.js
+  override = level; // applies to every later call
+  return level; // confirms the active level
+ }
+
+ return {debug: write('debug'), info: write('info'), warn: write('warn'), error: write('error'), setLevel, getLevel, enabled, levels}; // lib/log.js shape
+}
+
 /*
  * MAIN EXPORT OBJECT CONSTRUCTION
  *
@@ -31,18 +93,78 @@
  * export keeps the code flexible for the conditional logic below.
  */
 function safeResolve(file){ // resolves path when require is present or falls back to file
- console.log(`safeResolve is running with ${file}`); // entry log for debug visibility
+ log.debug(`safeResolve is running with ${file}`); // entry log for debug visibility
  try { // ensures error handling
   if(typeof require==='function' && require.resolve){ // checks for CommonJS require availability
    const resolved = require.resolve(file); // resolves absolute path via Node
-   console.log(`safeResolve is returning ${resolved}`); // logs resolved path
+   log.debug(`safeResolve is returning ${resolved}`); // logs resolved path
    return resolved; // returns resolved path when in Node
   }
- } catch(err){ console.error('safeResolve failed:', err.message); } // logs unexpected errors
- console.log(`safeResolve is returning ${file}`); // logs fallback path for browsers
+ } catch(err){ log.error('safeResolve failed:', err.message); } // logs unexpected errors
+ log.debug(`safeResolve is returning ${file}`); // logs fallback path for browsers
  return file; // returns plain path when require unavailable
 }
 
+/*
+ * BUILD METADATA
+ *
+ * DESIGN RATIONALE:
+ * Bug reports need the exact build a page or server runs. scripts/build.js
+ * rewrites this line with the package.json version, the content hash, the
+ * build time and the byte sizes of every emitted file, so the same data is
+ * available from require('qorecss') and the window.qorecss global.
+ */
+const buildInfo = {"version":"1.0.1","hash":"5c7df4d0","builtAt":null,"files":{}}; // regenerated by scripts/build.js on every build
+Object.freeze(buildInfo.files); // sizes describe shipped files and must not be edited at runtime
+Object.freeze(buildInfo); // consumers read but never change build metadata
+
+/*
+ * THEME VARIABLE WHITELIST
+ *
+ * DESIGN RATIONALE:
+ * Browsers cannot read variables.css synchronously from a script tag, so the
+ * custom property names it defines are embedded here. scripts/build.js rewrites
+ * this line from variables.css on every build, keeping the runtime theming API
+ * from writing properties that the stylesheet never consumes (typos, stale names).
+ */
+const themeVars = ['--gs-lightest','--gs-mid','--gs-dark','--gs-darkest','--color-dominant','--color-two','--color-bright','--transparent-w','--transparent-b','--link','--warn','--sl-color-primary-50','--sl-color-primary-100','--sl-color-primary-200','--sl-color-primary-300','--sl-color-primary-400','--sl-color-primary-500','--sl-color-primary-600','--sl-color-primary-700','--sl-color-primary-800','--sl-color-primary-900','--sl-color-primary-950','--gradient-l2r','--gradient-u2d','--borders-bright','--borders-dominant','--borders-space','--box-glow','--box-glowier','--box-glow-dominant','--box-corners','--bg-body','--bg-btn','--bg-gradient-end','--glow','--glowier','--set-adjustments']; // custom properties defined in variables.css, regenerated during build
+const themeKey = `qorecss-theme`; // localStorage key holding persisted theme overrides
+const schemeKey = `qorecss-scheme`; // localStorage key holding the chosen color scheme mode
+const schemeModes = ['light','dark','auto']; // accepted colorScheme() arguments
+let schemeQuery = null; // active prefers-color-scheme MediaQueryList while in auto mode
+let schemeListener = null; // change handler attached to schemeQuery so it can be detached
+let cssReady = null; // promise settled by injectCss when the stylesheet loads or every candidate fails
+let cssOrigin = null; // {origin, href, attempts} of the last successful injection, read by loadedFrom()
+const cdnOrigins = [`https://cdn.jsdelivr.net/gh/Bijikyu/qoreCSS/`, `https://bijikyu.github.io/qoreCSS/`]; // public mirrors, same pair scripts/performance.js benchmarks
+const cssTimeout = 4000; // ms before a silent origin is abandoned for the next one
+const cssConfig = {}; // injection settings from configure(), overridden by data-qorecss-* attributes
+const configKeys = ['href','media','priority','fallback','variables','nonce','attributes','origins','timeout']; // options configure() accepts
+let cssLink = null; // link element created by the latest injectCss call
+let cssScript = null; // <script> that loaded qorecss, found once at auto-injection
+let cssAbort = null; // cancels the pending fallback chain so configure() can restart it
+let varsAbort = null; // cancels the pending variables.css chain when remove() runs
+let sharedCss = null; // {href, promise} of the CSS text fetched once for every shadow root
+let sharedSheet = null; // constructable CSSStyleSheet adopted by every shadow root
+let sharedSheetCss = null; // text currently in sharedSheet so replaceSync runs only on change
+let sharedStyle = null; // <style> template cloned into shadow roots without constructable stylesheets
+const cssCache = new Map(); // file path to {mtimeMs,size,text} so getCss rereads only when a file changes
+
+/*
+ * BUILD ARTIFACT ERROR
+ * Rationale: getStylesheet() variants depend on scripts/build.js having run.
+ * A dedicated class with a stable code lets SSR servers catch this case and
+ * serve the fallback path carried on the error instead of crashing.
+ */
+class BuildMissingError extends Error { // signals that the build manifest or a hashed artifact is absent
+ constructor(message, file, fallback){
+  super(message); // standard Error message
+  this.name = 'BuildMissingError'; // readable name in stack traces
+  this.code = 'QORECSS_BUILD_MISSING'; // stable code for programmatic checks
+  this.file = file; // path that was expected to exist
+  this.fallback = fallback; // unminified qore.css path callers can serve instead
+ }
+}
+
 const qorecss = { // holds public API properties and helpers
   /*
    * CORE STYLESHEET PATH
@@ -50,6 +172,15 @@ const qorecss = { // holds public API properties and helpers
    * yet still uses require.resolve() under Node for absolute reliability.
    * This supports server-side rendering and bundler builds without ReferenceErrors.
    */
+  /*
+   * BUILD IDENTIFICATION
+   * Rationale: version and buildHash answer "which qoreCSS is this" in one
+   * line; buildInfo adds the build time and emitted file sizes.
+   */
+  version: buildInfo.version, // package.json version at build time
+  buildHash: buildInfo.hash, // 8 character content hash in core.<hash>.min.css
+  buildInfo: buildInfo, // {version, hash, builtAt, files} frozen snapshot written by scripts/build.js
+
   coreCss: safeResolve('./qore.css'), // core CSS path uses safeResolve so browsers without require still work
   
   /*
@@ -65,14 +196,30 @@ const qorecss = { // holds public API properties and helpers
   /*
    * CORE STYLESHEET HELPER FUNCTION
    * Rationale: Function wrapper provides consistent API with other npm packages
-   * and enables future enhancements like parameter-based file variants
-   * (compressed, uncompressed, themed versions, etc.)
-   */
-  getStylesheet: function() {
-    console.log(`getStylesheet is running with`); // entry log for helper call
-    const result = safeResolve('./qore.css'); // resolves path with browser fallback when require missing
-    console.log(`getStylesheet is returning ${result}`); // logs resolved path
-    return result; // returns qore.css path for consistency
+   * and selects built variants on request. Without options it keeps returning
+   * qore.css. With {minified:true} it returns the core.min.css entry of
+   * qore-manifest.json (build.hash for older builds),
+   * and compression ('br' | 'gzip') picks the precompressed sibling so SSR
+   * servers can stream artifacts straight from node_modules. compression
+   * implies minified because only the hashed file is precompressed.
+   */
+  getStylesheet: function(opts = {}) {
+    log.debug(`getStylesheet is running with ${JSON.stringify(opts)}`); // entry log for helper call
+    const compression = opts.compression || null; // null and undefined both mean uncompressed
+    if(compression !== null && !['br','gzip'].includes(compression)){ throw new TypeError(`getStylesheet compression must be 'br', 'gzip' or null`); } // rejects unsupported encodings
+    const fallback = safeResolve('./qore.css'); // unminified source path, also offered when no build exists
+    if(!opts.minified && !compression){ log.debug(`getStylesheet is returning ${fallback}`); return fallback; } // default keeps historical behavior
+    if(typeof require !== 'function' || typeof __dirname === 'undefined'){ throw new Error('getStylesheet build variants require Node.js'); } // browsers cannot read the build manifest
+    const fs = require('fs'); // sync existence check keeps the helper synchronous like the default path
+    const path = require('path'); // joins artifact names onto the package directory
+    const {MANIFEST_FILE, readManifestSync} = require('./lib/manifest'); // qore-manifest.json with build.hash fallback
+    let core; // core.min.css entry of the build next to this file
+    try { core = readManifestSync(__dirname).files['core.min.css']; } catch(err){ if(err.code === 'ENOENT'){ throw new BuildMissingError(`getStylesheet found no ${MANIFEST_FILE} or build.hash; run npm run build or use ${fallback}`, path.join(__dirname, MANIFEST_FILE), fallback); } throw err; } // typed error tells callers exactly how to recover
+    const variant = compression ? (core.compressed || {})[compression === 'br' ? 'brotli' : 'gzip'] || `${core.file}${compression === 'br' ? '.br' : '.gz'}` : core.file; // recorded variant, or build.js naming for legacy builds
+    const result = path.join(__dirname, variant); // artifact produced by build.js
+    if(!fs.existsSync(result)){ throw new BuildMissingError(`getStylesheet found no ${path.basename(result)}; rerun npm run build or use ${fallback}`, result, fallback); } // stale hash or failed compression
+    log.debug(`getStylesheet is returning ${result}`); // logs resolved artifact path
+    return result; // absolute path of the requested build artifact
   },
   
   /*
@@ -82,11 +229,109 @@ const qorecss = { // holds public API properties and helpers
    * future features like variable preprocessing or theme selection.
    */
   getVariables: function() {
-    console.log(`getVariables is running with`); // entry log for helper call
+    log.debug(`getVariables is running with`); // entry log for helper call
     const result = safeResolve('./variables.css'); // resolves path with browser fallback when require missing
-    console.log(`getVariables is returning ${result}`); // logs resolved path
+    log.debug(`getVariables is returning ${result}`); // logs resolved path
     return result; // returns variables.css path
-  }
+  },
+
+  /*
+   * STYLESHEET CONTENT HELPERS
+   * Rationale: Paths alone force every SSR consumer to reimplement reading and
+   * caching. These return CSS text ready for a <style> tag, memoized per file
+   * mtime so edge handlers inline styles without repeated disk reads.
+   */
+  getCss: getCss, // synchronous CSS text for render paths that cannot await
+  getCssAsync: getCssAsync, // promise-based twin that keeps the event loop free
+
+  /*
+   * DESIGN TOKENS AS DATA
+   * Rationale: Documentation and design tooling need variables.css as records
+   * (name, raw and resolved value, category, description). The parser lives in
+   * lib/tokens.js and is required lazily so browser script tags never load it.
+   */
+  getTokens: function(opts = {}) {
+    log.debug(`getTokens is running with ${JSON.stringify(opts)}`); // entry log for helper call
+    if(typeof require !== 'function'){ throw new Error('getTokens requires Node.js'); } // parsing reads variables.css from disk
+    const result = require('./lib/tokens').getTokens(opts); // delegates to shared parser also used by scripts/tokens.js
+    log.debug(`getTokens is returning ${result.length} tokens`); // logs token count rather than full payload
+    return result; // ordered token records
+  },
+
+  /*
+   * SELF-HOSTING MIDDLEWARE
+   * Rationale: Node services without nginx in front need the cache and
+   * compression rules from deployment/nginx.conf. lib/middleware.js returns an
+   * Express/Connect handler applying them; required lazily like getTokens.
+   */
+  middleware: function(opts = {}) {
+    log.debug(`middleware is running with ${JSON.stringify(opts)}`); // entry log for helper call
+    if(typeof require !== 'function'){ throw new Error('middleware requires Node.js'); } // serving reads files from disk
+    const result = require('./lib/middleware').middleware(opts); // delegates to request handler factory
+    log.debug(`middleware is returning ${result.name}`); // logs handler creation
+    return result; // (req, res, next) handler
+  },
+
+  /*
+   * RUNTIME THEMING HELPERS
+   * Rationale: Multi-tenant pages pick brand colors at runtime; these helpers
+   * write the variables.css custom properties onto document.documentElement so
+   * consumers no longer hand-roll style.setProperty calls against raw names.
+   */
+  setTheme: setTheme, // applies validated custom property overrides
+  getTheme: getTheme, // reads current values of every known custom property
+  resetTheme: resetTheme, // clears overrides and any persisted theme
+
+  /*
+   * COLOR SCHEME SWITCH
+   * Rationale: The build emits light tokens under both prefers-color-scheme and
+   * [data-theme="light"]; this helper sets data-theme so users can override the
+   * OS preference or follow it live in auto mode.
+   */
+  colorScheme: colorScheme, // selects light, dark or auto scheme and persists the choice
+
+  /*
+   * LOAD LIFECYCLE
+   * Rationale: injectCss() used to fire and forget; ready() exposes its outcome
+   * and qorecss:load / qorecss:error events are dispatched on document.
+   */
+  ready: ready, // promise resolving with the applied stylesheet href
+  loadedFrom: loadedFrom, // origin, href and attempt history of the stylesheet that applied
+
+  /*
+   * INJECTION CONFIGURATION
+   * Rationale: Strict-CSP and performance-sensitive pages set nonce, media,
+   * fetchpriority, href and fallback behavior without forking the loader.
+   */
+  configure: configure, // programmatic defaults behind data-qorecss-* attributes
+
+  /*
+   * RUNTIME REMOVAL AND RELOAD
+   * Rationale: Micro-frontend hosts unmount apps and swap builds; remove()
+   * drops qore-managed links and reload() replaces the core sheet without a flash.
+   */
+  remove: remove, // removes every data-qorecss-sheet link and cancels pending loads
+  reload: reload, // loads a new core href beside the old one, then removes the old one
+
+  /*
+   * SHADOW DOM SUPPORT
+   * Rationale: Web components render in shadow roots the injected <link> cannot
+   * reach; adoptInto() shares one fetched stylesheet with each of them.
+   */
+  adoptInto: adoptInto, // adds qoreCSS to a shadow root via adoptedStyleSheets or <style>
+
+  /*
+   * DIAGNOSTIC OUTPUT
+   * Rationale: Entry/return trace is hidden at the default warn level; pages
+   * without a data-qorecss-debug attribute can switch it on from the console.
+   */
+  setLogLevel: log.setLevel, // silent, error, warn, info or debug; null restores env/attribute control
+
+  /*
+   * ERROR CLASSES
+   * Rationale: Exposed so callers can use instanceof instead of matching messages.
+   */
+  BuildMissingError: BuildMissingError // thrown when a requested build artifact does not exist
 };
 
 /*
@@ -126,40 +371,690 @@ if (typeof window === 'undefined' && typeof module !== 'undefined' && module.exp
    * with automatic CSS injection, providing an alternative to manual link tags.
    */
   globalThis.qorecss = qorecss; // exposes API for browser usage
+  loadTheme(); // reapplies persisted theme before the stylesheet paints to avoid a default-color flash
+  loadScheme(); // reapplies persisted color scheme choice for the same reason
   injectCss(); // calls helper for dynamic stylesheet injection
 }
 
 function injectCss(){ // handles runtime stylesheet loading logic
- console.log(`injectCss is running with ${document.currentScript && document.currentScript.src}`); // logs entry and script src
+ log.debug(`injectCss is running with ${document.currentScript && document.currentScript.src}`); // logs entry and script src
+ const {settleLoad, settleFail} = startLifecycle(); // fresh ready() promise for this injection
+ cssOrigin = null; // forgets the previous injection's origin
  try {
-  let scriptEl = document.currentScript; // uses current script element when available
-  if(!scriptEl){ // falls back to iterating all script tags when currentScript missing
-   const scripts = Array.from(document.getElementsByTagName('script')); // gathers all script elements for manual search
-   scriptEl = scripts.find(s=>s.src && s.src.toLowerCase().endsWith('index.js')); // finds script with src ending index.js ignoring case
-  }
-  if(!scriptEl){ scriptEl = document.querySelector('[data-qorecss]'); } // detects custom attribute for flexible inclusion
+  const scriptEl = findScript(); // loading script carries base path, nonce and data-qorecss-* settings
   const scriptSrc = scriptEl && scriptEl.src ? scriptEl.src : ''; // avoids errors when element or src missing
 
   const basePath = scriptSrc ? scriptSrc.slice(0, scriptSrc.lastIndexOf('/') + 1) : document.baseURI.slice(0, document.baseURI.lastIndexOf('/') + 1); // removes filename and keeps trailing slash when using document.baseURI
-  console.log(`injectCss basePath ${basePath}`); // logs resolved base path for debugging
+  log.debug(`injectCss basePath ${basePath}`); // logs resolved base path for debugging
 
   const cssFile = `core.5c7df4d0.min.css`; // placeholder replaced during build
+  const cssIntegrity = ``; // sha384 SRI digest of cssFile written during build; empty until a build runs
+  const settings = injectSettings(scriptEl); // data-qorecss-* attributes over configure() values
+  const hrefOverride = settings.href ? new URL(settings.href, document.baseURI).href : ''; // absolute so it compares with link.href
   const links = Array.from(document.head.querySelectorAll('link')); // grabs all current link elements to manage updates
-  links.forEach(l => { const file = (l.getAttribute('href') || '').split('/').pop(); if(file.startsWith('core.') && !file.includes(cssFile)){ l.remove(); console.log(`injectCss removed outdated ${l.href}`); } }); // removes old hashed links that don't match the new hash
-  const existing = links.find(l => l.href.includes(cssFile) || l.href.includes('qore.css')); // searches for prior injection by hashed or fallback name after cleanup
+  links.forEach(l => { const file = (l.getAttribute('href') || '').split('/').pop(); if(file.startsWith('core.') && !file.includes(cssFile) && l.href !== hrefOverride){ l.remove(); log.debug(`injectCss removed outdated ${l.href}`); } }); // removes old hashed links that don't match the new hash
+  const existing = links.find(l => l.href.includes(cssFile) || l.href.includes('qore.css') || (hrefOverride && l.href === hrefOverride)); // searches for prior injection by hashed, fallback or override href after cleanup
+  const origins = originChain(settings.origins, basePath); // ordered base URLs shared by both stylesheets
+  if(settings.variables){ injectVariables(origins, settings, existing); } // tokens must precede the core sheet that consumes them
   if(!existing){ // avoids duplicate injection when link already present
-   const link = document.createElement('link'); // creates stylesheet link element
-   link.rel = 'stylesheet'; // declares relationship to browser
-   link.type = 'text/css'; // MIME type for clarity across tools
-   link.href = `${basePath}${cssFile}`; // resolves href using whichever file exists
-   link.onerror = () => { link.href = `${basePath}qore.css`; console.log(`injectCss fallback to ${link.href}`); }; // swaps to qore.css on load failure
+   const link = createCoreLink(settings); // unattached core link carrying the page settings
+   const candidates = origins.map(o => ({origin: o, files: [{href: `${o}${cssFile}`, integrity: cssIntegrity}, {href: `${o}qore.css`}]})); // hashed file then qore.css on every origin
+   if(hrefOverride){ candidates.unshift({origin: hrefOverride.slice(0, hrefOverride.lastIndexOf('/') + 1), files: [{href: hrefOverride, integrity: hrefOverride.split('/').pop() === cssFile ? cssIntegrity : ''}]}); } // explicit href is tried before the chain
+   if(!settings.fallback){ candidates.splice(1); candidates[0].files.splice(1); } // disable-fallback keeps only the first candidate
+   const abortChain = chainLoad(link, candidates, settings.timeout, (err, record) => {
+    if(cssLink === link){ cssAbort = null; } // chain over, nothing left for configure() to restart
+    if(err){ emitEvent('qorecss:error', {href: record.href, error: err, attempts: record.attempts}); settleFail(err); return; } // notifies listeners and rejects ready()
+    cssOrigin = record; // recorded for loadedFrom()
+    link.setAttribute('data-qorecss-origin', record.origin); // visible in devtools and to CSS selectors
+    emitEvent('qorecss:load', {href: record.href, origin: record.origin, attempts: record.attempts}); settleLoad(record.href); // announces the href that actually applied
+   });
+   cssLink = link; // remembered so configure() can update or replace it
+   cssAbort = next => { abortChain(); next.then(settleLoad, settleFail); }; // restarts hand this lifecycle to the replacement injection
    document.head.appendChild(link); // injects stylesheet into document
-   console.log(`injectCss is returning ${cssFile}`); // logs resolved filename when hashed file loads
+   log.debug(`injectCss is returning ${cssFile}`); // logs resolved filename when hashed file loads
   } else {
-   console.log(`injectCss is returning ${existing.href}`); // logs reuse of previously injected link
+   const existingOrigin = existing.href.slice(0, existing.href.lastIndexOf('/') + 1); // directory the reused link points at
+   const adopt = () => { cssOrigin = {origin: existingOrigin, href: existing.href, attempts: []}; emitEvent('qorecss:load', {href: existing.href, origin: existingOrigin, attempts: []}); settleLoad(existing.href); }; // records reuse like a fresh load
+   if(existing.sheet){ adopt(); } // already applied so ready() resolves immediately
+   else { // link still in flight (or loaded before sheet was exposed) so wait on its events
+    existing.addEventListener('load', adopt, {once: true}); // settles once the pending sheet applies
+    existing.addEventListener('error', () => { const err = new Error(`qorecss stylesheet failed to load from ${existing.href}`); emitEvent('qorecss:error', {href: existing.href, error: err}); settleFail(err); }, {once: true}); // no fallback for links this call did not create
+   }
+   log.debug(`injectCss is returning ${existing.href}`); // logs reuse of previously injected link
+  }
+ } catch(err){
+  log.error('injectCss failed:', err.message); // logs any runtime failure
+  emitEvent('qorecss:error', {href: '', error: err}); settleFail(err); // injection itself broke so ready() must not hang
+ }
+}
+
+/*
+ * INJECTION LIFECYCLE HELPERS
+ * Rationale: injectCss() and reload() both start a new ready() promise,
+ * announce the outcome on document and build core links the same way, so
+ * the steps live here rather than in each caller.
+ */
+function startLifecycle(){ // replaces cssReady and returns its resolvers
+ log.debug(`startLifecycle is running with ${cssReady ? 'previous lifecycle' : 'none'}`); // entry log
+ let settleLoad, settleFail; // resolvers captured so link callbacks can settle the ready() promise
+ cssReady = new Promise((res, rej) => { settleLoad = res; settleFail = rej; }); // fresh lifecycle
+ cssReady.catch(() => {}); // marks rejection handled so pages that never call ready() get no unhandled rejection noise
+ log.debug(`startLifecycle is returning resolvers`); // exit log
+ return {settleLoad, settleFail}; // settle once the link loads or fails
+}
+
+function emitEvent(type, detail){ // dispatches qorecss:* events on document
+ const Evt = (document.defaultView && document.defaultView.CustomEvent) || CustomEvent; // the document's own CustomEvent so dispatch works across realms
+ document.dispatchEvent(new Evt(type, {detail})); // listeners receive href, origin and attempts
+}
+
+function createCoreLink(settings){ // builds an unattached core stylesheet link
+ log.debug(`createCoreLink is running with ${JSON.stringify(settings)}`); // entry log with settings
+ const link = document.createElement('link'); // creates stylesheet link element
+ link.rel = 'stylesheet'; // declares relationship to browser
+ link.type = 'text/css'; // MIME type for clarity across tools
+ link.setAttribute('data-qorecss-sheet', 'core'); // distinguishes the core link from the variables link
+ applyLinkAttrs(link, settings); // nonce, media, fetchpriority and custom attributes before the fetch starts
+ log.debug(`createCoreLink is returning ${link.outerHTML}`); // exit log
+ return link; // caller sets href through chainLoad
+}
+
+/*
+ * CANDIDATE CHAIN LOADING
+ *
+ * DESIGN RATIONALE:
+ * Shared by the core and variables links. Each candidate is an origin with
+ * one or more files; an error moves to the origin's next file (the origin
+ * answered, it just lacks that file) while a timeout skips the whole origin
+ * because it is probably down. done(err, {origin, href, attempts}) runs once.
+ * The returned function cancels the chain for configure() restarts.
+ */
+function chainLoad(link, candidates, timeout, done){ // walks candidates on one link element until a file loads
+ log.debug(`chainLoad is running with ${candidates.length} candidates`); // entry log with chain length
+ const timers = document.defaultView || globalThis; // window timers stop when the document's window closes
+ const attempts = []; // {href, outcome} history reported with events and loadedFrom()
+ let index = 0; // position in candidates
+ let fileIdx = 0; // position in the current candidate's files
+ let timer = null; // pending timeout for the current attempt
+ let settled = false; // ignores late events once the chain finished
+ const finish = () => { settled = true; timers.clearTimeout(timer); }; // stops timers and event handling
+ const attempt = () => { // points the link at the current candidate and arms the timeout
+  const file = candidates[index].files[fileIdx]; // next URL in the chain
+  if(file.integrity){ link.setAttribute('integrity', file.integrity); link.setAttribute('crossorigin', 'anonymous'); } // SRI needs CORS mode on third-party CDNs
+  else { link.removeAttribute('integrity'); link.removeAttribute('crossorigin'); } // digest only matches the hashed file, and CORS mode would fail hosts without Access-Control-Allow-Origin
+  link.href = file.href; // browser rejects the file if the CDN serves altered bytes
+  timers.clearTimeout(timer); // drops the previous attempt's timer
+  if(timeout > 0){ timer = timers.setTimeout(() => advance('timeout'), timeout); } // hung origins count as failures
+ };
+ const advance = outcome => { // records a failed attempt and moves along the chain
+  if(settled){ return; } // late error after success or final failure
+  timers.clearTimeout(timer); // attempt is over either way
+  attempts.push({href: link.href, outcome}); // history for debugging outages
+  if(outcome === 'error' && fileIdx + 1 < candidates[index].files.length){ fileIdx++; } // origin answered but lacks the hashed file, so try its fallback file
+  else { index++; fileIdx = 0; } // timeouts and repeated errors mean the origin is down
+  if(index >= candidates.length){ // every origin exhausted
+   finish(); // stops further handling
+   log.debug(`chainLoad has run resulting in failure at ${link.href}`); // logs exhaustion
+   done(new Error(`qorecss stylesheet failed to load from ${link.href}`), {origin: null, href: link.href, attempts}); // every candidate failed so callers must be told
+   return;
+  }
+  attempt(); // next candidate
+  log.info(`chainLoad fallback to ${link.href} after ${outcome}`); // logs each hop along the chain
+ };
+ link.onload = () => {
+  if(settled){ return; } // ignores loads after the chain gave up
+  finish(); // success ends the chain
+  attempts.push({href: link.href, outcome: 'load'}); // completes the history
+  log.debug(`chainLoad has run resulting in ${link.href}`); // logs the file that applied
+  done(null, {origin: candidates[index].origin, href: link.href, attempts}); // base URL that served the sheet
+ };
+ link.onerror = () => advance('error'); // 404s and integrity failures
+ attempt(); // starts with the first candidate
+ log.debug(`chainLoad is returning cancel function`); // exit log
+ return finish; // cancels the chain
+}
+
+/*
+ * VARIABLES STYLESHEET INJECTION
+ *
+ * DESIGN RATIONALE:
+ * Every var(--...) in qore.css is empty without variables.css, and linking it
+ * by hand was easy to forget. The link goes directly before the core link so
+ * core rules see the tokens and page stylesheets added later still win. Stale
+ * hashed copies (variables.<hash>.css from an older build) are removed like
+ * outdated core.* links, and any existing link to the current or plain file
+ * is reused. Its failure is logged only, since the core sheet still applies.
+ */
+function injectVariables(origins, settings, before){ // links variables.css ahead of the core stylesheet
+ log.debug(`injectVariables is running with ${origins.length} origins`); // entry log with chain length
+ const varsFile = `variables.css`; // hashed variables copy name written during build; plain file until a build runs
+ const fileOf = l => (l.getAttribute('href') || '').split('?')[0].split('/').pop(); // file name without query string
+ const links = Array.from(document.head.querySelectorAll('link')); // current links for cleanup and reuse
+ links.forEach(l => { const file = fileOf(l); if(/^variables\.[a-f0-9]{8,40}\.css$/.test(file) && file !== varsFile){ l.remove(); log.debug(`injectVariables removed outdated ${l.href}`); } }); // drops copies from older builds
+ const existing = links.find(l => l.isConnected && (fileOf(l) === varsFile || fileOf(l) === 'variables.css')); // page or earlier injection already provides tokens
+ if(existing){ log.debug(`injectVariables is returning ${existing.href}`); return existing; } // avoids duplicate token sheets
+ const link = document.createElement('link'); // token stylesheet link
+ link.rel = 'stylesheet'; // declares relationship to browser
+ link.type = 'text/css'; // MIME type for clarity across tools
+ link.setAttribute('data-qorecss-sheet', 'variables'); // marks the token sheet for selectors and tooling
+ applyLinkAttrs(link, settings); // same nonce, media and custom attributes as the core link
+ const candidates = origins.map(o => ({origin: o, files: (varsFile === 'variables.css' ? [varsFile] : [varsFile, 'variables.css']).map(f => ({href: `${o}${f}`}))})); // hashed copy then plain file on every origin
+ if(!settings.fallback){ candidates.splice(1); candidates[0].files.splice(1); } // disable-fallback keeps only the first candidate
+ varsAbort = chainLoad(link, candidates, settings.timeout, (err, record) => {
+  varsAbort = null; // chain over, nothing left for remove() to cancel
+  if(err){ log.error('injectVariables failed:', err.message); return; } // core sheet still applies without tokens
+  link.setAttribute('data-qorecss-origin', record.origin); // mirrors the core link marker
+ });
+ if(before && before.parentNode){ before.parentNode.insertBefore(link, before); } // keeps tokens ahead of an existing core link
+ else { document.head.appendChild(link); } // core link is appended right after
+ log.debug(`injectVariables is returning ${link.href}`); // logs first attempted href
+ return link; // injected element
+}
+
+/*
+ * ORIGIN FALLBACK CHAIN
+ *
+ * DESIGN RATIONALE:
+ * A single CDN outage used to leave pages unstyled even while the mirror was
+ * up. The default chain is the script's own directory, jsDelivr, GitHub Pages
+ * and finally the page's own directory, with duplicates dropped (a script
+ * served from jsDelivr does not try jsDelivr twice). data-qorecss-origins on
+ * the script tag or configure({origins}) replaces the list; the keywords
+ * "base" and "local" stand for the script directory and the page directory.
+ */
+function originChain(list, basePath){ // builds the ordered list of base URLs injectCss tries
+ log.debug(`originChain is running with ${list},${basePath}`); // entry log with configured list and script directory
+ const localPath = document.baseURI.slice(0, document.baseURI.lastIndexOf('/') + 1); // page directory for self-hosted copies
+ const listed = list && list.length ? list : ['base', ...cdnOrigins, 'local']; // keywords resolved below
+ const resolved = listed.map(o => o === 'base' ? basePath : o === 'local' ? localPath : new URL(o, document.baseURI).href).map(o => o.endsWith('/') ? o : `${o}/`); // absolute directories with trailing slash
+ const result = resolved.filter((o, i) => resolved.indexOf(o) === i); // first occurrence wins so order is preserved
+ log.debug(`originChain is returning ${result.join(' ')}`); // logs final chain
+ return result; // ordered base URLs
+}
+
+/*
+ * LOADING SCRIPT DISCOVERY
+ * Rationale: document.currentScript is null in callbacks and some bundles, so
+ * the index.js src pattern and the data-qorecss marker are tried next. The
+ * element supplies the base path, the CSP nonce and data-qorecss-* settings.
+ * The first match is cached because during configure() currentScript is the
+ * caller's inline script, not the loader.
+ */
+function findScript(){ // locates the <script> that loaded qorecss
+ log.debug(`findScript is running with ${!!document.currentScript}`); // entry log noting currentScript availability
+ if(cssScript){ log.debug(`findScript is returning cached ${cssScript.src}`); return cssScript; } // later calls come from other scripts, so the first match is kept
+ let scriptEl = document.currentScript; // uses current script element when available
+ if(!scriptEl){ // falls back to iterating all script tags when currentScript missing
+  const scripts = Array.from(document.getElementsByTagName('script')); // gathers all script elements for manual search
+  scriptEl = scripts.find(s=>s.src && s.src.toLowerCase().endsWith('index.js')); // finds script with src ending index.js ignoring case
+ }
+ if(!scriptEl){ scriptEl = document.querySelector('[data-qorecss]'); } // detects custom attribute for flexible inclusion
+ cssScript = scriptEl || null; // remembered for configure() and re-injection
+ log.debug(`findScript is returning ${scriptEl ? scriptEl.src || 'marker element' : scriptEl}`); // logs which element was chosen
+ return cssScript; // null when the page gives no hint
+}
+
+/*
+ * INJECTION SETTINGS
+ *
+ * DESIGN RATIONALE:
+ * Strict-CSP sites need the nonce of the loading script on the injected link,
+ * and some pages need media, fetchpriority or their own attributes. Markup is
+ * the most specific source, so data-qorecss-* attributes on the script win and
+ * values passed to configure() fill the gaps. data-qorecss-attr-<name>="v"
+ * copies an arbitrary attribute onto the link.
+ */
+function injectSettings(scriptEl){ // merges script tag attributes over configure() values
+ log.debug(`injectSettings is running with ${scriptEl ? scriptEl.src : scriptEl}`); // entry log with script source
+ const attr = name => scriptEl && scriptEl.getAttribute ? scriptEl.getAttribute(`data-qorecss-${name}`) : null; // null when absent
+ const attributes = {...(cssConfig.attributes || {})}; // programmatic custom attributes as the base
+ if(scriptEl && scriptEl.attributes){ Array.from(scriptEl.attributes).forEach(a => { if(a.name.startsWith('data-qorecss-attr-')){ attributes[a.name.slice(18)] = a.value; } }); } // markup attributes override by name
+ const fallbackAttr = attr('disable-fallback'); // present (any value but "false") disables the chain
+ const varsAttr = attr('disable-variables'); // present (any value but "false") skips variables.css for pages with their own tokens
+ const timeoutAttr = attr('timeout'); // per-page override of attempt timeout
+ const originsAttr = attr('origins'); // space or comma separated chain
+ const result = {
+  href: attr('href') || cssConfig.href || null, // explicit stylesheet URL tried before the chain
+  media: attr('media') || cssConfig.media || null, // media query for the link
+  priority: attr('priority') || cssConfig.priority || null, // fetchpriority hint
+  fallback: fallbackAttr !== null ? fallbackAttr === 'false' : cssConfig.fallback !== false, // chain enabled unless turned off
+  variables: varsAttr !== null ? varsAttr === 'false' : cssConfig.variables !== false, // variables.css injected unless turned off
+  nonce: (scriptEl && (scriptEl.nonce || (scriptEl.getAttribute && scriptEl.getAttribute('nonce')))) || cssConfig.nonce || null, // nonce property survives the attribute hiding browsers apply
+  origins: originsAttr ? originsAttr.split(/[\s,]+/).filter(Boolean) : (cssConfig.origins || null), // null selects the default chain
+  timeout: timeoutAttr !== null && !Number.isNaN(Number(timeoutAttr)) ? Number(timeoutAttr) : (typeof cssConfig.timeout === 'number' ? cssConfig.timeout : cssTimeout), // 0 disables the timer
+  attributes // custom attributes copied verbatim
+ };
+ log.debug(`injectSettings is returning ${JSON.stringify(result)}`); // logs effective settings
+ return result; // settings consumed by injectCss
+}
+
+/*
+ * LINK ATTRIBUTE APPLICATION
+ * Rationale: Shared by injectCss and configure() so attributes applied after
+ * the stylesheet loaded match those a fresh injection would set. The nonce
+ * must be present before the link is connected for CSP to allow the fetch.
+ */
+function applyLinkAttrs(link, settings){ // writes nonce, media, fetchpriority and custom attributes
+ log.debug(`applyLinkAttrs is running with ${JSON.stringify(settings)}`); // entry log with settings
+ if(settings.nonce){ link.setAttribute('nonce', settings.nonce); } // matches style-src 'nonce-...' policies
+ if(settings.media){ link.media = settings.media; } // e.g. print or (min-width: 40em)
+ if(settings.priority){ link.setAttribute('fetchpriority', settings.priority); } // high, low or auto
+ Object.keys(settings.attributes).forEach(name => link.setAttribute(name, String(settings.attributes[name]))); // caller-defined attributes
+ log.debug(`applyLinkAttrs is returning ${link.outerHTML}`); // logs resulting element
+}
+
+/*
+ * PROGRAMMATIC CONFIGURATION
+ *
+ * DESIGN RATIONALE:
+ * Auto-injection runs as soon as the script executes, so configure() usually
+ * runs while the stylesheet is still loading. In that case the pending chain
+ * is cancelled and injection restarts with the new settings; promises already
+ * returned by ready() follow the restarted injection. Once the stylesheet has
+ * applied, only attributes are updated in place so the page never flashes
+ * unstyled; href and origin changes then take effect on the next page load.
+ */
+function configure(opts = {}){ // stores injection defaults used when script attributes are absent
+ log.debug(`configure is running with ${JSON.stringify(opts)}`); // entry log with requested settings
+ if(!opts || typeof opts !== 'object' || Array.isArray(opts)){ throw new TypeError('configure expects an options object'); } // rejects strings, arrays and null early
+ const unknown = Object.keys(opts).filter(key => !configKeys.includes(key)); // catches typos such as prority
+ if(unknown.length){ throw new Error(`configure unknown options: ${unknown.join(', ')}`); } // refuses partial configuration
+ if(opts.priority != null && !['high','low','auto'].includes(opts.priority)){ throw new TypeError(`configure priority must be 'high', 'low' or 'auto'`); } // only values fetchpriority accepts
+ if(opts.origins != null && !Array.isArray(opts.origins)){ throw new TypeError('configure origins must be an array'); } // ordered list of base URLs
+ Object.assign(cssConfig, opts); // later calls refine earlier ones
+ if(typeof document !== 'undefined' && cssLink){ // browser injection already ran
+  if(cssAbort){ const abort = cssAbort; cssAbort = null; cssLink.remove(); cssLink = null; injectCss(); abort(cssReady); } // still loading so restart with new settings
+  else { applyLinkAttrs(cssLink, injectSettings(findScript())); } // applied sheet keeps its href, attributes update in place
+ }
+ const result = {...cssConfig}; // copy so callers cannot mutate stored settings
+ log.debug(`configure is returning ${JSON.stringify(result)}`); // exit log with stored settings
+ return result; // effective programmatic configuration
+}
+
+/*
+ * STYLESHEET REMOVAL
+ *
+ * DESIGN RATIONALE:
+ * Micro-frontend hosts mount and unmount apps that each bring a qoreCSS build.
+ * remove() drops every link marked data-qorecss-sheet (core and variables,
+ * from this or any other qorecss script) and cancels pending fallback chains.
+ * ready() promises of a cancelled injection reject; later ready() calls reject
+ * until the next injection. Shadow roots keep their adopted copy.
+ */
+function remove(){ // drops all qore-managed stylesheet links
+ log.debug(`remove is running with ${cssLink ? cssLink.href : cssLink}`); // entry log with current link
+ if(typeof document === 'undefined'){ throw new Error('remove requires a browser document'); } // nothing was injected under Node
+ if(cssAbort){ const abort = cssAbort; cssAbort = null; abort(Promise.reject(new Error('qorecss stylesheet removed'))); } // pending ready() promises reject instead of hanging
+ if(varsAbort){ varsAbort(); varsAbort = null; } // stops variables.css retries on a detached link
+ const links = Array.from(document.querySelectorAll('link[data-qorecss-sheet]')); // core and variables links from every qorecss build
+ links.forEach(l => l.remove()); // unapplies the stylesheets
+ cssLink = null; // next configure() has no link to update
+ cssOrigin = null; // loadedFrom() reports nothing applied
+ cssReady = null; // ready() rejects until the next injection
+ log.debug(`remove is returning ${links.length}`); // exit log with removed count
+ return links.length; // number of links removed
+}
+
+/*
+ * STYLESHEET HOT RELOAD
+ *
+ * DESIGN RATIONALE:
+ * Swapping href on the live link would unstyle the page while the new file
+ * downloads. reload() instead loads a second link beside the current one and
+ * removes the old core links only after the new sheet applied, so there is
+ * never a moment without styles. Without opts.href the currently applied href
+ * is loaded again. A failed reload removes the new link and keeps the old one.
+ * Integrity is only set when opts.integrity is given, because the build digest
+ * baked into this script does not match other builds' files.
+ */
+function reload(opts = {}){ // swaps the core stylesheet without a flash of unstyled content
+ log.debug(`reload is running with ${JSON.stringify(opts)}`); // entry log with requested href
+ if(typeof document === 'undefined'){ return Promise.reject(new Error('reload requires a browser document')); } // no link element under Node
+ if(!opts || typeof opts !== 'object' || Array.isArray(opts)){ return Promise.reject(new TypeError('reload expects an options object')); } // same contract as configure()
+ const pending = cssAbort ? cssLink : null; // link still walking its chain is dropped, not replaced
+ const current = Array.from(document.querySelectorAll('link[data-qorecss-sheet="core"]')).filter(l => l !== pending).pop() || null; // applied link the new sheet replaces
+ const href = opts.href ? new URL(opts.href, document.baseURI).href : (current ? current.href : ''); // absolute so events report comparable URLs
+ if(!href){ return Promise.reject(new Error('reload requires an href when no stylesheet is injected')); } // nothing to reload
+ const previous = cssAbort; // pending injection that the reload supersedes
+ cssAbort = null; // cleared before the abort hands promises over
+ const {settleLoad, settleFail} = startLifecycle(); // ready() now follows the reload
+ const settings = injectSettings(findScript()); // same nonce, media and custom attributes as the first injection
+ const link = createCoreLink(settings); // second link loaded alongside the current one
+ const origin = href.slice(0, href.lastIndexOf('/') + 1); // directory reported like chain origins
+ const abortChain = chainLoad(link, [{origin, files: [{href, integrity: opts.integrity || ''}]}], settings.timeout, (err, record) => {
+  if(cssLink === link){ cssAbort = null; } // reload finished, nothing left to cancel
+  if(err){ // old sheet keeps styling the page
+   link.remove(); // drops the failed link
+   if(cssLink === link){ cssLink = current || null; } // configure() keeps updating the surviving link
+   emitEvent('qorecss:error', {href, error: err, attempts: record.attempts}); settleFail(err); return; // notifies listeners and rejects ready()
+  }
+  Array.from(document.querySelectorAll('link[data-qorecss-sheet="core"]')).filter(l => l !== link).forEach(l => l.remove()); // old build removed only after the new one applied
+  cssOrigin = record; // recorded for loadedFrom()
+  link.setAttribute('data-qorecss-origin', record.origin); // same marker as injected links
+  emitEvent('qorecss:load', {href: record.href, origin: record.origin, attempts: record.attempts}); settleLoad(record.href); // announces the swap
+ });
+ cssLink = link; // configure() and later reloads act on the newest link
+ cssAbort = next => { abortChain(); next.then(settleLoad, settleFail); }; // a later reload, configure() or remove() cancels this one
+ if(previous){ if(pending){ pending.remove(); } previous(cssReady); } // superseded load stops and its promises follow the reload
+ if(current && current.parentNode){ current.parentNode.insertBefore(link, current.nextSibling); } // same cascade position as the sheet it replaces
+ else { document.head.appendChild(link); } // first injection through reload
+ const result = cssReady; // settles with the new href or the failure
+ log.debug(`reload is returning ${href}`); // exit log with requested href
+ return result; // ready() promise for this reload
+}
+
+/*
+ * LOADED ORIGIN
+ * Rationale: Pages report which mirror served the stylesheet so CDN problems
+ * show up in monitoring. Null until a load succeeds.
+ */
+function loadedFrom(){ // returns the origin record of the applied stylesheet
+ log.debug(`loadedFrom is running with ${cssOrigin ? cssOrigin.href : cssOrigin}`); // entry log
+ log.debug(`loadedFrom is returning ${JSON.stringify(cssOrigin)}`); // exit log
+ return cssOrigin; // {origin, href, attempts} or null
+}
+
+/*
+ * STYLESHEET READINESS
+ * Rationale: Lets SPA shells hold rendering until the injected stylesheet has
+ * applied, avoiding a flash of unstyled content. Resolves with the href that
+ * loaded (hashed file or qore.css fallback) and rejects once every candidate
+ * failed. Outside the browser no injection happens, so the promise rejects.
+ */
+function ready(){ // exposes the current injection lifecycle as a promise
+ log.debug(`ready is running with ${cssReady ? 'pending injection' : 'no injection'}`); // entry log noting whether injection ran
+ const result = cssReady || Promise.reject(new Error('ready requires browser stylesheet injection')); // Node has no link element to wait on
+ log.debug(`ready is returning ${result}`); // exit log
+ return result; // settles with final href or failure
+}
+
+/*
+ * SHARED SHADOW ROOT CSS
+ *
+ * DESIGN RATIONALE:
+ * The text is fetched once from the href that applied in the document, so
+ * shadow roots get exactly the build the page uses. Custom properties on the
+ * document's :root already inherit into shadow trees, and keeping them there
+ * lets setTheme() and colorScheme() reach components. variables.css is only
+ * bundled in, rewritten from :root to :host, when the document does not define
+ * the tokens itself; otherwise a :host copy would shadow runtime overrides.
+ */
+async function fetchSharedCss(href){ // fetches core (and when needed variables) CSS text
+ log.debug(`fetchSharedCss is running with ${href}`); // entry log with source href
+ const win = document.defaultView || globalThis; // fetch from the document's realm
+ const fetchText = url => win.fetch(url, {credentials: 'same-origin'}).then(res => { if(!res.ok){ throw new Error(`qorecss fetch failed for ${url}: ${res.status}`); } return res.text(); }); // non-2xx is a failure
+ const rootStyle = typeof win.getComputedStyle === 'function' ? win.getComputedStyle(document.documentElement) : null; // detects tokens already in the document
+ const needVars = !(rootStyle && rootStyle.getPropertyValue(themeVars[0]).trim()); // first token stands in for variables.css
+ const varsHref = `${href.slice(0, href.lastIndexOf('/') + 1)}variables.css`; // variables.css ships next to the core file
+ const [core, vars] = await Promise.all([fetchText(href), needVars ? fetchText(varsHref).catch(err => { log.error('fetchSharedCss variables failed:', err.message); return ''; }) : '']); // variables are best effort
+ const result = `${vars.replace(/:root(?=\s*\{)/g, ':host')}\n${core}`; // tokens first so core rules can reference them
+ log.debug(`fetchSharedCss is returning ${result.length} chars`); // logs size rather than CSS text
+ return result; // combined stylesheet text
+}
+
+/*
+ * SHADOW ROOT ADOPTION
+ *
+ * DESIGN RATIONALE:
+ * A <link> in document.head does not style shadow trees, so components used to
+ * bundle their own copy. Constructable stylesheets let every root share one
+ * CSSStyleSheet object; when ready() later reports a different href (e.g. after
+ * configure()), the same object is updated with replaceSync so every adopted
+ * root follows. Browsers without constructable stylesheets get a clone of one
+ * <style> template carrying the loader's CSP nonce.
+ */
+function adoptInto(root){ // shares qoreCSS with a shadow root
+ log.debug(`adoptInto is running with ${root && root.nodeName}`); // entry log with target node
+ if(typeof document === 'undefined'){ return Promise.reject(new Error('adoptInto requires a browser document')); } // no shadow DOM under Node
+ if(!root || root.nodeType !== 11 || typeof root.appendChild !== 'function'){ return Promise.reject(new TypeError('adoptInto expects a ShadowRoot')); } // document fragments only
+ const result = ready().then(href => {
+  if(!sharedCss || sharedCss.href !== href){ sharedCss = {href, promise: fetchSharedCss(href).catch(err => { sharedCss = null; throw err; })}; } // fetch once per applied href, retry after failures
+  return sharedCss.promise; // concurrent calls share one request
+ }).then(css => {
+  const win = document.defaultView || globalThis; // constructor from the document's realm
+  if('adoptedStyleSheets' in root && typeof win.CSSStyleSheet === 'function' && typeof win.CSSStyleSheet.prototype.replaceSync === 'function'){ // constructable stylesheet support
+   if(!sharedSheet){ sharedSheet = new win.CSSStyleSheet(); } // one object for every root
+   if(sharedSheetCss !== css){ sharedSheet.replaceSync(css); sharedSheetCss = css; } // refreshes all adopters when the source changed
+   if(!root.adoptedStyleSheets.includes(sharedSheet)){ root.adoptedStyleSheets = [...root.adoptedStyleSheets, sharedSheet]; } // keeps component sheets and avoids duplicates
+   log.debug(`adoptInto is returning adopted sheet`); // exit log
+   return sharedSheet; // adopted stylesheet
+  }
+  const prior = root.querySelector('style[data-qorecss]'); // earlier fallback injection into this root
+  if(prior){ log.debug(`adoptInto is returning existing style`); return prior; } // avoids duplicate <style> elements
+  if(!sharedStyle || sharedStyle.textContent !== css){ // template built once per CSS text
+   sharedStyle = document.createElement('style'); // inline styles work inside shadow roots
+   sharedStyle.setAttribute('data-qorecss', ''); // marker for the duplicate check
+   const nonce = injectSettings(findScript()).nonce; // strict CSP needs the nonce on inline styles too
+   if(nonce){ sharedStyle.setAttribute('nonce', nonce); } // copies loader nonce
+   sharedStyle.textContent = css; // combined stylesheet text
+  }
+  const style = sharedStyle.cloneNode(true); // each root needs its own node
+  root.appendChild(style); // styles this shadow tree
+  log.debug(`adoptInto is returning cloned style`); // exit log
+  return style; // appended element
+ });
+ return result; // settles with the CSSStyleSheet or <style> used
+}
+
+/*
+ * STORAGE ACCESS
+ * Rationale: localStorage is missing in some runtimes, and reading it throws a
+ * SecurityError in sandboxed frames and some privacy modes. Both are expected,
+ * so persistence quietly becomes a no-op instead of logging an error on every
+ * page load; only failures of a storage that is present reach the warn level.
+ */
+function storage(){ // localStorage when usable, otherwise null
+ log.debug(`storage is running with ${themeKey}`); // entry log
+ let result = null; // usable storage
+ try { result = typeof localStorage === 'undefined' ? null : localStorage; } catch(err){ log.debug(`storage is blocked: ${err.message}`); } // the global getter throws when blocked
+ log.debug(`storage is returning ${result ? 'localStorage' : result}`); // exit log
+ return result; // null disables persistence
+}
+
+/*
+ * THEME APPLICATION
+ *
+ * DESIGN RATIONALE:
+ * Every name is validated against themeVars before anything is written so a
+ * single typo rejects the whole call instead of leaving a half-applied theme.
+ * Values go onto document.documentElement inline style, which outranks the
+ * :root rule in variables.css without needing a second stylesheet. Persisting
+ * is opt-in because tenants previewing colors should not leak into reloads.
+ */
+function setTheme(vars, opts = {}){ // writes custom property overrides onto the root element
+ log.debug(`setTheme is running with ${JSON.stringify(vars)},${JSON.stringify(opts)}`); // entry log with requested overrides
+ if(typeof document === 'undefined'){ throw new Error('setTheme requires a browser document'); } // theming only makes sense where a DOM exists
+ if(!vars || typeof vars !== 'object' || Array.isArray(vars)){ throw new TypeError('setTheme expects an object of custom properties'); } // rejects strings, arrays and null early
+ const unknown = Object.keys(vars).filter(name => !themeVars.includes(name)); // collects names variables.css does not define
+ if(unknown.length){ throw new Error(`setTheme unknown variables: ${unknown.join(', ')}`); } // refuses partial application when any name is invalid
+ try {
+  const rootStyle = document.documentElement.style; // inline style on <html> beats the :root rule in variables.css
+  Object.keys(vars).forEach(name => rootStyle.setProperty(name, String(vars[name]))); // applies each override as a custom property
+  const store = opts.persist ? storage() : null; // only writes storage when caller asks so previews stay ephemeral
+  if(store){
+   const stored = JSON.parse(store.getItem(themeKey) || '{}'); // merges with earlier persisted overrides
+   store.setItem(themeKey, JSON.stringify({...stored, ...vars})); // saves combined theme for the next page load
+  }
+ } catch(err){
+  log.warn('setTheme could not persist the theme:', err.message); // quota or corrupt storage, the applied theme still stands
+ }
+ const result = getTheme(); // returns the effective theme so callers can confirm what applied
+ log.debug(`setTheme is returning ${JSON.stringify(result)}`); // exit log with effective theme
+ return result; // effective values after applying overrides
+}
+
+/*
+ * THEME READING
+ * Rationale: getComputedStyle reports the cascaded value, so the result reflects
+ * both variables.css defaults and inline overrides; the inline value is used when
+ * computed style is unavailable or empty (e.g. stylesheet not yet loaded).
+ */
+function getTheme(){ // reads every known custom property from the root element
+ log.debug(`getTheme is running with ${themeVars.length}`); // entry log with number of known names
+ if(typeof document === 'undefined'){ throw new Error('getTheme requires a browser document'); } // mirrors setTheme guard for Node callers
+ const root = document.documentElement; // element where variables.css declares :root properties
+ const computed = typeof getComputedStyle === 'function' ? getComputedStyle(root) : null; // cascaded values when the runtime supports it
+ const theme = {}; // collected name/value pairs
+ themeVars.forEach(name => { const val = ((computed && computed.getPropertyValue(name)) || root.style.getPropertyValue(name) || '').trim(); if(val){ theme[name] = val; } }); // skips names with no value yet
+ log.debug(`getTheme is returning ${JSON.stringify(theme)}`); // exit log with theme map
+ return theme; // name to value map of defined custom properties
+}
+
+/*
+ * THEME RESET
+ * Rationale: Removes only the properties this API manages so unrelated inline
+ * styles on <html> survive, and drops the persisted copy so reloads use defaults.
+ */
+function resetTheme(){ // clears overrides written by setTheme
+ log.debug(`resetTheme is running with ${themeVars.length}`); // entry log
+ if(typeof document === 'undefined'){ throw new Error('resetTheme requires a browser document'); } // mirrors setTheme guard for Node callers
+ themeVars.forEach(name => document.documentElement.style.removeProperty(name)); // falls back to variables.css values
+ const store = storage(); // null without usable storage
+ if(store){ try { store.removeItem(themeKey); } catch(err){ log.warn('resetTheme could not clear the stored theme:', err.message); } } // defaults still apply for this page
+ log.debug(`resetTheme has run resulting in a final value of ${document.documentElement.style.cssText}`); // exit log with remaining inline style
+}
+
+/*
+ * PERSISTED THEME RESTORE
+ * Rationale: Runs once during browser auto-injection. Unknown names are dropped
+ * rather than thrown because a stored theme may predate a variables.css change.
+ */
+function loadTheme(){ // reapplies a theme saved with setTheme({..},{persist:true})
+ log.debug(`loadTheme is running with ${themeKey}`); // entry log with storage key
+ const store = storage(); // null without usable storage
+ if(!store){ log.debug(`loadTheme is returning 0`); return 0; } // nothing can have been persisted
+ try {
+  const stored = JSON.parse(store.getItem(themeKey) || '{}'); // missing entry parses to empty theme
+  const valid = Object.keys(stored).filter(name => themeVars.includes(name)); // ignores names removed from variables.css
+  valid.forEach(name => document.documentElement.style.setProperty(name, String(stored[name]))); // applies saved overrides
+  log.debug(`loadTheme is returning ${valid.length}`); // exit log with restored count
+  return valid.length; // number of restored properties
+ } catch(err){
+  log.warn('loadTheme ignored the stored theme:', err.message); // corrupt JSON must not stop injection
+  return 0; // nothing restored
+ }
+}
+
+/*
+ * COLOR SCHEME SELECTION
+ *
+ * DESIGN RATIONALE:
+ * 'light' and 'dark' pin data-theme on <html>, which the built stylesheet keys
+ * its light overrides on. 'auto' resolves the current prefers-color-scheme
+ * through matchMedia and keeps data-theme in step with later OS changes, so
+ * scripts reading data-theme always see the effective scheme. Only one media
+ * listener exists at a time; switching to a fixed mode detaches it.
+ */
+function colorScheme(mode, opts = {}){ // applies and persists a color scheme mode
+ log.debug(`colorScheme is running with ${mode},${JSON.stringify(opts)}`); // entry log with requested mode
+ if(typeof document === 'undefined'){ throw new Error('colorScheme requires a browser document'); } // scheme switching needs the DOM
+ if(!schemeModes.includes(mode)){ throw new Error(`colorScheme expects one of ${schemeModes.join(', ')}`); } // rejects unknown modes before touching state
+ if(schemeQuery && schemeListener){ schemeQuery.removeEventListener('change', schemeListener); } // drops any previous auto tracking
+ schemeQuery = null; schemeListener = null; // resets tracking state before applying new mode
+ const root = document.documentElement; // element carrying data-theme
+ let resolved = mode; // effective scheme written to data-theme
+ if(mode === 'auto'){ // follows the operating system preference
+  const query = typeof matchMedia === 'function' ? matchMedia('(prefers-color-scheme: light)') : null; // matchMedia missing in old runtimes
+  resolved = query && query.matches ? 'light' : 'dark'; // dark remains the default palette when preference unknown
+  if(query && query.addEventListener){ // attaches live tracking when supported
+   schemeListener = e => { root.setAttribute('data-theme', e.matches ? 'light' : 'dark'); log.debug(`colorScheme auto switched to ${root.getAttribute('data-theme')}`); }; // mirrors OS changes
+   schemeQuery = query; // retained so the listener can be removed later
+   query.addEventListener('change', schemeListener); // reacts to OS theme switches without reload
   }
+ }
+ root.setAttribute('data-theme', resolved); // activates matching token set from the built stylesheet
+ const store = opts.persist !== false ? storage() : null; // null without usable storage
+ if(store){ try { store.setItem(schemeKey, mode); } catch(err){ log.warn('colorScheme could not persist the mode:', err.message); } } // persists the mode (not the resolved value) so auto keeps tracking after reload
+ log.debug(`colorScheme is returning ${resolved}`); // exit log with effective scheme
+ return resolved; // effective scheme so callers can update toggles
+}
+
+/*
+ * PERSISTED COLOR SCHEME RESTORE
+ * Rationale: Runs during auto-injection. Without a stored choice nothing is set,
+ * leaving the CSS media query in charge exactly as before this API existed.
+ */
+function loadScheme(){ // reapplies a mode stored by colorScheme()
+ log.debug(`loadScheme is running with ${schemeKey}`); // entry log with storage key
+ const store = storage(); // null without usable storage
+ if(!store){ log.debug(`loadScheme is returning null`); return null; } // nothing can have been persisted
+ try {
+  const stored = store.getItem(schemeKey); // previously chosen mode if any
+  const result = schemeModes.includes(stored) ? colorScheme(stored, {persist:false}) : null; // ignores corrupt values and avoids rewriting storage
+  log.debug(`loadScheme is returning ${result}`); // exit log with applied scheme
+  return result; // resolved scheme or null when nothing stored
+ } catch(err){
+  log.warn('loadScheme ignored the stored mode:', err.message); // a failing storage must not stop injection
+  return null; // nothing restored
+ }
+}
+
+/*
+ * CSS CONTENT FILE SELECTION
+ * Rationale: Shared by getCss and getCssAsync so both read the same files in
+ * the same order. variables.css comes first because qore.css consumes its
+ * custom properties; it is included by default since inlined qore.css without
+ * tokens renders unstyled. minified resolves the hashed build via getStylesheet
+ * and therefore throws BuildMissingError when no build exists.
+ */
+function cssPaths(opts = {}){ // lists stylesheet files for getCss variants
+ log.debug(`cssPaths is running with ${JSON.stringify(opts)}`); // entry log with options
+ if(typeof require !== 'function'){ throw new Error('getCss requires Node.js'); } // browsers fetch stylesheets instead of reading files
+ const files = [qorecss.getStylesheet({minified: !!opts.minified})]; // core stylesheet, minified artifact when requested
+ if(opts.includeVariables !== false){ files.unshift(qorecss.getVariables()); } // tokens precede rules that reference them
+ log.debug(`cssPaths is returning ${files.join(',')}`); // exit log with resolved files
+ return files; // ordered file list
+}
+
+/*
+ * SYNCHRONOUS CSS READ
+ * Rationale: statSync is far cheaper than rereading the file, so each call
+ * compares mtime and size against the cache and only reads on change. This keeps
+ * edits during development visible while production requests hit memory.
+ */
+function getCss(opts = {}){ // returns stylesheet text for inlining
+ log.debug(`getCss is running with ${JSON.stringify(opts)}`); // entry log with options
+ try {
+  const fs = require('fs'); // sync filesystem access for render paths that cannot await
+  const texts = cssPaths(opts).map(file => { // reads each file through the mtime cache
+   const stat = fs.statSync(file); // current mtime and size
+   const hit = cssCache.get(file); // previous read if any
+   if(hit && hit.mtimeMs === stat.mtimeMs && hit.size === stat.size){ return hit.text; } // unchanged file served from memory
+   const text = fs.readFileSync(file, 'utf8'); // file changed or first read
+   cssCache.set(file, {mtimeMs: stat.mtimeMs, size: stat.size, text}); // memoizes for subsequent calls
+   return text; // fresh contents
+  });
+  const result = texts.join('\n'); // newline keeps variables and rules as separate statements
+  log.debug(`getCss is returning ${result.length} chars`); // exit log with size rather than full CSS
+  return result; // combined CSS text
  } catch(err){
-  console.error('injectCss failed:', err.message); // logs any runtime failure
+  log.error('getCss failed:', err.message); // logs missing builds or unreadable files
+  throw err; // callers decide whether to fall back
  }
 }
 
+/*
+ * ASYNCHRONOUS CSS READ
+ * Rationale: Same cache as getCss so mixing both APIs never reads twice; stats
+ * and reads run through fs.promises to avoid blocking busy servers.
+ */
+async function getCssAsync(opts = {}){ // resolves with stylesheet text for inlining
+ log.debug(`getCssAsync is running with ${JSON.stringify(opts)}`); // entry log with options
+ try {
+  const fsp = require('fs').promises; // promise filesystem access
+  const texts = await Promise.all(cssPaths(opts).map(async file => { // reads files concurrently through the cache
+   const stat = await fsp.stat(file); // current mtime and size
+   const hit = cssCache.get(file); // previous read if any
+   if(hit && hit.mtimeMs === stat.mtimeMs && hit.size === stat.size){ return hit.text; } // unchanged file served from memory
+   const text = await fsp.readFile(file, 'utf8'); // file changed or first read
+   cssCache.set(file, {mtimeMs: stat.mtimeMs, size: stat.size, text}); // memoizes for subsequent calls
+   return text; // fresh contents
+  }));
+  const result = texts.join('\n'); // newline keeps variables and rules as separate statements
+  log.debug(`getCssAsync is returning ${result.length} chars`); // exit log with size rather than full CSS
+  return result; // combined CSS text
+ } catch(err){
+  log.error('getCssAsync failed:', err.message); // logs missing builds or unreadable files
+  throw err; // callers decide whether to fall back
+ }
+}
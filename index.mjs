@@ -0,0 +1,154 @@
+/*
+ * QORECSS ES MODULE ENTRY POINT - NATIVE ESM INTERFACE
+ *
+ * PURPOSE AND RATIONALE:
+ * index.js decides between Node and browser behavior from typeof window and
+ * module.exports. Under ESM-only bundlers (Vite) and Node ESM neither check
+ * fits: the browser branch runs during bundling or nothing is exported. This
+ * file is the "import" target of the package exports map and exposes the same
+ * helpers as named exports without environment sniffing or side effects.
+ *
+ * DESIGN DECISIONS:
+ * - Paths come from new URL(file, import.meta.url); bundlers recognise this
+ *   pattern and emit the stylesheet as an asset, while Node gets a file: URL
+ * - file: URLs are converted to filesystem paths without importing node:url so
+ *   browser bundles never pull in a Node builtin
+ * - injectCss() only runs when called, unlike the auto-injecting classic script
+ * - Helpers that read the disk (build variants) live in index.js; Node
+ *   resolves the package to index.node.mjs, which re-exports them over these
+ *
+ * The classic-script and CommonJS behavior in index.js is unchanged.
+ */
+
+import log from './lib/log.js'; // shared leveled logger, free of Node builtins so bundlers accept it
+
+/*
+ * URL TO PATH CONVERSION
+ * Rationale: Node callers expect filesystem paths like require.resolve()
+ * returns; browsers and bundlers need the URL string itself. Windows drive
+ * letters arrive as /C:/..., so the leading slash is dropped for them.
+ */
+function resolveFile(file){ // resolves a package file relative to this module
+ log.debug(`resolveFile is running with ${file}`); // entry log for debug visibility
+ const url = new URL(file, import.meta.url); // anchors the file next to index.mjs
+ const result = url.protocol === `file:` ? decodeURIComponent(url.pathname).replace(/^\/([A-Za-z]:)/, `$1`) : url.href; // filesystem path under Node, URL elsewhere
+ log.debug(`resolveFile is returning ${result}`); // logs resolved location
+ return result; // absolute path or URL string
+}
+
+/*
+ * BUILD METADATA
+ * Rationale: Same values index.js exposes as qorecss.version, buildHash and
+ * buildInfo; scripts/build.js rewrites this line in both files.
+ */
+const buildInfo = Object.freeze({"version":"1.0.1","hash":"5c7df4d0","builtAt":null,"files":{}}); // regenerated by scripts/build.js on every build
+const version = buildInfo.version; // package.json version at build time
+const buildHash = buildInfo.hash; // 8 character content hash in core.<hash>.min.css
+
+const coreCss = resolveFile(`./qore.css`); // core stylesheet location, parity with CommonJS coreCss
+const variablesCss = resolveFile(`./variables.css`); // variables stylesheet location, parity with CommonJS variablesCss
+
+/*
+ * BUILD ARTIFACT ERROR
+ * Rationale: Same class shape as index.js so code written against either
+ * entry can test err.code. Bundled browser code never reads build.hash, so
+ * only index.node.mjs (the Node import target) throws it, using the
+ * CommonJS class for instanceof parity with require('qorecss').
+ */
+class BuildMissingError extends Error { // signals that build.hash or a hashed artifact is absent
+ constructor(message, file, fallback){
+  super(message); // standard Error message
+  this.name = 'BuildMissingError'; // readable name in stack traces
+  this.code = 'QORECSS_BUILD_MISSING'; // stable code for programmatic checks
+  this.file = file; // path that was expected to exist
+  this.fallback = fallback; // unminified qore.css path callers can serve instead
+ }
+}
+
+/*
+ * STYLESHEET HELPERS
+ * Rationale: Same names and return values as the CommonJS helpers so code can
+ * move between require() and import without changes. Build variants need
+ * build.hash from disk, so outside Node they fail loudly instead of quietly
+ * returning qore.css; Node resolves the package to index.node.mjs instead.
+ */
+function getStylesheet(opts = {}){ // returns core stylesheet location
+ log.debug(`getStylesheet is running with ${JSON.stringify(opts)}`); // entry log for helper call
+ const compression = opts.compression || null; // null and undefined both mean uncompressed
+ if(compression !== null && !['br','gzip'].includes(compression)){ throw new TypeError(`getStylesheet compression must be 'br', 'gzip' or null`); } // same validation as index.js
+ if(opts.minified || compression){ throw new Error(`getStylesheet build variants require Node.js`); } // bundles cannot read build.hash
+ log.debug(`getStylesheet is returning ${coreCss}`); // logs resolved location
+ return coreCss; // qore.css path or URL
+}
+
+function getVariables(){ // returns variables stylesheet location
+ log.debug(`getVariables is running with`); // entry log for helper call
+ log.debug(`getVariables is returning ${variablesCss}`); // logs resolved location
+ return variablesCss; // variables.css path or URL
+}
+
+/*
+ * STYLESHEET CONTENT HELPERS
+ * Rationale: Exported under the same names as index.js so imports resolve in
+ * every bundle. Reading CSS text needs the filesystem; index.node.mjs replaces
+ * these with the cached readers from index.js.
+ */
+function getCss(){ // stylesheet text is only available under Node
+ log.debug(`getCss is running with`); // entry log for helper call
+ throw new Error(`getCss requires Node.js`); // same message index.js gives browsers
+}
+
+async function getCssAsync(){ // promise twin, rejects outside Node
+ log.debug(`getCssAsync is running with`); // entry log for helper call
+ throw new Error(`getCss requires Node.js`); // rejection mirrors the synchronous helper
+}
+
+/*
+ * DESIGN TOKENS AS DATA
+ * Rationale: Parsing variables.css reads it from disk, so the bundler entry
+ * only reserves the name; index.node.mjs exports the lib/tokens.js parser.
+ */
+function getTokens(){ // token records are only available under Node
+ log.debug(`getTokens is running with`); // entry log for helper call
+ throw new Error(`getTokens requires Node.js`); // same message index.js gives browsers
+}
+
+/*
+ * SELF-HOSTING MIDDLEWARE
+ * Rationale: Serving files needs the filesystem; index.node.mjs exports the
+ * lib/middleware.js handler factory so Express apps written as ESM import it.
+ */
+function middleware(){ // request handler is only available under Node
+ log.debug(`middleware is running with`); // entry log for helper call
+ throw new Error(`middleware requires Node.js`); // same message index.js gives browsers
+}
+
+/*
+ * EXPLICIT BROWSER INJECTION
+ * Rationale: ESM consumers opt in by calling this, so importing the module in
+ * SSR or during bundling never touches the DOM. The href is the URL the bundler
+ * assigned to qore.css (or the package file URL when unbundled), which avoids
+ * guessing a base path from script tags. Existing links to the same href are
+ * reused so repeated calls from several components inject only once.
+ */
+function injectCss(doc = globalThis.document){ // appends the core stylesheet link to the document head
+ log.debug(`injectCss is running with ${doc ? doc.baseURI : doc}`); // entry log with target document
+ if(!doc){ throw new Error(`injectCss requires a browser document`); } // SSR callers must not reach the DOM
+ try {
+  const href = new URL(coreCss, doc.baseURI).href; // absolute href so comparison with link.href is exact
+  const existing = Array.from(doc.head.querySelectorAll(`link[rel="stylesheet"]`)).find(l => l.href === href); // prior injection of the same asset
+  if(existing){ log.debug(`injectCss is returning ${existing.href}`); return existing; } // avoids duplicate links
+  const link = doc.createElement(`link`); // stylesheet link element
+  link.rel = `stylesheet`; // declares relationship to browser
+  link.href = href; // bundler-emitted or package-relative stylesheet URL
+  doc.head.appendChild(link); // applies stylesheet
+  log.debug(`injectCss is returning ${link.href}`); // logs injected href
+  return link; // lets callers attach load handlers
+ } catch(err){
+  log.error(`injectCss failed:`, err.message); // logs DOM failures
+  throw err; // explicit calls surface failures unlike auto-injection
+ }
+}
+
+export {getStylesheet, getVariables, coreCss, variablesCss, injectCss, getCss, getCssAsync, getTokens, middleware, version, buildHash, buildInfo, BuildMissingError}; // named exports for tree-shaking bundlers
+export default {getStylesheet, getVariables, coreCss, variablesCss, injectCss, getCss, getCssAsync, getTokens, middleware, version, buildHash, buildInfo, BuildMissingError}; // default object mirrors require('qorecss') shape
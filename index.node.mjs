@@ -0,0 +1,27 @@
+/*
+ * QORECSS NODE ES MODULE ENTRY POINT - SERVER-SIDE ESM INTERFACE
+ *
+ * PURPOSE AND RATIONALE:
+ * index.mjs stays free of Node builtins so browser bundles accept it, which
+ * leaves it unable to read build.hash. Node ESM callers reached it through the
+ * "import" condition and silently got qore.css for getStylesheet({minified})
+ * while require('qorecss') returned the built artifact. The "node" condition
+ * of the exports map now resolves here instead.
+ *
+ * DESIGN DECISIONS:
+ * - Disk-reading helpers are re-exported from index.js rather than copied, so
+ *   both module systems share one implementation and one BuildMissingError
+ *   class that instanceof checks agree on
+ * - Everything else comes from index.mjs, keeping paths from import.meta.url
+ *   and the explicit injectCss() identical to the bundler entry
+ */
+
+import qorecss from './index.js'; // CommonJS API, default import of module.exports
+import * as esm from './index.mjs'; // bundler-safe helpers for the default export
+
+export * from './index.mjs'; // paths, metadata and injectCss; local exports below take precedence
+
+const {getStylesheet, getCss, getCssAsync, getTokens, middleware, BuildMissingError} = qorecss; // build variant lookup, CSS text readers, token parser and request handler
+
+export {getStylesheet, getCss, getCssAsync, getTokens, middleware, BuildMissingError}; // named exports matching index.mjs
+export default {...esm.default, getStylesheet, getCss, getCssAsync, getTokens, middleware, BuildMissingError}; // default object mirrors require('qorecss') shape
@@ -0,0 +1,138 @@
+/*
+ * BUNDLER ASSET PREPARATION - SHARED CORE OF THE VITE AND WEBPACK PLUGINS
+ *
+ * PURPOSE AND RATIONALE:
+ * scripts/updateHtml.js rewrites one index.html in the repository root, so
+ * bundler-based apps copied core.<hash>.min.css into public/ by hand after
+ * every upgrade. The Vite and webpack plugins emit the stylesheets as build
+ * assets and inject the links into generated HTML; this module holds the part
+ * both need: which files to emit, their bytes, names and integrity digests,
+ * and the link attributes that reference them.
+ *
+ * DESIGN DECISIONS:
+ * - The hashed build shipped in the package is used as is; without a build,
+ *   qore.css is emitted under a content hash so caching still works
+ * - cdn mode references the CDN copy with the manifest's digest instead
+ *   of emitting the core file; base URL, repository path and hash length come
+ *   from qore.config like the scripts, so forks link their own builds
+ * - variables.css is always emitted locally because token overrides produce
+ *   a file no CDN has; names are content hashed like the build copies
+ * - Token overrides are validated against variables.css so a typo fails the
+ *   build instead of silently shipping the default color
+ * - Links carry data-qorecss-sheet so index.js recognises and reuses them
+ */
+
+const fs = require('fs'); // reads the package stylesheets
+const path = require('path'); // resolves files under the package root
+const crypto = require('crypto'); // content hashes and SRI digests
+const log = require('./log'); // leveled trace output shared with index.js
+const {parseTokens} = require('./tokens'); // token names for override validation
+const {trimTrailingSlashes} = require('../scripts/utils/env-config'); // same slash handling as CDN_BASE_URL
+const {loadConfig} = require('../scripts/utils/config'); // cdn.baseUrl, cdn.repo and build.hashLength of the project
+const {readManifestSync} = require('./manifest'); // core file and digest, falling back to build.hash
+
+const sha1 = (source, length) => crypto.createHash('sha1').update(source).digest('hex').slice(0, length); // same scheme as build.js
+const sri = source => `sha384-${crypto.createHash('sha384').update(source).digest('base64')}`; // SRI value for integrity attributes
+
+/*
+ * TOKEN OVERRIDES
+ * Rationale: Apps rebrand by changing a handful of tokens. Rewriting the
+ * declarations in place keeps var() chains intact, so --bg-btn still follows
+ * an overridden --color-bright.
+ */
+function applyTokens(css, tokens = {}){ // replaces declared token values in variables.css text
+ log.debug(`applyTokens is running with ${JSON.stringify(tokens)}`); // entry log with overrides
+ const known = new Set(parseTokens(css).map(t => t.name)); // names variables.css declares
+ const names = Object.keys(tokens).map(n => n.startsWith('--') ? n : `--${n}`); // accepts names with or without leading dashes
+ const unknown = names.filter(n => !known.has(n)); // typos and tokens from other versions
+ if(unknown.length){ throw new Error(`Unknown qorecss tokens: ${unknown.join(', ')}`); } // fails the build rather than shipping defaults
+ let result = css; // text being rewritten
+ Object.keys(tokens).forEach((key, i) => {
+  const name = names[i].replace(/[-]/g, '\\-'); // escaped for the pattern
+  result = result.replace(new RegExp(`((?<![\\w-])${name}\\s*:)\\s*[^;}]*`, 'g'), (m, head) => `${head} ${String(tokens[key]).trim()}`); // every declaration, including light overrides in the same file
+ });
+ log.debug(`applyTokens is returning ${result.length} chars`); // exit log with size
+ return result; // variables.css text with overrides
+}
+
+/*
+ * LIGHT SCHEME RULES
+ * Rationale: variables.light.css declares its tokens on a bare :root, which
+ * would override the dark tokens for every visitor if inlined as is. The
+ * build and the PostCSS plugin both wrap them the same way: under
+ * prefers-color-scheme unless the page forces dark, and under
+ * [data-theme="light"] for explicit opt-in.
+ */
+function lightScheme(css){ // scheme-scoped rules from variables.light.css text
+ log.debug(`lightScheme is running with ${css.length} chars`); // entry log with input size
+ const rootBody = (css.replace(/\/\*[\s\S]*?\*\//g, '').match(/:root\s*\{([^}]*)\}/) || [])[1] || ''; // strips comments then takes the :root declarations
+ const decls = rootBody.split(';').map(d => d.trim().replace(/\s*:\s*/, ':')).filter(Boolean).join(';'); // compacts declarations to match minified output
+ const result = decls ? `@media (prefers-color-scheme:light){:root:not([data-theme="dark"]){${decls}}}:root[data-theme="light"]{${decls}}` : ''; // auto and forced light rules
+ log.debug(`lightScheme is returning ${result.length} chars`); // exit log with output size
+ return result; // empty when the file declares nothing
+}
+
+/*
+ * CDN BASE
+ * Rationale: opts.cdn may be true (use cdn.baseUrl, which CDN_BASE_URL
+ * overrides) or an explicit base URL.
+ */
+function cdnBase(cdn, config){ // base URL the core link points at
+ log.debug(`cdnBase is running with ${cdn}`); // entry log with option value
+ const result = (typeof cdn === 'string' && trimTrailingSlashes(cdn.trim())) || config.cdn.baseUrl; // explicit option wins over the config
+ log.debug(`cdnBase is returning ${result}`); // exit log
+ return result; // base without trailing slash
+}
+
+/*
+ * ASSET LIST
+ * Rationale: Returns variables first because links are injected in this order
+ * and core rules need the tokens. Each entry is {sheet, fileName, source,
+ * integrity} for emitted files or {sheet, url, integrity} for CDN references.
+ */
+function prepareAssets(opts = {}){ // resolves the stylesheets a bundle should carry
+ log.debug(`prepareAssets is running with ${JSON.stringify(opts)}`); // entry log with plugin options
+ const root = path.resolve(opts.root || path.join(__dirname, '..')); // installed package directory by default
+ const config = loadConfig(); // project settings, read from the bundler's working directory
+ const assets = []; // ordered variables then core
+ if(opts.variables !== false){ // apps with their own tokens can skip the file
+  const source = applyTokens(fs.readFileSync(path.join(root, 'variables.css'), 'utf8'), opts.tokens); // stock or rebranded tokens
+  assets.push({sheet: 'variables', fileName: `variables.${sha1(source, config.build.hashLength)}.css`, source, integrity: sri(source)}); // hash covers overrides
+ }
+ let core = null; // core.min.css entry written by scripts/build.js
+ try { core = readManifestSync(root).files['core.min.css']; } catch(err){ if(err.code !== 'ENOENT'){ throw err; } } // no manifest or build.hash means no build
+ const built = core ? path.join(root, core.file) : ''; // hashed build artifact
+ if(opts.cdn && core){ // reference the CDN copy of the same build
+  assets.push({sheet: 'core', url: `${cdnBase(opts.cdn, config)}/gh/${config.cdn.repo}/${core.file}`, integrity: core.integrity || ''}); // nothing emitted for core; older builds lack a digest
+ } else if(built && fs.existsSync(built)){ // shipped hashed build
+  const source = fs.readFileSync(built); // exact bytes so the digest matches
+  assets.push({sheet: 'core', fileName: path.basename(built), source, integrity: sri(source)}); // keeps the build name
+ } else { // no build in the package
+  log.warn(`qorecss build missing in ${root}, emitting qore.css`); // cdn mode cannot work without a hash either
+  const source = fs.readFileSync(path.join(root, 'qore.css')); // unminified source
+  assets.push({sheet: 'core', fileName: `qore.${sha1(source, config.build.hashLength)}.css`, source, integrity: sri(source)}); // content hash still busts caches
+ }
+ log.debug(`prepareAssets is returning ${assets.map(a => a.fileName || a.url).join(',')}`); // exit log with names
+ return assets; // files to emit and links to inject
+}
+
+/*
+ * LINK ATTRIBUTES
+ * Rationale: Both plugins describe tags as attribute maps (Vite tag
+ * descriptors, html-webpack-plugin tag objects). crossorigin is required for
+ * integrity checks on cross-origin files and harmless on same-origin ones.
+ */
+function linkAttributes(asset, publicPath = ''){ // attributes of the <link> referencing asset
+ log.debug(`linkAttributes is running with ${asset.fileName || asset.url},${publicPath}`); // entry log
+ const href = asset.url || `${publicPath}${asset.fileName}`; // CDN URL or emitted file under the public path
+ const attrs = {rel: 'stylesheet', href, 'data-qorecss-sheet': asset.sheet}; // marker shared with index.js injection
+ if(asset.integrity){ attrs.integrity = asset.integrity; attrs.crossorigin = 'anonymous'; } // SRI only with CORS mode
+ log.debug(`linkAttributes is returning ${href}`); // exit log with resolved href
+ return attrs; // attribute name to value
+}
+
+function renderLink(attrs){ // serialises attributes into a <link> tag
+ return `<link ${Object.keys(attrs).map(k => `${k}="${String(attrs[k]).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`).join(' ')}>`; // attribute values escaped for HTML
+}
+
+module.exports = {prepareAssets, applyTokens, lightScheme, linkAttributes, renderLink}; // shared by lib/vite.js, lib/webpack.js, lib/postcss.js and scripts/build.js
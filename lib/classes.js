@@ -0,0 +1,256 @@
+/*
+ * CLASS CATALOG AND TEMPLATE VALIDATION
+ *
+ * PURPOSE AND RATIONALE:
+ * A typo such as wide35 or col32 names a class qore.css never defines, so the
+ * element silently keeps its default layout. This module reads the real class
+ * catalog from the stylesheet, finds class and className values in HTML and
+ * JSX, and reports qoreCSS-like names that are not in the catalog together
+ * with the closest valid class.
+ *
+ * DESIGN DECISIONS:
+ * - The catalog comes from selectors only; comments, declarations and
+ *   numbers such as .5em never contribute names
+ * - Only names that look like qoreCSS are reported, so a project's own
+ *   classes pass: the stem before the digits is a qoreCSS family (wide,
+ *   col, margin) or the name is one or two edits from a real class
+ * - Suggestions within a numbered family pick the nearest number, so wide35
+ *   suggests wide33 rather than an unrelated class at the same edit distance
+ * - Dynamic parts (${...}, {{...}}, <%...%>) are skipped, and every static
+ *   name keeps the line it was written on
+ * - describeClasses() turns the commented source into records for
+ *   classes.json and the VS Code custom data the build writes; it walks
+ *   comments in source order like lib/tokens.js, so the ===== heading and the
+ *   doc block above a rule describe it the way a reader sees them
+ */
+
+const log = require('./log'); // leveled trace output shared with index.js
+const {skipQuoted, splitSelectors} = require('./purge'); // string and comment aware walker helpers
+
+/*
+ * CATALOG
+ * Rationale: Every prelude outside declaration bodies is a selector or an
+ * at-rule condition; names following a dot there are classes.
+ */
+function parseClasses(css){ // sorted unique class names defined by a stylesheet
+ log.debug(`parseClasses is running with ${css.length} chars`); // entry log with size
+ const bare = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""'); // comments and strings name no classes
+ const names = new Set(); // de-duplicated class names
+ Array.from(bare.matchAll(/([^{};]*)\{/g), m => m[1]).filter(p => !p.trim().startsWith('@')).forEach(prelude => { // selectors, not @media conditions
+  Array.from(prelude.matchAll(/(?<![\w-])\.(-?[A-Za-z_][\w-]*)/g), m => names.add(m[1])); // .name not preceded by a digit or word
+ });
+ const result = [...names].sort(); // stable order for output files and tests
+ log.debug(`parseClasses is returning ${result.length} classes`); // exit log with count
+ return result; // class catalog
+}
+
+/*
+ * CLASS ATTRIBUTE EXTRACTION
+ * Rationale: class="..." covers HTML and templates, className covers JSX
+ * string, expression and template literal forms.
+ */
+function findClassUses(source){ // [{name, line}] for every static class name in markup
+ log.debug(`findClassUses is running with ${source.length} chars`); // entry log with size
+ const uses = []; // names in source order
+ const attr = /\b(?:class|className)\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*(?:"([^"]*)"|'([^']*)'|`([^`]*)`)\s*\})/g; // quoted and JSX forms
+ for(const m of source.matchAll(attr)){
+  const value = m.slice(1).find(v => v !== undefined); // whichever alternative matched
+  const start = m.index + m[0].indexOf(value); // offset of the value in the file
+  const stat = value.replace(/\$\{[^}]*\}|\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|<%[\s\S]*?%>/g, s => s.replace(/[^\n]/g, ' ')); // dynamic parts blanked, newlines kept for line numbers
+  for(const n of stat.matchAll(/\S+/g)){
+   uses.push({name: n[0], line: source.slice(0, start + n.index).split('\n').length}); // 1-based line of the name itself
+  }
+ }
+ log.debug(`findClassUses is returning ${uses.length} uses`); // exit log with count
+ return uses; // names with lines
+}
+
+/*
+ * SUGGESTIONS
+ * Rationale: Optimal string alignment distance counts a swapped pair as one
+ * edit, so centre still reaches center.
+ */
+function distance(a, b){ // edit distance with adjacent transpositions
+ const d = Array.from({length: a.length + 1}, (_, i) => [i]); // first column
+ for(let j = 1; j <= b.length; j++){ d[0][j] = j; } // first row
+ for(let i = 1; i <= a.length; i++){
+  for(let j = 1; j <= b.length; j++){
+   const cost = a[i - 1] === b[j - 1] ? 0 : 1; // substitution cost
+   d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost); // delete, insert, substitute
+   if(i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]){ d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1); } // transposition
+  }
+ }
+ return d[a.length][b.length]; // edits needed
+}
+
+const numbered = name => { const m = /^([A-Za-z-]+?)(\d+)$/.exec(name); return m ? {stem: m[1], num: Number(m[2])} : null; }; // wide35 -> {stem: 'wide', num: 35}
+
+function suggestClass(name, catalog){ // closest valid class for a qoreCSS-like name, or null
+ log.debug(`suggestClass is running with ${name}`); // entry log with the unknown name
+ const n = numbered(name); // numbered family member, if any
+ const family = n ? catalog.map(c => ({c, m: numbered(c)})).filter(x => x.m && x.m.stem === n.stem) : []; // same stem with any number
+ let result = null; // suggestion
+ if(family.length){ // nearest number wins, then fewest edits, then name
+  result = family.sort((x, y) => Math.abs(x.m.num - n.num) - Math.abs(y.m.num - n.num) || distance(name, x.c) - distance(name, y.c) || x.c.localeCompare(y.c))[0].c;
+ } else {
+  const limit = name.length > 5 ? 2 : 1; // short names need a closer match to count as typos
+  const best = catalog.map(c => ({c, d: distance(name, c)})).filter(x => x.d <= limit).sort((x, y) => x.d - y.d || x.c.localeCompare(y.c))[0]; // closest within the limit
+  result = best ? best.c : null; // unrelated project classes get no suggestion
+ }
+ log.debug(`suggestClass is returning ${result}`); // exit log with suggestion
+ return result; // null means the name is not qoreCSS-like
+}
+
+/*
+ * VALIDATION
+ * Rationale: One call per file so callers can attach the file name and
+ * aggregate; suggestions are cached because templates repeat names.
+ */
+function checkSource(source, catalog){ // [{name, line, suggestion}] for unknown qoreCSS-like classes
+ log.debug(`checkSource is running with ${source.length} chars`); // entry log with size
+ const known = new Set(catalog); // fast membership test
+ const cache = new Map(); // name to suggestion
+ const issues = []; // unknown names in source order
+ findClassUses(source).filter(u => !known.has(u.name)).forEach(u => {
+  if(!cache.has(u.name)){ cache.set(u.name, suggestClass(u.name, catalog)); } // computed once per name
+  const suggestion = cache.get(u.name); // closest valid class
+  if(suggestion){ issues.push({...u, suggestion}); } // names without one are project classes
+ });
+ log.debug(`checkSource is returning ${issues.length} issues`); // exit log with count
+ return issues; // problems for this file
+}
+
+/*
+ * COMMENTED RULE WALKER
+ * Rationale: qore.css documents rules three ways: ===== section headings,
+ * doc blocks above groups of rules and trailing comments on the line of a
+ * declaration or closing brace. A trailing comment only counts when no line
+ * break separates it from what it follows; anything else is a doc block.
+ */
+function commentLines(raw){ // comment body lines without delimiters and leading stars
+ return raw.slice(2, -2).split('\n').map(l => l.replace(/^\s*\*?/, '').trim()).filter(Boolean); // non-empty lines
+}
+
+function parseDeclarations(body){ // [{property, value, important, comment}] in source order
+ const decls = []; // parsed declarations
+ let text = ''; // declaration being read
+ let inner = ''; // comment inside the declaration being read
+ let last = null; // previous declaration, may take a trailing comment
+ let newline = false; // line break since the previous declaration ended
+ let depth = 0; // parentheses, so url(data:...;...) stays one value
+ const flush = () => { // records the declaration read so far
+  const m = /^([\w-]+)\s*:\s*([\s\S]*?)\s*(!important)?\s*$/i.exec(text.trim()); // property, value and priority
+  if(m){ last = {property: m[1], value: m[2].replace(/\s+/g, ' '), important: !!m[3], comment: inner}; decls.push(last); newline = false; } // stray text is ignored
+  text = ''; inner = ''; // next declaration starts empty
+ };
+ for(let i = 0; i < body.length; i++){
+  const next = skipQuoted(body, i); // end of a string or comment starting here
+  if(next !== i && body[i] === '/'){ // comment
+   const note = commentLines(body.slice(i, next)).join(' '); // single line text
+   if(text.trim()){ inner = inner || note; } else if(last && !newline && !last.comment){ last.comment = note; } // inside or trailing a declaration
+   i = next - 1; continue; // loop increment moves past it
+  }
+  if(next !== i){ text += body.slice(i, next); i = next - 1; continue; } // strings are copied verbatim
+  const c = body[i]; // current character
+  if(c === '('){ depth++; } else if(c === ')'){ depth--; } // nesting
+  if(c === ';' && depth === 0){ flush(); continue; } // declaration boundary
+  if(c === '\n' && !text.trim()){ newline = true; } // later comments document the next declaration
+  text += c; // part of the declaration
+ }
+ flush(); // last declaration may lack a semicolon
+ return decls; // declarations with their comments
+}
+
+function walkRules(css, media, state, rules){ // appends {selectors, media, declarations, comment, doc, section}
+ let lastRule = null; // rule whose closing brace may carry a trailing comment
+ let newline = true; // line break since the previous rule ended
+ let i = 0; // scan position
+ while(i < css.length){
+  const next = skipQuoted(css, i); // end of a comment starting here
+  if(next !== i){ // comments between rules
+   const lines = commentLines(css.slice(i, next)); // comment text
+   if(lines.length === 1 && /={5,}/.test(lines[0])){ state.section = lines[0].replace(/=+/g, '').trim(); state.doc = ''; } // section heading
+   else if(lastRule && !newline && !lastRule.comment){ lastRule.comment = lines.join(' '); } // trailing comment of the previous rule
+   else if(lines.length){ state.doc = lines[0]; } // doc block title for the following rules
+   i = next; continue; // after the comment
+  }
+  if(/\s/.test(css[i])){ if(css[i] === '\n'){ newline = true; } i++; continue; } // whitespace between rules
+  let j = i; // prelude scan
+  while(j < css.length && css[j] !== '{' && css[j] !== ';'){ const skip = skipQuoted(css, j); j = skip !== j ? skip : j + 1; } // finds the block or statement end
+  if(css[j] !== '{'){ i = j + 1; continue; } // @import and @charset statements
+  let depth = 1; // brace depth inside the body
+  let k = j + 1; // body scan
+  while(k < css.length && depth){ const skip = skipQuoted(css, k); if(skip !== k){ k = skip; continue; } if(css[k] === '{'){ depth++; } else if(css[k] === '}'){ depth--; } k++; } // matching close brace
+  const head = css.slice(i, j).replace(/\/\*[\s\S]*?\*\//g, '').trim(); // selector list or at-rule prelude
+  const body = css.slice(j + 1, k - 1); // declarations or nested rules
+  lastRule = null; // at-rules take no trailing comment
+  if(/^@media\b/i.test(head)){ const query = head.replace(/^@media\s*/i, ''); walkRules(body, media ? `${media} and ${query}` : query, state, rules); } // nested rules are variants
+  else if(!head.startsWith('@')){ lastRule = {selectors: splitSelectors(head), media, declarations: parseDeclarations(body), comment: '', doc: state.doc, section: state.section}; rules.push(lastRule); } // style rule
+  newline = false; // a comment on this line trails the rule
+  i = k; // continue after the block
+ }
+ return rules; // flat rule list in source order
+}
+
+/*
+ * CLASS RECORDS
+ * Rationale: A class is defined by rules whose selector is exactly .name;
+ * compound selectors such as .CTA:hover are listed but do not supply the
+ * base declarations. Classes only used in compound selectors fall back to
+ * those rules so every class gets a record.
+ */
+function describeClasses(css){ // [{name, section, comment, declarations, important, media, selectors}]
+ log.debug(`describeClasses is running with ${css.length} chars`); // entry log with size
+ const mentions = new Map(); // class name to [{rule, selector}]
+ walkRules(css, null, {section: '', doc: ''}, []).forEach(rule => rule.selectors.forEach(selector => {
+  new Set(selectorClasses(selector)).forEach(name => { if(!mentions.has(name)){ mentions.set(name, []); } mentions.get(name).push({rule, selector}); }); // every class the selector names
+ }));
+ const result = [...mentions.keys()].sort().map(name => {
+  const all = mentions.get(name); // every rule naming the class
+  const exact = all.filter(m => m.selector === `.${name}`); // rules defining the class itself
+  const defining = exact.length ? exact : all; // compound-only classes use what exists
+  const first = defining.find(m => !m.rule.media) || defining[0]; // base rule describes the class
+  const media = []; // responsive variants grouped by query
+  defining.filter(m => m.rule.media).forEach(m => {
+   const entry = media.find(v => v.query === m.rule.media) || media[media.push({query: m.rule.media, declarations: []}) - 1]; // one entry per query
+   entry.declarations.push(...m.rule.declarations); // declarations applied at that width
+  });
+  const declarations = [].concat(...defining.filter(m => !m.rule.media).map(m => m.rule.declarations)); // base declarations in source order
+  return {
+   name, // class name without the dot
+   section: first.rule.section, // ===== heading above the defining rule
+   comment: first.rule.comment || (first.rule.declarations.length === 1 ? first.rule.declarations[0].comment : '') || first.rule.doc, // trailing comment, single declaration comment, then doc block title
+   declarations, // base declarations
+   important: declarations.concat(...media.map(v => v.declarations)).some(d => d.important), // any !important in the class's own rules
+   media, // responsive variants
+   selectors: [...new Set(all.map(m => m.selector))] // every selector naming the class
+  };
+ });
+ log.debug(`describeClasses is returning ${result.length} classes`); // exit log with count
+ return result; // classes.json records
+}
+
+function selectorClasses(selector){ // class names a selector mentions, including inside :not()
+ const bare = selector.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '').replace(/\[[^\]]*\]/g, ''); // strings and attribute selectors name no classes
+ return Array.from(bare.matchAll(/(?<![\w-])\.(-?[A-Za-z_][\w-]*)/g), m => m[1]); // .name occurrences
+}
+
+/*
+ * VS CODE CUSTOM DATA
+ * Rationale: VS Code describes class completions through HTML custom data:
+ * a value set attached to the global class attribute. Hover text is markdown
+ * with the comment, the base rule and its responsive variants.
+ */
+function customData(records){ // html.customData document for VS Code
+ log.debug(`customData is running with ${records.length} classes`); // entry log with count
+ const block = (selector, decls) => `${selector} {\n${decls.map(d => `  ${d.property}: ${d.value}${d.important ? ' !important' : ''};`).join('\n')}\n}`; // css shown in the hover
+ const values = records.map(r => ({
+  name: r.name, // completion label
+  description: {kind: 'markdown', value: [r.comment, r.section && `*${r.section}*`, '```css', [r.declarations.length ? block(`.${r.name}`, r.declarations) : '', ...r.media.map(v => `@media ${v.query} {\n${block(`  .${r.name}`, v.declarations).replace(/\n(?=.)/g, '\n  ')}\n}`)].filter(Boolean).join('\n'), '```'].filter(Boolean).join('\n')} // comment, section and rules
+ }));
+ const result = {version: 1.1, globalAttributes: [{name: 'class', description: 'qoreCSS classes', valueSet: 'qorecss'}], valueSets: [{name: 'qorecss', values}]}; // class attribute completes from the qorecss set
+ log.debug(`customData is returning ${values.length} values`); // exit log with count
+ return result; // JSON document for html.customData
+}
+
+module.exports = {parseClasses, findClassUses, suggestClass, checkSource, describeClasses, customData}; // used by scripts/checkClasses.js and scripts/build.js
@@ -0,0 +1,189 @@
+/*
+ * QORECSS COMMAND LINE INTERFACE - ONE ENTRY FOR EVERY SCRIPT
+ *
+ * PURPOSE AND RATIONALE:
+ * The build, HTML update, CDN purge, benchmark and token scripts each parsed
+ * process.argv their own way and had to be run by path from node_modules.
+ * This module backs the qorecss bin: it parses one set of flags, validates
+ * arguments per subcommand and calls the existing script functions, so the
+ * scripts keep working standalone and the CLI adds no second implementation.
+ *
+ * DESIGN DECISIONS:
+ * - main() takes the argument list and resolves to the exit code instead of
+ *   exiting, so tests drive it like any other function
+ * - Global flags: --help, --cwd <dir>, --json, --quiet; subcommand flags are
+ *   declared in one table that also renders the help text
+ * - --json prints one JSON document with the command's result on stdout;
+ *   reports and log records go to stderr so the document stays valid
+ * - --quiet lowers the log level to error and drops the human readable output
+ * - --cwd changes directory for the command only and is undone afterwards
+ * - Exit codes: 0 success, 1 the command failed or found problems, 2 usage
+ *   error (unknown command or flag, bad value, missing --cwd directory)
+ */
+
+const fs = require('fs'); // --cwd validation
+const path = require('path'); // --cwd resolution
+const log = require('./log'); // level control for --quiet and trace output
+
+const EXIT_OK = 0; // command succeeded
+const EXIT_FAILED = 1; // command ran and failed or reported problems
+const EXIT_USAGE = 2; // arguments could not be accepted
+const NO_BUILD = 'qore-manifest.json missing and no build.hash to fall back to; run qorecss build first'; // update-html and purge before any build
+
+const globalFlags = { // accepted by every subcommand
+ help: {type: 'boolean', alias: 'h', describe: 'show help for the command'},
+ cwd: {type: 'string', describe: 'project directory to run in (default: current directory)'},
+ json: {type: 'boolean', describe: 'print the result as JSON on stdout'},
+ quiet: {type: 'boolean', alias: 'q', describe: 'print errors only'}
+};
+
+/*
+ * SUBCOMMAND TABLE
+ * Rationale: Scripts are required lazily so `qorecss tokens` does not load
+ * axios, and each run() maps parsed options onto the script's own function
+ * and turns its return value into {code, result}.
+ */
+const commands = {
+ build: {
+  describe: 'minify, hash and compress qore.css (PURGE_CONTENT enables purging)',
+  args: [], flags: {},
+  async run(){ const hash = await require('../scripts/build')(); return {code: EXIT_OK, result: {hash}}; } // build throws on failure
+ },
+ 'update-html': {
+  describe: 'point index.html at the hashed stylesheet with SRI attributes',
+  args: [], flags: {},
+  async run(){ const hash = await require('../scripts/updateHtml')(); return hash === 1 ? {code: EXIT_FAILED, result: {error: NO_BUILD}} : {code: EXIT_OK, result: {hash}}; } // 1 means no build yet
+ },
+ purge: {
+  describe: 'purge the hashed stylesheet from the jsDelivr cache',
+  args: [], flags: {},
+  async run(){ const status = await require('../scripts/purge-cdn').run(); return status === 1 ? {code: EXIT_FAILED, result: {error: NO_BUILD}} : {code: status >= 200 && status < 300 ? EXIT_OK : EXIT_FAILED, result: {status}}; } // non-2xx purges fail
+ },
+ perf: {
+  describe: 'measure CDN download times',
+  args: ['[concurrency]'], flags: {history: {type: 'boolean', describe: 'append results to performance-results.json'}},
+  validate(opts){ return opts._[0] === undefined || (/^\d+$/.test(opts._[0]) && Number(opts._[0]) >= 1 && Number(opts._[0]) <= 1000) ? null : 'concurrency must be an integer from 1 to 1000'; }, // rejected instead of silently defaulting
+  async run(opts, report){ const average = await require('../scripts/performance').run([...opts._, ...(opts.history ? ['--json'] : [])], report); return {code: EXIT_OK, result: {average}}; } // script --json writes the history file
+ },
+ tokens: {
+  describe: 'export variables.css tokens to JSON',
+  args: ['[output]'], flags: {input: {type: 'string', describe: 'token stylesheet (default: variables.css)'}},
+  async run(opts){ const tokens = await require('../scripts/tokens')(opts._[0], opts.input); return tokens === 1 ? {code: EXIT_FAILED, result: {error: `${opts.input} not found`}} : {code: EXIT_OK, result: {output: opts._[0] || require('../scripts/utils/config').loadConfig().files.tokens, tokens: tokens.length}}; } // 1 means missing input
+ },
+ 'purge-css': {
+  describe: 'write a copy of qore.css without rules unused by the content files',
+  args: ['[output]'], flags: {content: {type: 'string', describe: 'comma separated content globs (required)'}, safelist: {type: 'string', describe: 'comma separated classes to keep, * wildcards allowed'}, input: {type: 'string', describe: 'stylesheet to purge (default: qore.css)'}},
+  validate(opts){ return opts.content ? null : '--content is required'; }, // purging against nothing drops every class
+  async run(opts){ const report = await require('../scripts/purgeCss')({content: opts.content, safelist: opts.safelist, input: opts.input, output: opts._[0]}); return report === 1 ? {code: EXIT_FAILED, result: {error: 'content or input not found'}} : {code: EXIT_OK, result: report, text: `${report.output}: removed ${report.removed} selectors using ${report.files} content files\n${require('./purge').formatReport(report)}`}; } // same summary as the script
+ },
+ 'check-classes': {
+  describe: 'report unknown qoreCSS classes in HTML and JSX',
+  args: ['[globs]'], flags: {css: {type: 'string', describe: 'stylesheet defining the classes (default: qore.css)'}, ignore: {type: 'string', describe: 'comma separated project classes to skip'}},
+  async run(opts){ const check = require('../scripts/checkClasses'); const issues = await check({content: opts._[0], css: opts.css, ignore: opts.ignore}); if(issues === 1){ return {code: EXIT_FAILED, result: {error: 'no files or stylesheet found'}}; } return {code: issues.length ? EXIT_FAILED : EXIT_OK, result: {issues}, text: issues.map(check.formatIssue).join('\n')}; } // problems fail the gate
+ },
+ init: {
+  describe: 'scaffold variables.css, qore.css, index.html and npm scripts',
+  args: [], flags: {brand: {type: 'string', describe: 'hex brand color seeding the palette'}, title: {type: 'string', describe: 'page title (default: package name)'}, force: {type: 'boolean', describe: 'overwrite existing files and scripts'}},
+  validate(opts){ return opts.brand === undefined || require('../scripts/init').brandTokens(opts.brand) ? null : '--brand must be a hex color such as #0a6e4f'; }, // rejected before any file is checked
+  async run(opts){ const result = await require('../scripts/init')({brand: opts.brand, title: opts.title, force: opts.force}); return result === 1 ? {code: EXIT_FAILED, result: {error: 'files exist, use --force to overwrite'}} : {code: EXIT_OK, result, text: `wrote ${result.files.join(', ')}\nnext: npm install && npm run build && npm run update-html`}; } // 1 means refused
+ }
+};
+
+/*
+ * ARGUMENT PARSING
+ * Rationale: --name value, --name=value and short aliases are accepted;
+ * anything not declared is a usage error rather than silently ignored.
+ */
+function parseArgs(argv, flags){ // {opts, error}
+ log.debug(`parseArgs is running with ${argv.join(' ')}`); // entry log with raw arguments
+ const opts = {_: []}; // positionals plus named options
+ const byAlias = Object.keys(flags).reduce((m, k) => { if(flags[k].alias){ m[flags[k].alias] = k; } return m; }, {}); // short flag to name
+ for(let i = 0; i < argv.length; i++){
+  const arg = argv[i]; // current argument
+  if(arg === '--'){ opts._.push(...argv.slice(i + 1)); break; } // remaining arguments are positional
+  const m = /^(?:--([\w-]+)(?:=([\s\S]*))?|-(\w))$/.exec(arg); // long, long=value or short flag
+  if(!m){ opts._.push(arg); continue; } // positional argument
+  const name = m[1] || byAlias[m[3]]; // canonical flag name
+  const spec = flags[name]; // declared flag
+  if(!spec){ return {opts, error: `unknown option ${arg}`}; } // typos fail loudly
+  if(spec.type === 'boolean'){ if(m[2] !== undefined){ return {opts, error: `option --${name} takes no value`}; } opts[name] = true; continue; } // switches
+  const value = m[2] !== undefined ? m[2] : argv[++i]; // inline or next argument
+  if(value === undefined || (m[2] === undefined && value.startsWith('--'))){ return {opts, error: `option --${name} needs a value`}; } // missing value
+  opts[name] = value; // string option
+ }
+ log.debug(`parseArgs is returning ${JSON.stringify(opts)}`); // exit log with parsed options
+ return {opts, error: null}; // parsed options
+}
+
+function usage(name){ // help text for the CLI or one subcommand
+ const flagLines = flags => Object.keys(flags).map(k => `  --${k}${flags[k].type === 'string' ? ' <value>' : ''}${flags[k].alias ? `, -${flags[k].alias}` : ''}`.padEnd(28) + flags[k].describe); // aligned option list
+ if(name){ // subcommand help
+  const c = commands[name]; // subcommand spec
+  return [`Usage: qorecss ${name}${c.args.length ? ` ${c.args.join(' ')}` : ''} [options]`, '', c.describe, '', 'Options:', ...flagLines({...c.flags, ...globalFlags})].join('\n'); // command, description and options
+ }
+ return ['Usage: qorecss <command> [options]', '', 'Commands:', ...Object.keys(commands).map(k => `  ${k.padEnd(26)}${commands[k].describe}`), '', 'Options:', ...flagLines(globalFlags), '', 'Exit codes: 0 success, 1 command failed, 2 usage error', 'Run qorecss <command> --help for command options.'].join('\n'); // overview
+}
+
+/*
+ * OUTPUT WRITERS
+ * Rationale: The result and help text go to stdout, diagnostics to stderr.
+ * Command reports use a writer chosen per flags and passed to run(): stderr
+ * under --json so stdout carries only the document, nothing under --quiet.
+ * lib/log.js trace is sent to stderr through setStream() instead, so the
+ * global console is never replaced and other code logging in the same
+ * process keeps its own output.
+ */
+const stdout = (...a) => console.log(...a); // results and help text
+const stderr = (...a) => console.error(...a); // usage errors, failures and reports under --json
+const silent = () => {}; // reports under --quiet
+
+function reportWriter(opts){ // where a command's human readable report goes
+ if(opts.json){ return stderr; } // keeps the JSON document alone on stdout
+ return opts.quiet ? silent : stdout; // quiet drops reports
+}
+
+/*
+ * ENTRY POINT
+ * Rationale: --json is read from the raw arguments before parsing so the
+ * entry trace and usage errors already stay off stdout.
+ */
+async function main(argv = process.argv.slice(2)){ // resolves to the process exit code
+ const flags = argv.includes('--') ? argv.slice(0, argv.indexOf('--')) : argv; // options before the positional separator
+ const json = flags.includes('--json'); // document on stdout, trace on stderr
+ if(json){ log.setStream('stderr'); } // before the entry trace
+ try { return await dispatch(argv); } finally { if(json){ log.setStream(null); } } // hands stdout back to info and debug records
+}
+
+async function dispatch(argv){ // parses argv, runs the command and prints its outcome
+ log.debug(`dispatch is running with ${argv.join(' ')}`); // entry log with raw arguments
+ const name = argv[0] && !argv[0].startsWith('-') ? argv[0] : null; // subcommand comes first
+ const command = name ? commands[name] : null; // subcommand spec
+ if(name && !command){ stderr(`qorecss: unknown command "${name}"\n\n${usage()}`); return EXIT_USAGE; } // typo in the command
+ const {opts, error} = parseArgs(argv.slice(name ? 1 : 0), {...(command ? command.flags : {}), ...globalFlags}); // global flags work everywhere
+ if(error){ stderr(`qorecss: ${error}\n\n${usage(name)}`); return EXIT_USAGE; } // bad flag
+ if(opts.help || !command){ (command || opts.help ? stdout : stderr)(usage(name)); return opts.help ? EXIT_OK : EXIT_USAGE; } // bare qorecss is a usage error
+ const problem = opts._.length > command.args.length ? `unexpected argument ${opts._[command.args.length]}` : (command.validate ? command.validate(opts) : null); // extra positionals and command rules
+ if(problem){ stderr(`qorecss ${name}: ${problem}\n\n${usage(name)}`); return EXIT_USAGE; } // invalid value
+ const dir = opts.cwd ? path.resolve(opts.cwd) : null; // absolute target directory
+ if(dir && (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory())){ stderr(`qorecss: --cwd ${opts.cwd} is not a directory`); return EXIT_USAGE; } // checked before any work
+ const previousDir = process.cwd(); // restored after the command
+ if(dir){ process.chdir(dir); } // scripts resolve files from the working directory
+ if(opts.quiet){ log.setLevel('error'); } // failures still reach stderr
+ try {
+  const outcome = await command.run(opts, reportWriter(opts)); // {code, result, text}
+  if(opts.json){ stdout(JSON.stringify({command: name, ok: outcome.code === EXIT_OK, ...outcome.result})); } // machine readable result
+  else if(!opts.quiet && outcome.text){ stdout(outcome.text); } // human readable report
+  log.debug(`dispatch is returning ${outcome.code}`); // exit log with exit code
+  return outcome.code; // documented exit code
+ } catch(err){
+  if(opts.json){ stdout(JSON.stringify({command: name, ok: false, error: err.message})); } // failures stay machine readable
+  else { stderr(`qorecss ${name}: ${err.message}`); } // scripts already logged details through qerrors
+  log.debug(`dispatch is returning ${EXIT_FAILED}`); // exit log with exit code
+  return EXIT_FAILED; // command failed
+ } finally {
+  if(opts.quiet){ log.setLevel(null); } // hands control back to QORECSS_LOG_LEVEL
+  process.chdir(previousDir); // programmatic callers keep their directory
+ }
+}
+
+module.exports = {main, parseArgs, usage, commands, EXIT_OK, EXIT_FAILED, EXIT_USAGE}; // bin/qorecss.js calls main
@@ -0,0 +1,123 @@
+/*
+ * LEVELED LOGGER - SHARED DIAGNOSTIC OUTPUT
+ *
+ * PURPOSE AND RATIONALE:
+ * Every helper in index.js, lib/ and scripts/ traces its entry and return
+ * values. Printed unconditionally, that trace filled consumer server logs from
+ * the moment require('qorecss') ran safeResolve(), and projects resorted to
+ * patching console around the require. This module gives the trace a level so
+ * it is off by default and can be switched on when diagnosing a problem.
+ *
+ * DESIGN DECISIONS:
+ * - Levels are ordered silent < error < warn < info < debug; the default is
+ *   warn so genuine failures still surface without any configuration
+ * - Node reads QORECSS_LOG_LEVEL and QORECSS_LOG_FORMAT on every call so tests
+ *   and long running processes can change them without reloading modules
+ * - Browsers read data-qorecss-debug (empty value means debug) and
+ *   data-qorecss-log-format from any element, usually the qorecss <script>
+ * - setLevel() overrides both sources for programmatic control
+ * - setStream('stderr') sends every record to stderr, so the qorecss CLI keeps
+ *   stdout for its --json document without patching the global console
+ * - The json format writes one JSON object per line for log shippers
+ * - No Node builtins are required so bundlers can include this file unchanged
+ */
+
+const levels = ['silent', 'error', 'warn', 'info', 'debug']; // ordered from quietest to most verbose
+const defaultLevel = 'warn'; // failures and warnings only until configured
+const methods = {error: 'error', warn: 'warn', info: 'info', debug: 'debug'}; // console method per level
+let override = null; // level set through setLevel(), wins over env and attributes
+let attrLevel; // cached browser attribute level, undefined until looked up
+let stream = null; // 'stderr' routes every record through console.error, null keeps the per-level methods
+
+/*
+ * LEVEL NORMALISATION
+ * Rationale: Environment variables and attributes are free text; unknown
+ * values are ignored rather than silencing or flooding output by accident.
+ */
+function normalize(value){ // maps user input to a known level or null
+ const name = String(value == null ? '' : value).trim().toLowerCase(); // case-insensitive comparison
+ return levels.includes(name) ? name : null; // only recognised names count
+}
+
+/*
+ * BROWSER ATTRIBUTE LOOKUP
+ * Rationale: The attribute is read once because querySelector on every log
+ * call would cost more than the logging itself. A bare data-qorecss-debug
+ * (or "true") enables debug output; any level name selects that level.
+ * While the document is still parsing, the loading <script> may not exist
+ * yet, so a missing attribute is only cached once parsing has finished.
+ */
+function browserSetting(attr){ // value of the first element carrying attr, or null
+ if(typeof document === 'undefined' || !document.querySelector){ return null; } // Node without jsdom
+ const el = document.querySelector(`[${attr}]`); // usually the qorecss <script>
+ return el ? el.getAttribute(attr) : null; // empty string when present without a value
+}
+
+function browserLevel(){ // level requested through data-qorecss-debug
+ if(attrLevel !== undefined){ return attrLevel; } // cached after the first lookup
+ const value = browserSetting('data-qorecss-debug'); // raw attribute value
+ if(value === null){ // attribute absent
+  if(typeof document !== 'undefined' && document.readyState && document.readyState !== 'loading'){ attrLevel = null; } // every static element is parsed, so the answer is final
+  return null; // no level from attributes
+ }
+ attrLevel = value === '' || value === 'true' ? 'debug' : normalize(value); // bare flag means full trace
+ return attrLevel; // resolved level or null for unknown values
+}
+
+function env(name){ // reads a process variable when running under Node
+ return typeof process !== 'undefined' && process.env ? process.env[name] : undefined; // browsers have no process
+}
+
+function getLevel(){ // active level after applying override, env and attributes
+ return override || normalize(env('QORECSS_LOG_LEVEL')) || browserLevel() || defaultLevel; // first configured source wins
+}
+
+function setLevel(level){ // forces a level until reset with setLevel(null)
+ if(level === null || level === undefined){ override = null; return getLevel(); } // clears the override
+ const name = normalize(level); // validated level name
+ if(!name){ throw new Error(`Unknown log level ${level}, expected one of ${levels.join(', ')}`); } // typos should not fail silently
+ override = name; // applies to every later call
+ return name; // confirms the active level
+}
+
+function setStream(name){ // picks the output stream until reset with setStream(null)
+ if(name === null || name === undefined){ stream = null; return stream; } // per-level console methods again
+ if(name !== 'stderr'){ throw new Error(`Unknown log stream ${name}, expected stderr or null`); } // stdout is the default already
+ stream = name; // applies to every later record
+ return stream; // confirms the active stream
+}
+
+function enabled(level){ // true when messages at level would be written
+ return levels.indexOf(level) > 0 && levels.indexOf(level) <= levels.indexOf(getLevel()); // silent is never a message level
+}
+
+function format(){ // text or json output style
+ const value = env('QORECSS_LOG_FORMAT') || browserSetting('data-qorecss-log-format'); // env var first, then attribute
+ return String(value || '').toLowerCase() === 'json' ? 'json' : 'text'; // anything else keeps human readable text
+}
+
+/*
+ * OUTPUT
+ * Rationale: Errors are reduced to their message in JSON so the line stays
+ * serialisable; text output passes data through so consoles can expand it.
+ */
+function write(level, msg, data){ // emits one record when level is enabled
+ if(!enabled(level)){ return; } // cheap exit keeps disabled trace calls near free
+ const method = stream === 'stderr' ? 'error' : console[methods[level]] ? methods[level] : 'log'; // Node writes info and debug to stdout, older consoles lack them
+ if(format() === 'json'){
+  const record = {time: new Date().toISOString(), level, name: 'qorecss', msg: String(msg)}; // stable field order for grep and jq
+  if(data !== undefined){ record.data = data instanceof Error ? {message: data.message, code: data.code} : data; } // Error objects serialise to {}
+  let line; // serialised record
+  try { line = JSON.stringify(record); } catch { line = JSON.stringify({...record, data: String(data)}); } // circular data falls back to text
+  console[method](line); // one JSON document per line
+  return;
+ }
+ if(data === undefined){ console[method](`[qorecss] ${msg}`); } else { console[method](`[qorecss] ${msg}`, data); } // prefix identifies the source in mixed logs
+}
+
+const debug = (msg, data) => write('debug', msg, data); // entry and return trace
+const info = (msg, data) => write('info', msg, data); // notable progress such as build output
+const warn = (msg, data) => write('warn', msg, data); // degraded but working behaviour
+const error = (msg, data) => write('error', msg, data); // failed operations
+
+module.exports = {debug, info, warn, error, setLevel, getLevel, setStream, enabled, levels}; // shared by index.js, lib/ and scripts/
@@ -0,0 +1,120 @@
+/*
+ * BUILD MANIFEST - qore-manifest.json WRITTEN BY scripts/build.js
+ *
+ * PURPOSE AND RATIONALE:
+ * build.hash holds one 8 character string, so updateHtml.js, purge-cdn.js,
+ * performance.js and the deploy workflow each rebuilt core.<hash>.min.css
+ * themselves and had no way to learn sizes, digests or any other output.
+ * The manifest lists every emitted file under a logical name with its hashed
+ * name, sizes, SRI digest and the hash of the sources it came from.
+ *
+ * FORMAT:
+ *   {manifestVersion: 1, version, hash, builtAt, files: {
+ *     'core.min.css': {file: 'core.<hash>.min.css', size: {raw, gzip, brotli},
+ *       integrity: 'sha384-...', sources: ['qore.css'], sourceHash: '<sha1>',
+ *       compressed: {gzip: 'core.<hash>.min.css.gz', brotli: '...br'}}, ...}}
+ *
+ * DESIGN DECISIONS:
+ * - Logical names are the unhashed names consumers already know, so adding
+ *   an output never changes how existing ones are looked up
+ * - gzip and brotli sizes come from the emitted variants when there are
+ *   any and are measured in memory otherwise, at the same default levels
+ * - build.hash and build.integrity are still written; readManifest() falls
+ *   back to them for builds made before the manifest existed
+ */
+
+const fs = require('fs').promises; // asynchronous reads like the scripts using the manifest
+const fsSync = require('fs'); // synchronous twin for getStylesheet() and the bundler plugins
+const path = require('path'); // resolves files against the project directory
+const crypto = require('crypto'); // SRI digests and source hashes
+const zlib = require('zlib'); // compressed sizes for outputs without variants
+const log = require('./log'); // leveled trace output shared with index.js
+
+const MANIFEST_FILE = 'qore-manifest.json'; // written next to build.hash
+const MANIFEST_VERSION = 1; // bumped when the format changes incompatibly
+
+/*
+ * FILE ENTRY
+ * Rationale: Digest and sizes are taken from the bytes on disk after the
+ * build wrote them, so they describe exactly what is deployed.
+ */
+async function fileEntry(file, opts = {}){ // manifest record for one emitted file
+ log.debug(`fileEntry is running with ${file}`); // entry log with file name
+ const cwd = opts.cwd || process.cwd(); // project directory
+ const buf = await fs.readFile(path.join(cwd, file)); // emitted bytes
+ const compressed = {}; // variants that exist on disk
+ const size = {raw: buf.length, gzip: zlib.gzipSync(buf).length, brotli: zlib.brotliCompressSync(buf).length}; // measured sizes
+ for(const kind of ['gzip', 'brotli']){
+  const variant = opts.compressed && opts.compressed[kind]; // emitted variant name
+  const stat = variant ? await fs.stat(path.join(cwd, variant)).catch(() => null) : null; // compression may have failed
+  if(stat){ compressed[kind] = variant; size[kind] = stat.size; } // shipped size wins over the estimate
+ }
+ const sources = opts.sources || []; // files the output was built from
+ const sourceHash = crypto.createHash('sha1'); // one digest over every source in order
+ for(const source of sources){ sourceHash.update(await fs.readFile(path.join(cwd, source))); } // sources are read as bytes
+ const entry = {file, size, integrity: `sha384-${crypto.createHash('sha384').update(buf).digest('base64')}`, sources, sourceHash: sourceHash.digest('hex')}; // record fields
+ if(Object.keys(compressed).length){ entry.compressed = compressed; } // only outputs with variants
+ log.debug(`fileEntry is returning ${JSON.stringify(entry)}`); // exit log with record
+ return entry; // record for manifest.files
+}
+
+/*
+ * MANIFEST READER
+ * Rationale: Scripts run against builds from older versions too, so without
+ * qore-manifest.json the core entry is rebuilt from build.hash and the
+ * optional build.integrity. When neither exists the ENOENT of build.hash is
+ * rethrown so callers keep their existing missing-build handling.
+ */
+async function readManifest(cwd = process.cwd()){ // parsed manifest, marked legacy when rebuilt
+ log.debug(`readManifest is running with ${cwd}`); // entry log with directory
+ const manifestPath = path.join(cwd, MANIFEST_FILE); // preferred source
+ const found = await fs.access(manifestPath).then(() => true, err => { if(err.code === 'ENOENT'){ return false; } throw err; }); // other errors are real failures
+ if(found){
+  const manifest = parseManifest(await fs.readFile(manifestPath, 'utf8')); // validated document
+  log.debug(`readManifest is returning ${manifest.hash}`); // exit log with build hash
+  return manifest; // current format
+ }
+ const hashPath = path.join(cwd, 'build.hash'); // single value file from older builds
+ await fs.access(hashPath); // rejects with ENOENT when there is no build at all
+ const hash = (await fs.readFile(hashPath, 'utf8')).trim(); // content hash of the core file
+ const integrity = await fs.readFile(path.join(cwd, 'build.integrity'), 'utf8').then(data => data.trim(), err => { if(err.code === 'ENOENT'){ return ''; } throw err; }); // digest is optional
+ log.debug(`readManifest is returning legacy ${hash}`); // exit log with build hash
+ return legacyManifest(hash, integrity); // rebuilt subset
+}
+
+/*
+ * SYNCHRONOUS MANIFEST READER
+ * Rationale: getStylesheet() and the bundler plugins are synchronous APIs;
+ * this reads the same files with the same fallback and errors.
+ */
+function readManifestSync(cwd = process.cwd()){ // parsed manifest, marked legacy when rebuilt
+ log.debug(`readManifestSync is running with ${cwd}`); // entry log with directory
+ const manifestPath = path.join(cwd, MANIFEST_FILE); // preferred source
+ if(fsSync.existsSync(manifestPath)){
+  const manifest = parseManifest(fsSync.readFileSync(manifestPath, 'utf8')); // validated document
+  log.debug(`readManifestSync is returning ${manifest.hash}`); // exit log with build hash
+  return manifest; // current format
+ }
+ const hash = fsSync.readFileSync(path.join(cwd, 'build.hash'), 'utf8').trim(); // throws ENOENT when there is no build at all
+ const integrityPath = path.join(cwd, 'build.integrity'); // digest of older builds
+ const integrity = fsSync.existsSync(integrityPath) ? fsSync.readFileSync(integrityPath, 'utf8').trim() : ''; // digest is optional
+ log.debug(`readManifestSync is returning legacy ${hash}`); // exit log with build hash
+ return legacyManifest(hash, integrity); // rebuilt subset
+}
+
+function parseManifest(text){ // validated manifest from file contents
+ let manifest; // parsed document
+ try { manifest = JSON.parse(text); } catch(err){ throw new Error(`${MANIFEST_FILE} is not valid JSON: ${err.message}`); } // names the file in the error
+ if(!manifest || !manifest.files || !manifest.files['core.min.css']){ throw new Error(`${MANIFEST_FILE} has no core.min.css entry`); } // every build emits the core file
+ return manifest; // current format
+}
+
+function legacyManifest(hash, integrity){ // manifest shape rebuilt from build.hash and build.integrity
+ return {manifestVersion: MANIFEST_VERSION, version: null, hash, builtAt: null, legacy: true, files: {'core.min.css': {file: `core.${hash}.min.css`, integrity}}}; // only what the old files record
+}
+
+function emittedFiles(manifest){ // every file a deploy should publish, variants included
+ return Object.values(manifest.files).reduce((all, entry) => all.concat(entry.file, Object.values(entry.compressed || {})), []); // hashed names and compressed copies
+}
+
+module.exports = {MANIFEST_FILE, MANIFEST_VERSION, fileEntry, readManifest, readManifestSync, emittedFiles}; // used by scripts/build.js, index.js, lib/bundler.js and the scripts that consume the build
@@ -0,0 +1,127 @@
+/*
+ * STATIC ASSET MIDDLEWARE - SELF-HOSTING WITHOUT NGINX
+ *
+ * PURPOSE AND RATIONALE:
+ * deployment/nginx.conf and docs/self-hosting.md describe how qoreCSS files
+ * should be served: precompressed .br/.gz variants, a year-long immutable cache
+ * for hashed files, ETag and Last-Modified validators and 304 responses. Node
+ * services without nginx in front had to reimplement those rules by hand. This
+ * module returns an Express/Connect compatible (req, res, next) handler that
+ * applies them to the package stylesheets.
+ *
+ * DESIGN DECISIONS:
+ * - Only a fixed set of names is served (qore.css, variables*.css,
+ *   core.<hash>.min.css and variables.<hash>.css) so the handler can never
+ *   expose other package files
+ * - Unhashed files get Cache-Control: no-cache because their content changes
+ *   without a new name; hashed files are immutable like the nginx snippet
+ * - ETags are derived from size and mtime of the file actually sent, so the
+ *   brotli, gzip and identity variants validate independently
+ * - Unknown paths and non GET/HEAD methods call next() so the middleware can
+ *   be mounted at any prefix alongside other routes
+ */
+
+const fs = require('fs'); // streams file bodies to the response
+const fsp = fs.promises; // stat calls without blocking the event loop
+const path = require('path'); // joins request names onto the asset root
+const log = require('./log'); // leveled trace output shared with index.js
+
+const hashedPattern = /^(?:core\.[a-f0-9]{8,40}\.min\.css|variables\.[a-f0-9]{8,40}\.css)$/; // build.js output names, the only immutable assets
+const plainFiles = ['qore.css', 'variables.css', 'variables.light.css']; // source stylesheets shipped in the package
+const immutableCache = 'public, max-age=31536000, immutable'; // matches deployment/nginx.conf add_header
+const encodings = [{name: 'br', ext: '.br'}, {name: 'gzip', ext: '.gz'}]; // preference order, brotli compresses CSS best
+
+/*
+ * ACCEPT-ENCODING NEGOTIATION
+ * Rationale: Clients may list encodings with q-values, including q=0 to refuse
+ * one. Returns encodings the client accepts in server preference order; the
+ * caller picks the first whose precompressed file exists.
+ */
+function acceptedEncodings(header){ // parses Accept-Encoding into acceptable encoding entries
+ log.debug(`acceptedEncodings is running with ${header}`); // entry log with raw header
+ const weights = new Map(); // encoding name to q-value
+ String(header || '').split(',').forEach(part => {
+  const [name, ...params] = part.trim().toLowerCase().split(';'); // token plus optional parameters
+  if(!name){ return; } // empty segment from trailing comma
+  const q = params.map(p => p.trim()).find(p => p.startsWith('q=')); // quality parameter if present
+  weights.set(name, q ? parseFloat(q.slice(2)) : 1); // missing q means fully acceptable
+ });
+ const result = encodings.filter(e => { const q = weights.has(e.name) ? weights.get(e.name) : weights.get('*'); return q > 0; }); // explicit weight wins over wildcard
+ log.debug(`acceptedEncodings is returning ${result.map(e => e.name).join(',')}`); // logs negotiated candidates
+ return result; // candidate encodings in preference order
+}
+
+/*
+ * CONDITIONAL REQUEST CHECK
+ * Rationale: If-None-Match takes precedence over If-Modified-Since per RFC 9110,
+ * so dates are only compared when the client sent no ETag list.
+ */
+function isFresh(req, etag, mtime){ // true when the client copy is current
+ log.debug(`isFresh is running with ${etag}`); // entry log with current validator
+ const noneMatch = req.headers['if-none-match']; // ETag list from client cache
+ const modifiedSince = req.headers['if-modified-since']; // date from client cache
+ let result = false; // default sends the full body
+ if(noneMatch){
+  result = noneMatch.trim() === '*' || noneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag); // weak comparison as for GET
+ } else if(modifiedSince){
+  const since = Date.parse(modifiedSince); // NaN for malformed dates
+  result = !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since; // HTTP dates have second precision
+ }
+ log.debug(`isFresh is returning ${result}`); // logs freshness decision
+ return result; // whether to answer 304
+}
+
+/*
+ * MIDDLEWARE FACTORY
+ * Rationale: opts.root defaults to the package directory so the handler serves
+ * the files getStylesheet() resolves; projects with their own build output can
+ * point root at it instead.
+ */
+function middleware(opts = {}){ // builds an Express/Connect request handler
+ log.debug(`middleware is running with ${JSON.stringify(opts)}`); // entry log with options
+ const root = path.resolve(opts.root || path.join(__dirname, '..')); // asset directory, package root by default
+ async function qorecssMiddleware(req, res, next){ // serves one stylesheet request
+  try {
+   if(req.method !== 'GET' && req.method !== 'HEAD'){ return next(); } // other methods belong to later handlers
+   let name; // requested file name without prefix or query
+   try { name = decodeURIComponent(String(req.url || '').split('?')[0]).replace(/^\/+/, ''); } catch { return next(); } // malformed escapes are not our assets
+   const hashed = hashedPattern.test(name); // immutable build artifact
+   if(!hashed && !plainFiles.includes(name)){ return next(); } // anything else, including traversal attempts, is passed on
+   const file = path.join(root, name); // identity variant location
+   let stat = await fsp.stat(file).catch(() => null); // missing files fall through to later handlers
+   if(!stat || !stat.isFile()){ return next(); } // e.g. hashed file from a previous build
+   let sent = file; // file whose bytes are sent
+   let encoding = null; // Content-Encoding when a compressed variant is used
+   for(const e of acceptedEncodings(req.headers['accept-encoding'])){
+    const candidate = await fsp.stat(file + e.ext).catch(() => null); // build.js precompressed output
+    if(candidate && candidate.isFile()){ sent = file + e.ext; stat = candidate; encoding = e.name; break; } // first accepted variant on disk wins
+   }
+   const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`; // size and mtime, distinct per variant
+   res.setHeader('Content-Type', 'text/css; charset=utf-8'); // all served assets are stylesheets
+   res.setHeader('Cache-Control', hashed ? immutableCache : 'no-cache'); // year-long cache only when the name changes with content
+   res.setHeader('ETag', etag); // validator for If-None-Match
+   res.setHeader('Last-Modified', stat.mtime.toUTCString()); // validator for If-Modified-Since
+   res.setHeader('Vary', 'Accept-Encoding'); // shared caches must key on encoding
+   if(encoding){ res.setHeader('Content-Encoding', encoding); } // tells the client to decode the precompressed body
+   if(isFresh(req, etag, stat.mtime)){ // client copy still valid
+    res.statusCode = 304; // Not Modified
+    ['Content-Type', 'Content-Encoding'].forEach(h => res.removeHeader(h)); // 304 carries no representation
+    res.end(); // no body
+    log.debug(`qorecssMiddleware is returning 304 for ${name}`); // logs revalidation
+    return;
+   }
+   res.statusCode = 200; // full response
+   res.setHeader('Content-Length', stat.size); // size of the variant actually sent
+   if(req.method === 'HEAD'){ res.end(); log.debug(`qorecssMiddleware is returning HEAD for ${name}`); return; } // headers only
+   fs.createReadStream(sent).on('error', next).pipe(res); // streams body without buffering whole file
+   log.debug(`qorecssMiddleware is returning ${path.basename(sent)}`); // logs served variant
+  } catch(err){
+   log.error('qorecssMiddleware failed:', err.message); // logs unexpected failures
+   next(err); // hands the error to the framework's error handler
+  }
+ }
+ log.debug(`middleware is returning qorecssMiddleware`); // exit log
+ return qorecssMiddleware; // handler for app.use()
+}
+
+module.exports = {middleware, acceptedEncodings, isFresh}; // exports factory plus helpers for tests
@@ -0,0 +1,84 @@
+/*
+ * POSTCSS PLUGIN - qorecss/postcss
+ *
+ * PURPOSE AND RATIONALE:
+ * Rebranding through setTheme() or a second stylesheet costs an extra request
+ * and shows the default colors until it applies. This plugin inlines the
+ * package stylesheets into a project's own PostCSS pipeline with token
+ * overrides written straight into :root, so the project ships one themed file
+ * that its cssnano step can minify together with its own rules.
+ *
+ * DESIGN DECISIONS:
+ * - An @import "qorecss" rule marks where the stylesheets go. Files without
+ *   one are left alone, because multi-file pipelines (CSS modules, several
+ *   entries) would otherwise get the whole framework in every output;
+ *   prepend: true opts a single-entry pipeline into prepending instead
+ * - include lists the package sheets to inline, variables.css and qore.css by
+ *   default; variables.light.css can be added for the light token set, which
+ *   is scoped to prefers-color-scheme and [data-theme="light"] like the build
+ * - Overrides reuse lib/bundler.js applyTokens(), which rejects names that
+ *   variables.css does not declare; when variables.css is not included the
+ *   overrides become a :root rule after the core sheet
+ * - postcss itself comes from the plugin helpers, so this package does not
+ *   need it at runtime and the project's PostCSS version is used
+ *
+ * Usage: plugins: [require('qorecss/postcss')({tokens: {'--color-dominant': '#0a0'}}), require('cssnano')]
+ */
+
+const fs = require('fs'); // reads the package stylesheets
+const path = require('path'); // resolves files under the package root
+const log = require('./log'); // leveled trace output shared with index.js
+const {applyTokens, lightScheme} = require('./bundler'); // validated token rewriting and light scheme rules shared with the build
+
+const sheets = ['variables.css', 'variables.light.css', 'qore.css']; // inlinable files in cascade order
+const importNames = ['qorecss', 'qorecss/qore.css']; // @import targets replaced by the plugin
+
+/*
+ * STYLESHEET SOURCE
+ * Rationale: Files are concatenated in cascade order regardless of the order
+ * in include, because qore.css rules need the tokens declared before them.
+ */
+function sourceFor(opts){ // [{file, css}] to inline
+ log.debug(`sourceFor is running with ${JSON.stringify(opts)}`); // entry log with plugin options
+ const root = path.resolve(opts.root || path.join(__dirname, '..')); // installed package directory by default
+ const include = opts.include || ['variables.css', 'qore.css']; // default pair
+ const unknown = include.filter(f => !sheets.includes(f)); // typos and files the package does not ship
+ if(unknown.length){ throw new Error(`qorecss/postcss cannot include ${unknown.join(', ')}, expected ${sheets.join(', ')}`); } // fails the build early
+ const tokens = opts.tokens || {}; // overrides keyed by custom property name
+ const varsCss = fs.readFileSync(path.join(root, 'variables.css'), 'utf8'); // validation source even when not inlined
+ const themed = applyTokens(varsCss, tokens); // throws on unknown names
+ const result = sheets.filter(f => include.includes(f)).map(f => ({file: path.join(root, f), css: f === 'variables.css' ? themed : f === 'variables.light.css' ? lightScheme(fs.readFileSync(path.join(root, f), 'utf8')) : fs.readFileSync(path.join(root, f), 'utf8')})); // cascade order
+ if(!include.includes('variables.css') && Object.keys(tokens).length){ // tokens come from elsewhere, so override after everything
+  result.push({file: path.join(root, 'variables.css'), css: `:root{${Object.keys(tokens).map(k => `${k.startsWith('--') ? k : `--${k}`}:${String(tokens[k]).trim()}`).join(';')}}`}); // single override rule
+ }
+ log.debug(`sourceFor is returning ${result.map(s => path.basename(s.file)).join(',')}`); // exit log with inlined files
+ return result; // parsed by the plugin with source positions
+}
+
+function qorecssPostcss(opts = {}){ // PostCSS plugin creator
+ log.debug(`qorecssPostcss is running with ${JSON.stringify(opts)}`); // entry log with plugin options
+ const sources = sourceFor(opts); // read once per pipeline, errors surface at config load
+ const plugin = {
+  postcssPlugin: 'qorecss', // name shown in PostCSS warnings
+  Once(root, {postcss}){ // runs once per processed file
+   let target = null; // @import "qorecss" marker
+   root.walkAtRules('import', rule => {
+    const name = rule.params.replace(/^url\(\s*|\s*\)$/g, '').replace(/["']/g, '').trim(); // bare, quoted or url() forms
+    if(!target && importNames.includes(name)){ target = rule; } // first marker wins
+    else if(importNames.includes(name)){ rule.remove(); } // duplicates would inline twice
+   });
+   if(!target && !opts.prepend){ return; } // other files of the pipeline stay as written
+   const nodes = sources.flatMap(s => postcss.parse(s.css, {from: s.file}).nodes); // source maps point into the package files
+   if(target){ target.replaceWith(nodes); } // inlined where the project asked
+   else if(opts.prepend){ // prepended after @charset, which must stay first
+    const charset = root.first && root.first.type === 'atrule' && root.first.name === 'charset' ? root.first : null; // optional leading @charset
+    if(charset){ charset.after(nodes); } else { root.prepend(nodes); } // tokens and core before project rules
+   }
+  }
+ };
+ log.debug(`qorecssPostcss is returning ${plugin.postcssPlugin}`); // exit log
+ return plugin; // plugin object for the PostCSS runner
+}
+qorecssPostcss.postcss = true; // marks the export as a PostCSS 8 plugin creator
+
+module.exports = qorecssPostcss; // require('qorecss/postcss')(opts)
@@ -0,0 +1,215 @@
+/*
+ * UNUSED SELECTOR PURGE - SHARED CORE OF scripts/purgeCss.js AND THE BUILD
+ *
+ * PURPOSE AND RATIONALE:
+ * Most pages use a few dozen of the several hundred qoreCSS classes, yet ship
+ * every rule. This module scans project content (HTML, JSX, templates) for
+ * class and id candidates and drops the rules whose selectors cannot match
+ * any of them, then measures what that saves raw and compressed.
+ *
+ * DESIGN DECISIONS:
+ * - Candidates are every word-like token in the content, not parsed class
+ *   attributes, so className={...}, template helpers and classList calls
+ *   are covered; a false positive only keeps a rule
+ * - A selector survives when every class and id it names is a candidate or
+ *   safelisted; element, attribute and :root selectors have none and always
+ *   survive, and arguments of :not(), :is() and friends are ignored
+ * - A rule keeps its surviving selectors; @media and @supports blocks are
+ *   purged recursively and dropped when empty, @keyframes and @font-face stay
+ * - The walker is hand written rather than PostCSS because the command ships
+ *   in the package, where PostCSS is only a development dependency
+ * - Globs support *, **, ? and {a,b}; node_modules and dot directories are
+ *   never scanned
+ */
+
+const fs = require('fs'); // reads content files
+const path = require('path'); // resolves globs against the working directory
+const zlib = require('zlib'); // gzip and brotli sizes for the report
+const log = require('./log'); // leveled trace output shared with index.js
+
+/*
+ * CONTENT GLOBS
+ * Rationale: Each pattern is walked from its static prefix so "src/**" does
+ * not read the whole project. A leading ! excludes matches.
+ */
+function globToRegExp(pattern){ // anchored matcher for a forward slash relative path
+ let source = ''; // regular expression being built
+ let braces = 0; // open {a,b} groups
+ for(let i = 0; i < pattern.length; i++){
+  const c = pattern[i]; // current glob character
+  if(c === '*' && pattern[i + 1] === '*'){ source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*'; i += pattern[i + 2] === '/' ? 2 : 1; } // any depth, including none
+  else if(c === '*'){ source += '[^/]*'; } // within one path segment
+  else if(c === '?'){ source += '[^/]'; } // single character
+  else if(c === '{'){ source += '(?:'; braces++; } // alternation start
+  else if(c === '}' && braces){ source += ')'; braces--; } // alternation end
+  else if(c === ',' && braces){ source += '|'; } // separator inside braces only
+  else { source += c.replace(/[.+^$()|[\]\\]/g, '\\$&'); } // literal character
+ }
+ return new RegExp(`^${source}$`); // whole path must match
+}
+
+function expandContent(patterns, cwd = process.cwd()){ // absolute paths of files matching the globs
+ log.debug(`expandContent is running with ${patterns}`); // entry log with patterns
+ const list = Array.isArray(patterns) ? patterns : String(patterns).match(/(?:\{[^}]*\}|[^,])+/g) || []; // comma separated string from env or CLI, commas inside {a,b} kept
+ const include = list.map(p => p.trim()).filter(p => p && !p.startsWith('!')); // patterns to match
+ const exclude = list.map(p => p.trim()).filter(p => p.startsWith('!')).map(p => globToRegExp(p.slice(1).replace(/^\.\//, ''))); // patterns to skip
+ const found = new Set(); // de-duplicated across overlapping patterns
+ include.forEach(pattern => {
+  const clean = pattern.replace(/\\/g, '/').replace(/^\.\//, ''); // forward slashes without ./ prefix
+  const segments = clean.split('/'); // static prefix ends at the first glob segment
+  const firstGlob = segments.findIndex(s => /[*?{]/.test(s)); // -1 for a plain file path
+  const baseRel = (firstGlob === -1 ? segments.slice(0, -1) : segments.slice(0, firstGlob)).join('/'); // directory to walk
+  const matcher = globToRegExp(path.isAbsolute(clean) ? path.relative(cwd, clean).replace(/\\/g, '/') : clean); // compared with cwd relative paths
+  const walk = dir => { // recursive directory scan
+   let entries = []; // directory listing
+   try { entries = fs.readdirSync(dir, {withFileTypes: true}); } catch { return; } // missing directories match nothing
+   entries.forEach(e => {
+    const full = path.join(dir, e.name); // absolute entry path
+    if(e.isDirectory()){ if(e.name !== 'node_modules' && !e.name.startsWith('.')){ walk(full); } return; } // dependencies and tool folders are never content
+    const rel = path.relative(cwd, full).replace(/\\/g, '/'); // path the globs are written against
+    if(matcher.test(rel) && !exclude.some(x => x.test(rel))){ found.add(full); } // included and not excluded
+   });
+  };
+  walk(path.resolve(cwd, baseRel || '.')); // scan from the static prefix
+ });
+ const result = [...found].sort(); // stable order for reports and tests
+ log.debug(`expandContent is returning ${result.length} files`); // exit log with count
+ return result; // files to scan for candidates
+}
+
+/*
+ * CANDIDATE EXTRACTION
+ * Rationale: Whole tokens cover escaped class names such as sm:hid, their
+ * word parts cover class="row center" and template concatenation.
+ */
+function extractCandidates(text, into = new Set()){ // adds class and id candidates found in text
+ const tokens = String(text).match(/[^\s"'`<>=(){};,]+/g) || []; // whitespace and markup delimited tokens
+ tokens.forEach(t => { into.add(t); (t.match(/[\w-]+/g) || []).forEach(w => into.add(w)); }); // whole token and its word parts
+ return into; // shared set across files
+}
+
+/*
+ * SAFELIST MATCHING
+ * Rationale: Classes added at runtime from data never appear in content.
+ * Entries are names (with or without . or #), RegExps, or strings with *
+ * wildcards such as "wide*" from the command line.
+ */
+function safelistTest(safelist = []){ // predicate for names that must survive
+ const list = (Array.isArray(safelist) ? safelist : String(safelist).split(',')).filter(s => s instanceof RegExp || String(s).trim()); // empty entries ignored
+ const tests = list.map(s => {
+  if(s instanceof RegExp){ return name => s.test(name); } // caller supplied pattern
+  const clean = String(s).trim().replace(/^[.#]/, ''); // bare name
+  if(!clean.includes('*')){ return name => name === clean; } // exact name
+  const re = new RegExp(`^${clean.split('*').map(p => p.replace(/[.+?^$()|[\]{}\\]/g, '\\$&')).join('.*')}$`); // wildcard pattern
+  return name => re.test(name); // prefix and suffix families
+ });
+ return name => tests.some(t => t(name)); // any entry keeps the name
+}
+
+/*
+ * CSS WALKER
+ * Rationale: Only block boundaries matter for purging, so the stylesheet is
+ * split into preludes and balanced bodies while skipping strings and
+ * comments; declarations are never parsed.
+ */
+function skipQuoted(css, i){ // index after a string or comment starting at i, or i
+ if(css[i] === '/' && css[i + 1] === '*'){ const end = css.indexOf('*/', i + 2); return end === -1 ? css.length : end + 2; } // comment
+ if(css[i] === '"' || css[i] === "'"){ // string literal
+  let j = i + 1; // scan position
+  while(j < css.length && css[j] !== css[i]){ j += css[j] === '\\' ? 2 : 1; } // escapes skip the next character
+  return j + 1; // after the closing quote
+ }
+ return i; // not quoted
+}
+
+function splitSelectors(selector){ // top level comma separated selectors
+ const parts = []; // selectors in source order
+ let depth = 0; // parenthesis and bracket depth
+ let start = 0; // start of the current selector
+ for(let i = 0; i < selector.length; i++){
+  const next = skipQuoted(selector, i); // strings inside attribute selectors
+  if(next !== i){ i = next - 1; continue; } // loop increment moves past it
+  const c = selector[i]; // current character
+  if(c === '(' || c === '['){ depth++; } else if(c === ')' || c === ']'){ depth--; } // nesting
+  else if(c === ',' && depth === 0){ parts.push(selector.slice(start, i)); start = i + 1; } // selector boundary
+ }
+ parts.push(selector.slice(start)); // last selector
+ return parts.map(p => p.trim()).filter(Boolean); // without surrounding whitespace
+}
+
+function selectorNames(selector){ // class and id names a selector requires
+ let bare = selector.replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '').replace(/\[[^\]]*\]/g, ''); // strings and attribute selectors name no classes
+ let prev; // previous pass for nested parentheses
+ do { prev = bare; bare = bare.replace(/\([^()]*\)/g, ''); } while(bare !== prev); // :not(.x) and :is(.a, .b) arguments never require a name
+ return Array.from(bare.matchAll(/[.#]((?:\\.|[\w-]|[^\x00-\x7f])+)/g), m => m[1].replace(/\\(.)/g, '$1')); // unescaped names
+}
+
+function purgeBlock(css, keepName, removed){ // purged text of a block of rules
+ let out = ''; // kept text
+ let i = 0; // scan position
+ while(i < css.length){
+  let j = i; // prelude scan
+  while(j < css.length && css[j] !== '{' && css[j] !== ';' && css[j] !== '}'){ const next = skipQuoted(css, j); j = next !== j ? next : j + 1; } // finds where the statement ends
+  if(j >= css.length || css[j] !== '{'){ out += css.slice(i, j + 1); i = j + 1; continue; } // @import, @charset, trailing text and stray braces are kept
+  let depth = 1; // brace depth inside the body
+  let k = j + 1; // body scan
+  while(k < css.length && depth){ const next = skipQuoted(css, k); if(next !== k){ k = next; continue; } if(css[k] === '{'){ depth++; } else if(css[k] === '}'){ depth--; } k++; } // matching close brace
+  const prelude = css.slice(i, j); // leading comments and whitespace plus selector or at-rule
+  const lead = (prelude.match(/^(?:\s|\/\*[\s\S]*?\*\/)*/) || [''])[0]; // text before the selector
+  const head = prelude.slice(lead.length); // selector list or at-rule prelude
+  const body = css.slice(j + 1, k - 1); // declarations or nested rules
+  if(/^@(?:media|supports|layer|container|document)\b/i.test(head)){ // conditional groups hold rules
+   const inner = purgeBlock(body, keepName, removed); // purged nested rules
+   if(inner.replace(/\/\*[\s\S]*?\*\//g, '').trim()){ out += `${lead}${head}{${inner}}`; } // empty groups are dropped
+  } else if(head.startsWith('@')){ out += css.slice(i, k); } // @keyframes, @font-face and @page are kept whole
+  else {
+   const selectors = splitSelectors(head); // individual selectors
+   const kept = selectors.filter(s => selectorNames(s).every(keepName)); // selectors that can still match
+   selectors.filter(s => !kept.includes(s)).forEach(s => removed.push(s)); // reported as removed
+   if(kept.length === selectors.length){ out += css.slice(i, k); } // untouched rule keeps its formatting
+   else if(kept.length){ out += `${lead}${kept.join(', ')}${/\s$/.test(head) ? ' ' : ''}{${body}}`; } // rule with fewer selectors
+  }
+  i = k; // continue after the block
+ }
+ return out; // purged block text
+}
+
+/*
+ * PURGE
+ * Rationale: Returns the text and the removed selectors so callers can
+ * report or assert on them; the input is never modified.
+ */
+function purgeCss(css, candidates, opts = {}){ // {css, removed} with unused rules dropped
+ log.debug(`purgeCss is running with ${css.length} chars,${candidates.size} candidates`); // entry log with sizes
+ const safe = safelistTest(opts.safelist); // runtime classes kept regardless of content
+ const keepName = name => candidates.has(name) || safe(name); // used or safelisted
+ const removed = []; // selectors dropped from the stylesheet
+ const result = purgeBlock(css, keepName, removed).replace(/\n{3,}/g, '\n\n'); // collapses gaps left by dropped rules
+ log.debug(`purgeCss is returning ${result.length} chars,${removed.length} removed`); // exit log with outcome
+ return {css: result, removed}; // purged text and what was dropped
+}
+
+/*
+ * SIZE REPORT
+ * Rationale: Savings on the wire matter more than raw bytes, since repeated
+ * selectors compress well; both compressions are measured at default levels.
+ */
+function measure(css){ // raw, gzip and brotli byte sizes
+ const buf = Buffer.from(css); // byte length differs from string length for non-ASCII
+ return {raw: buf.length, gzip: zlib.gzipSync(buf).length, brotli: zlib.brotliCompressSync(buf).length}; // sizes in bytes
+}
+
+function sizeReport(before, after){ // before, after and saved sizes of a purge
+ log.debug(`sizeReport is running with ${before.length},${after.length}`); // entry log with text lengths
+ const b = measure(before); // original sizes
+ const a = measure(after); // purged sizes
+ const result = {before: b, after: a, saved: {raw: b.raw - a.raw, gzip: b.gzip - a.gzip, brotli: b.brotli - a.brotli}}; // differences per encoding
+ log.debug(`sizeReport is returning ${JSON.stringify(result.saved)}`); // exit log with savings
+ return result; // shape printed by formatReport
+}
+
+function formatReport(report){ // one line per encoding for the console
+ return ['raw', 'gzip', 'brotli'].map(k => `${k}: ${report.before[k]} -> ${report.after[k]} bytes (saved ${report.saved[k]})`).join('\n'); // human readable summary
+}
+
+module.exports = {expandContent, extractCandidates, purgeCss, sizeReport, formatReport, skipQuoted, splitSelectors}; // used by scripts/purgeCss.js and scripts/build.js, walker helpers by lib/classes.js
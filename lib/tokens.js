@@ -0,0 +1,96 @@
+/*
+ * DESIGN TOKEN PARSER - variables.css AS STRUCTURED DATA
+ *
+ * PURPOSE AND RATIONALE:
+ * Design and documentation tooling needs the tokens in variables.css as data
+ * rather than CSS text. This module turns every custom property declared in a
+ * :root block into a record carrying:
+ *
+ * 1. name: the custom property (e.g. --bg-btn)
+ * 2. value: the raw declared value (e.g. var(--color-bright))
+ * 3. resolved: the value with var() chains followed to literals (e.g. #b97a6e)
+ * 4. category: derived from the section heading comment above the token
+ * 5. description: the trailing inline comment on the declaration line
+ *
+ * DESIGN DECISIONS:
+ * - A single regex walks comments and declarations in source order so section
+ *   headings apply to the tokens that follow them, exactly as a reader sees it
+ * - Only :root blocks are scanned; the html background rule is not a token
+ * - Category is the first word of the heading (GRAYSCALE COLOR SYSTEM becomes
+ *   grayscale) which matches the token name prefixes used in the file;
+ *   BORDER SYSTEM is published as borders, the name design tooling uses
+ * - Cycles and unknown references are left as var() text instead of throwing so
+ *   a half-edited variables.css still produces usable output
+ */
+
+const fs = require('fs'); // reads variables.css when a path is provided
+const path = require('path'); // resolves the package default variables.css
+const log = require('./log'); // leveled trace output shared with index.js
+
+const categoryNames = {border: 'borders'}; // heading words published under another category name
+
+/*
+ * VAR() CHAIN RESOLUTION
+ * Rationale: Recursion with a seen set follows arbitrarily deep references
+ * while stopping at cycles. Fallback values in var(--x, fallback) are used
+ * only when --x is not defined, mirroring browser behavior.
+ */
+function resolveValue(value, rawMap, seen = new Set()){ // replaces var() references with resolved values
+ log.debug(`resolveValue is running with ${value}`); // entry log with raw value
+ const result = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g, (match, ref, fallback) => { // visits each reference
+  if(seen.has(ref)){ return match; } // cycle detected so reference stays literal
+  if(!rawMap.has(ref)){ return fallback !== undefined ? resolveValue(fallback.trim(), rawMap, seen) : match; } // unknown name uses fallback when present
+  return resolveValue(rawMap.get(ref), rawMap, new Set([...seen, ref])); // follows chain with updated cycle guard
+ });
+ log.debug(`resolveValue is returning ${result}`); // exit log with resolved value
+ return result; // value without resolvable var() references
+}
+
+/*
+ * TOKEN EXTRACTION
+ * Rationale: Works on CSS text so callers can parse files that are not on disk
+ * (e.g. a PostCSS root or a fetched stylesheet). Declarations inside the same
+ * :root keep their source order in the returned array.
+ */
+function parseTokens(cssText){ // converts variables.css text into token records
+ log.debug(`parseTokens is running with ${cssText.length} chars`); // entry log with input size
+ try {
+  const tokens = []; // records in declaration order
+  const rootBlocks = Array.from(cssText.matchAll(/:root\s*\{([^}]*)\}/g), m => m[1]); // bodies of every :root rule
+  rootBlocks.forEach(body => {
+   let category = 'general'; // tokens declared before any heading
+   const walker = /\/\*([\s\S]*?)\*\/|(--[\w-]+)\s*:\s*([^;]*);[ \t]*(?:\/\*([\s\S]*?)\*\/)?/g; // comment block or declaration with optional same-line comment
+   for(const m of body.matchAll(walker)){
+    if(m[1] !== undefined){ // standalone comment block
+     const heading = m[1].split('\n').map(l => l.replace(/^\s*\*?\s*/, '').trim()).find(Boolean) || ''; // first non-empty comment line
+     if(/^[A-Z][A-Z0-9 &/-]+$/.test(heading)){ const word = heading.split(/\s+/)[0].toLowerCase(); category = categoryNames[word] || word; } // uppercase lines are section headings
+     continue; // rationale paragraphs carry no token data
+    }
+    tokens.push({name: m[2], value: m[3].trim(), category, description: (m[4] || '').trim()}); // raw token awaiting resolution
+   }
+  });
+  const rawMap = new Map(tokens.map(t => [t.name, t.value])); // lookup used by var() resolution, later declarations win like the cascade
+  const result = tokens.map(t => ({name: t.name, value: t.value, resolved: resolveValue(t.value, rawMap, new Set([t.name])), category: t.category, description: t.description})); // final shape with resolved values
+  log.debug(`parseTokens is returning ${result.length} tokens`); // exit log with count
+  return result; // ordered token records
+ } catch(err){
+  log.error('parseTokens failed:', err.message); // logs unexpected parse failures
+  throw err; // callers need to know the tokens are unavailable
+ }
+}
+
+/*
+ * FILE-BASED TOKEN LOADING
+ * Rationale: Defaults to the package's own variables.css so
+ * require('qorecss').getTokens() works with no arguments, while {file} lets
+ * projects with a customized copy parse theirs.
+ */
+function getTokens(opts = {}){ // reads and parses a variables stylesheet
+ log.debug(`getTokens is running with ${JSON.stringify(opts)}`); // entry log with options
+ const file = opts.file || path.join(__dirname, '..', 'variables.css'); // package default sits one level above lib/
+ const result = parseTokens(fs.readFileSync(file, 'utf8')); // synchronous like the other path helpers
+ log.debug(`getTokens is returning ${result.length} tokens`); // exit log with count
+ return result; // ordered token records
+}
+
+module.exports = {parseTokens, resolveValue, getTokens}; // exports parser pieces for the CLI and tests
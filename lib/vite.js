@@ -0,0 +1,59 @@
+/*
+ * VITE PLUGIN - qorecss/vite
+ *
+ * PURPOSE AND RATIONALE:
+ * Vite apps had to copy core.<hash>.min.css into public/ after every qoreCSS
+ * upgrade and write the <link> tags themselves. This plugin emits the hashed
+ * stylesheet and variables.css (with optional token overrides) into the build
+ * output, or points at the CDN copy, and prepends the links to index.html.
+ *
+ * DESIGN DECISIONS:
+ * - Assets are prepared once in configResolved so a token typo fails at
+ *   startup rather than after the bundle is written
+ * - Files go to build.assetsDir next to Vite's own assets, with their content
+ *   hashed names kept as is (emitFile fileName, not name)
+ * - The dev server answers the same URLs from memory so index.html works
+ *   unchanged in vite dev and vite build
+ * - Links are prepended to <head> so app stylesheets still override qoreCSS
+ *
+ * Usage: plugins: [qorecss({tokens: {'--color-dominant': '#0a6'}, cdn: false})]
+ */
+
+const {prepareAssets, linkAttributes} = require('./bundler'); // shared asset preparation
+const log = require('./log'); // leveled trace output shared with index.js
+
+function qorecssVite(opts = {}){ // returns a Vite plugin object
+ log.debug(`qorecssVite is running with ${JSON.stringify(opts)}`); // entry log with plugin options
+ let assets = []; // prepared stylesheets, filled in configResolved
+ let base = '/'; // Vite base URL
+ let assetsDir = 'assets'; // output subdirectory for emitted files
+ const href = a => linkAttributes(a, `${base}${assetsDir}/`); // link attributes under the resolved public path
+ const plugin = {
+  name: 'qorecss', // shown in Vite warnings and plugin ordering
+  configResolved(config){ // reads base and assetsDir once Vite merged its config
+   base = config.base ? (config.base.endsWith('/') ? config.base : `${config.base}/`) : '/'; // './' and '/app/' both need a trailing slash
+   assetsDir = opts.assetsDir || (config.build && config.build.assetsDir) || 'assets'; // option overrides Vite's directory
+   assets = prepareAssets(opts); // throws on unknown tokens before any work is done
+  },
+  configureServer(server){ // serves emitted files during vite dev
+   server.middlewares.use((req, res, next) => {
+    const url = String(req.url || '').split('?')[0]; // path without cache busting query
+    const asset = assets.find(a => a.fileName && url.endsWith(`/${assetsDir}/${a.fileName}`)); // in-memory stylesheet for this URL
+    if(!asset){ next(); return; } // everything else belongs to Vite
+    res.setHeader('Content-Type', 'text/css; charset=utf-8'); // stylesheets only
+    res.end(asset.source); // no caching headers in dev
+   });
+  },
+  generateBundle(){ // adds the stylesheets to the build output
+   assets.filter(a => a.fileName).forEach(a => this.emitFile({type: 'asset', fileName: `${assetsDir}/${a.fileName}`, source: a.source})); // CDN references emit nothing
+  },
+  transformIndexHtml(){ // prepends the links to every HTML entry
+   if(opts.inject === false){ return []; } // apps that place links themselves
+   return assets.map(a => ({tag: 'link', attrs: href(a), injectTo: 'head-prepend'})); // variables before core
+  }
+ };
+ log.debug(`qorecssVite is returning ${plugin.name}`); // exit log
+ return plugin; // goes into the plugins array
+}
+
+module.exports = qorecssVite; // default export for import qorecss from 'qorecss/vite'
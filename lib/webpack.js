@@ -0,0 +1,71 @@
+/*
+ * WEBPACK PLUGIN - qorecss/webpack
+ *
+ * PURPOSE AND RATIONALE:
+ * The webpack counterpart of qorecss/vite. It emits the hashed stylesheet and
+ * variables.css (with optional token overrides) as compilation assets, or
+ * points at the CDN copy, and prepends the links to pages generated by
+ * html-webpack-plugin.
+ *
+ * DESIGN DECISIONS:
+ * - Requires webpack 5, whose compiler exposes webpack.sources and the
+ *   processAssets stage; no webpack import is needed
+ * - html-webpack-plugin is taken from the configured plugins so its hooks are
+ *   the ones of the copy actually running; without it only assets are emitted
+ * - publicPath follows output.publicPath unless it is "auto" or a function,
+ *   in which case links are relative to the HTML file
+ *
+ * Usage: plugins: [new HtmlWebpackPlugin(), new QorecssWebpackPlugin({cdn: true})]
+ */
+
+const {prepareAssets, linkAttributes} = require('./bundler'); // shared asset preparation
+const log = require('./log'); // leveled trace output shared with index.js
+
+const pluginName = 'QorecssWebpackPlugin'; // tap name shown in webpack stats
+
+class QorecssWebpackPlugin {
+ constructor(opts = {}){
+  this.opts = opts; // tokens, cdn, variables, assetsDir, publicPath, inject
+ }
+
+ /*
+  * HTML PLUGIN LOOKUP
+  * Rationale: Two installed copies of html-webpack-plugin keep separate hook
+  * maps, so the constructor of the registered instance is preferred over
+  * require(); the require fallback covers plugins added by presets.
+  */
+ htmlPlugin(compiler){ // html-webpack-plugin class or null
+  log.debug(`htmlPlugin is running with ${compiler.context}`); // entry log with project directory
+  const registered = (compiler.options.plugins || []).find(p => p && p.constructor && typeof p.constructor.getHooks === 'function'); // instance in webpack config
+  let result = registered ? registered.constructor : null; // hooks of the running copy
+  if(!result){ try { result = require(require.resolve('html-webpack-plugin', {paths: [compiler.context]})); } catch { result = null; } } // project dependency when not listed directly
+  log.debug(`htmlPlugin is returning ${result ? 'html-webpack-plugin' : null}`); // exit log
+  return result; // null means no HTML injection
+ }
+
+ apply(compiler){ // registers compilation hooks
+  log.debug(`apply is running with ${JSON.stringify(this.opts)}`); // entry log with plugin options
+  const {Compilation, sources} = compiler.webpack; // webpack 5 APIs without importing webpack
+  const assets = prepareAssets(this.opts); // throws on unknown tokens before compiling
+  const dir = this.opts.assetsDir || 'assets'; // output subdirectory for emitted files
+  const HtmlPlugin = this.opts.inject === false ? null : this.htmlPlugin(compiler); // skipped when apps place links themselves
+  if(this.opts.inject !== false && !HtmlPlugin){ log.info('html-webpack-plugin not found, qorecss links were not injected'); } // assets are still emitted
+  compiler.hooks.thisCompilation.tap(pluginName, compilation => {
+   compilation.hooks.processAssets.tap({name: pluginName, stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL}, () => {
+    assets.filter(a => a.fileName).forEach(a => compilation.emitAsset(`${dir}/${a.fileName}`, new sources.RawSource(a.source))); // CDN references emit nothing
+   });
+   if(!HtmlPlugin){ return; } // nothing to inject into
+   const configured = this.opts.publicPath !== undefined ? this.opts.publicPath : compilation.outputOptions.publicPath; // explicit option wins
+   const publicPath = typeof configured === 'string' && configured !== 'auto' ? configured : ''; // relative to the HTML file otherwise
+   const prefix = `${publicPath}${publicPath && !publicPath.endsWith('/') ? '/' : ''}${dir}/`; // directory the assets were emitted to
+   HtmlPlugin.getHooks(compilation).alterAssetTagGroups.tap(pluginName, data => {
+    const tags = assets.map(a => ({tagName: 'link', voidTag: true, attributes: linkAttributes(a, prefix), meta: {plugin: pluginName}})); // variables before core
+    data.headTags.unshift(...tags); // app stylesheets later in <head> still win
+    return data; // waterfall hook passes data on
+   });
+  });
+  log.debug(`apply is returning undefined`); // exit log
+ }
+}
+
+module.exports = QorecssWebpackPlugin; // new (require('qorecss/webpack'))(opts)
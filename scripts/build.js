@@ -31,25 +31,48 @@ const {pipeline} = require('stream/promises'); // Promise based pipeline for str
 const path = require('path'); // path module for cross-platform binary resolution
 const execFileAsync = promisify(execFile); // Promise-wrapped execFile for consistent async patterns
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
-const {parseEnvBool} = require('./utils/env-config'); // standardized boolean env parsing for CODEX detection
+const log = require('../lib/log'); // leveled output, quiet unless QORECSS_LOG_LEVEL asks for more
+const {loadConfig} = require('./utils/config'); // qore.config file merged with CODEX and PURGE_* variables
+const {expandContent, extractCandidates, purgeCss, sizeReport, formatReport} = require('../lib/purge'); // optional unused rule removal
+const {describeClasses, customData} = require('../lib/classes'); // class catalog for classes.json and editor completion
+const {MANIFEST_FILE, MANIFEST_VERSION, fileEntry} = require('../lib/manifest'); // qore-manifest.json records
+const {lightScheme} = require('../lib/bundler'); // light token rules shared with the PostCSS plugin
+
+const buildInfoPattern = /(const buildInfo = (?:Object\.freeze\()?)\{[^\n]*?\}(\)?;)/; // single-line metadata literal in index.js and index.mjs
+
+/*
+ * VERSION LOOKUP
+ * Rationale: The header, buildInfo and the manifest describe the framework
+ * build, so they carry qoreCSS's own version. The build runs in the project
+ * directory, whose package.json versions the site rather than the framework
+ * and is deliberately not read.
+ */
+const version = require('../package.json').version; // qorecss package version, also when building a project
 
 /*
  * MAIN BUILD FUNCTION
  * 
  * PROCESS FLOW:
+ * 0. Sync the qore.css VERSION header with package.json
+ * 0a. Write classes.json and qore.html-data.json from the commented source
  * 1. Run PostCSS to process CSS (autoprefixer, minification, etc.)
+ * 1a. Drop rules unused by PURGE_CONTENT files when that variable is set
+ * 1b. Append light color scheme rules from variables.light.css when present
  * 2. Generate content hash from processed CSS
  * 3. Clean up old versions to prevent file accumulation
  * 4. Rename output file with hash for cache busting
  * 5. Generate compressed variants (gzip, brotli) for optimized delivery
- * 6. Persist hash for other scripts to reference
+ * 6. Persist hash and sha384 SRI digest for other scripts to reference
+ * 7. Write a content-hashed copy of variables.css for runtime injection
+ * 8. Record version, hash, build time and file sizes in index.js and index.mjs
+ * 9. List every emitted file with sizes and digests in qore-manifest.json
  * 
  * ERROR HANDLING:
  * All operations are wrapped in try/catch with detailed error context.
  * This ensures failures are properly logged and the build process can be debugged.
  */
 async function build(){ 
- console.log(`build is running with ${process.argv.length}`); // Logs function entry with argument count for debugging
+ log.debug(`build is running with ${process.argv.length}`); // Logs function entry with argument count for debugging
  try {
   /*
    * POSTCSS EXECUTION
@@ -59,25 +82,82 @@ async function build(){
    * Build verifies the PostCSS binary exists and falls back to a direct copy
    * when missing. This ensures successful builds even in minimal environments.
    */
-  if(parseEnvBool('CODEX')){ // checks offline mode using shared parser for consistency
-   await fsp.copyFile('qore.css','core.min.css'); // Skips postcss when offline
+  /*
+   * VERSION HEADER
+   * Rationale: qore.css opens with a VERSION comment that drifted from
+   * qoreCSS's package.json. Syncing it before processing keeps the source,
+   * the hashed output and qorecss.version in agreement.
+   */
+  const config = loadConfig(); // input names, hash length and purge settings
+  const inputs = config.files; // configured input file names
+  const source = await fsp.readFile(inputs.css,'utf8'); // stylesheet source with optional header
+  const synced = source.replace(/^\/\* VERSION [^*]* \*\//, `/* VERSION ${version} */`); // only an existing header is rewritten
+  if(synced !== source){ await fsp.writeFile(inputs.css, synced); } // writes file only when changed
+
+  /*
+   * CLASS CATALOG
+   * Rationale: The comments that document each class are stripped by cssnano,
+   * so the catalog is read from the source. classes.json serves tooling and
+   * developers looking classes up; qore.html-data.json gives VS Code class
+   * completion with hover docs through html.customData.
+   */
+  const classes = describeClasses(synced); // one record per class
+  await fsp.writeFile('classes.json', `${JSON.stringify(classes, null, 2)}\n`); // pretty-printed like tokens.json
+  await fsp.writeFile('qore.html-data.json', `${JSON.stringify(customData(classes), null, 2)}\n`); // VS Code custom data
+
+  if(config.offline){ // CODEX or offline in the config file
+   await fsp.copyFile(inputs.css,'core.min.css'); // Skips postcss when offline
   } else {
    const binName = process.platform === 'win32' ? 'postcss.cmd' : 'postcss'; // windows needs .cmd for npm binaries
    const binPath = path.join('node_modules','.bin',binName); // resolves correct postcss binary path cross-platform
    if(fs.existsSync(binPath)){ // verifies binary existence to avoid runtime failure
-    await execFileAsync(binPath, ['qore.css','-o','core.min.css']); // Executes local postcss when binary found
+    await execFileAsync(binPath, [inputs.css,'-o','core.min.css']); // Executes local postcss when binary found
    } else {
-    console.warn('postcss binary missing, copying qore.css'); // warns about fallback behavior when dependency absent
-    await fsp.copyFile('qore.css','core.min.css'); // Fallback mimics CODEX mode for reliability
+    log.warn(`postcss binary missing, copying ${inputs.css}`); // warns about fallback behavior when dependency absent
+    await fsp.copyFile(inputs.css,'core.min.css'); // Fallback mimics CODEX mode for reliability
    }
   }
-  
+
+  /*
+   * UNUSED RULE PURGE
+   * Rationale: Projects building their own copy can ship only the rules their
+   * pages use. PURGE_CONTENT lists comma separated content globs and
+   * PURGE_SAFELIST names classes added at runtime; see scripts/purgeCss.js.
+   * Globs matching nothing fail the build, since purging against no content
+   * would remove every class rule. The size report goes through log.info
+   * like the rest of the build output.
+   */
+  const purgeContent = config.build.purgeContent; // empty keeps the full stylesheet
+  if(purgeContent){
+   const contentFiles = expandContent(purgeContent); // project files relative to cwd
+   if(!contentFiles.length){ throw new Error(`PURGE_CONTENT matches no files: ${purgeContent}`); } // refuses to strip everything
+   const candidates = new Set(); // class and id candidates across all files
+   for(const file of contentFiles){ extractCandidates(await fsp.readFile(file,'utf8'), candidates); } // sequential reads keep memory flat
+   const full = await fsp.readFile('core.min.css','utf8'); // processed stylesheet
+   const purged = purgeCss(full, candidates, {safelist: config.build.purgeSafelist}); // unused rules dropped
+   await fsp.writeFile('core.min.css', purged.css); // hashed below like an unpurged build
+   log.info(`purge removed ${purged.removed.length} selectors using ${contentFiles.length} content files\n${formatReport(sizeReport(full, purged.css))}`); // savings raw and compressed
+  }
+
+  /*
+   * COLOR SCHEME EMISSION
+   * Rationale: variables.light.css holds only the tokens that differ in the light
+   * scheme. They are appended to the processed CSS before hashing so the hash
+   * covers them: once under prefers-color-scheme (skipped when the page forces
+   * dark) and once under [data-theme="light"] for explicit opt-in. The selectors
+   * outrank the plain :root rule in variables.css regardless of link order.
+   */
+  if(fs.existsSync(inputs.lightVariables)){ // light scheme is optional so forks without it still build
+   const lightRules = lightScheme(await fsp.readFile(inputs.lightVariables,'utf8')); // wraps the light token overrides
+   if(lightRules){ await fsp.appendFile('core.min.css', lightRules); } // emits auto and forced light rules
+  }
+
   /*
    * CONTENT HASH GENERATION
    * Rationale: Content-based hashing enables aggressive CDN caching because:
    * - Files with identical content get identical hashes (cache hits)
    * - Any content change produces a different hash (automatic cache invalidation)
-   * - 8-character truncation provides sufficient uniqueness for this use case
+   * - 8-character truncation (build.hashLength) provides sufficient uniqueness
    * SHA1 chosen over MD5 for better collision resistance, over SHA256 for shorter hashes
    */
   const hash = await new Promise((resolve,reject)=>{ // Streams file to compute sha1 without loading to memory
@@ -85,7 +165,7 @@ async function build(){
    const stream = fs.createReadStream('core.min.css'); // Reads CSS as stream
    stream.on('error', reject); // Propagates read errors
    stream.on('data', chunk => sha1.update(chunk)); // Updates hash with chunk
-   stream.on('end', () => resolve(sha1.digest('hex').slice(0,8))); // Resolves with truncated hash
+   stream.on('end', () => resolve(sha1.digest('hex').slice(0,config.build.hashLength))); // Resolves with truncated hash
   });
 
   /*
@@ -115,7 +195,7 @@ async function build(){
    * Promise.all enables parallel deletion for better performance.
    * Cleanup happens after file creation to prevent race conditions.
    */
-  const files = (await fsp.readdir('.')).filter(f => /^core\.[a-f0-9]{8}\.min\.css$/.test(f) && f !== targetFile); // Lists old hashed files
+  const files = (await fsp.readdir('.')).filter(f => /^core\.[a-f0-9]{8,40}\.min\.css$/.test(f) && f !== targetFile); // Lists old hashed files
   await Promise.all(files.map(f => fsp.unlink(f))); // Removes outdated hashed css
   
   /*
@@ -123,7 +203,7 @@ async function build(){
    * Rationale: Also removes old compressed variants (.gz, .br) to maintain consistency.
    * These files can be large and accumulate quickly without cleanup.
    */
-  const compressedOld = (await fsp.readdir('.')).filter(f => /^core\.[a-f0-9]{8}\.min\.css\.(?:gz|br)$/.test(f) && !f.includes(hash)); // Finds old compressed files
+  const compressedOld = (await fsp.readdir('.')).filter(f => /^core\.[a-f0-9]{8,40}\.min\.css\.(?:gz|br)$/.test(f) && !f.includes(hash)); // Finds old compressed files
   await Promise.all(compressedOld.map(f => fsp.unlink(f))); // Deletes old compressed files
 
   /*
@@ -146,7 +226,44 @@ async function build(){
    }
   });
 
-  console.log(`build has run resulting in core.${hash}.min.css`); // Logs successful completion with resulting filename
+  /*
+   * SUBRESOURCE INTEGRITY DIGEST
+   * Rationale: The hashed file is served from third-party CDNs (jsDelivr, GitHub
+   * Pages), so consumers need an integrity attribute to detect tampering. The
+   * digest is computed from the final renamed file so it matches exactly what
+   * is deployed; sha384 is the algorithm recommended by the SRI specification.
+   */
+  const coreEntry = await fileEntry(targetFile, {sources: [inputs.css, inputs.lightVariables].filter(f => fs.existsSync(f)), compressed: {gzip: `${targetFile}.gz`, brotli: `${targetFile}.br`}}); // manifest record of the shipped file
+  const integrity = coreEntry.integrity; // SRI value for link integrity attributes
+
+  /*
+   * HASHED VARIABLES COPY
+   * Rationale: index.js injects variables.css ahead of the core sheet. A
+   * content-hashed copy lets CDNs cache the tokens as aggressively as the core
+   * file; older copies are removed just like outdated core.<hash> files.
+   */
+  let varsFile = null; // hashed variables name, null when the project has no variables.css
+  if(fs.existsSync(inputs.variables)){ // token file is optional so forks without it still build
+   const varsBuf = await fsp.readFile(inputs.variables); // exact bytes so the copy matches the source
+   varsFile = `variables.${crypto.createHash('sha1').update(varsBuf).digest('hex').slice(0,config.build.hashLength)}.css`; // same sha1 scheme as the core file
+   const oldVars = (await fsp.readdir('.')).filter(f => /^variables\.[a-f0-9]{8,40}\.css$/.test(f) && f !== varsFile); // previous hashed copies
+   await Promise.all(oldVars.map(f => fsp.unlink(f))); // removes outdated copies
+   await fsp.writeFile(varsFile, varsBuf); // writes current hashed copy
+  }
+
+  /*
+   * BUILD METADATA
+   * Rationale: Support needs to know exactly which build a customer runs.
+   * The version is the qorecss package version and file sizes are measured after
+   * compression so they describe what is actually shipped.
+   */
+  const info = {version, hash, builtAt: new Date().toISOString(), files: {}}; // shape exposed as qorecss.buildInfo
+  for(const file of [targetFile, `${targetFile}.gz`, `${targetFile}.br`, varsFile].filter(Boolean)){
+   const stat = await fsp.stat(file).catch(() => null); // compressed variants may have failed above
+   if(stat){ info.files[file] = stat.size; } // byte size per emitted file
+  }
+
+  log.info(`build has run resulting in core.${hash}.min.css`); // Logs successful completion with resulting filename
   
   /*
    * HASH PERSISTENCE
@@ -154,13 +271,40 @@ async function build(){
    * Storing in a separate file enables loose coupling between build steps.
    */
   await fsp.writeFile('build.hash', hash); // Persists hash for deployment scripts
+  await fsp.writeFile('build.integrity', integrity); // Persists SRI digest so updateHtml can add integrity attributes
+
+  /*
+   * BUILD MANIFEST
+   * Rationale: build.hash names one file, so consumers had to rebuild the
+   * core name themselves and could learn nothing else. The manifest lists
+   * every output by logical name; build.hash and build.integrity stay for
+   * older consumers. See lib/manifest.js for the format.
+   */
+  const manifest = {manifestVersion: MANIFEST_VERSION, version, hash, builtAt: info.builtAt, files: {'core.min.css': coreEntry}}; // same time as buildInfo
+  if(varsFile){ manifest.files['variables.css'] = await fileEntry(varsFile, {sources: [inputs.variables]}); } // hashed token copy
+  manifest.files['classes.json'] = await fileEntry('classes.json', {sources: [inputs.css]}); // class catalog
+  manifest.files['qore.html-data.json'] = await fileEntry('qore.html-data.json', {sources: [inputs.css]}); // editor completion data
+  await fsp.writeFile(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`); // pretty-printed like classes.json
 
   if(fs.existsSync('index.js')){ // ensures index.js exists before attempting replacement
    const js = await fsp.readFile('index.js','utf8'); // reads index.js for injection update
-   const updated = js.replace(/const cssFile = `(?:qore\.css|core\.[a-f0-9]{8}\.min\.css)`;/, `const cssFile = \`core.${hash}.min.css\`;`); // inserts hashed file name, handles both qore.css and existing hashed names
+   let updated = js.replace(/const cssFile = `(?:qore\.css|core\.[a-f0-9]{8,40}\.min\.css)`;/, `const cssFile = \`core.${hash}.min.css\`;`); // inserts hashed file name, handles both qore.css and existing hashed names
+   updated = updated.replace(/const cssIntegrity = `[^`]*`;/, `const cssIntegrity = \`${integrity}\`;`); // injects SRI digest so runtime links verify the hashed file
+   if(varsFile){ updated = updated.replace(/const varsFile = `variables(?:\.[a-f0-9]{8,40})?\.css`;/, `const varsFile = \`${varsFile}\`;`); } // points variables injection at the hashed copy
+   if(fs.existsSync(inputs.variables)){ // theme whitelist only refreshes when the token source is present
+    const varsCss = await fsp.readFile(inputs.variables,'utf8'); // reads token definitions for runtime theming whitelist
+    const names = [...new Set(Array.from(varsCss.matchAll(/^\s*(--[\w-]+)\s*:/gm), m => m[1]))]; // unique custom property names in declaration order
+    updated = updated.replace(/const themeVars = \[[^\]]*\];/, () => `const themeVars = [${names.map(n => `'${n}'`).join(',')}];`); // keeps setTheme validation in sync with variables.css
+   }
+   updated = updated.replace(buildInfoPattern, (m, head, tail) => `${head}${JSON.stringify(info)}${tail}`); // exposes version, hash, time and sizes at runtime
    if(updated !== js){ await fsp.writeFile('index.js', updated); } // writes file only when changed
   }
-  console.log(`build is returning ${hash}`); // Logs return value for debugging
+  if(fs.existsSync('index.mjs')){ // ESM entry carries the same metadata
+   const mjs = await fsp.readFile('index.mjs','utf8'); // reads ESM entry for metadata update
+   const updated = mjs.replace(buildInfoPattern, (m, head, tail) => `${head}${JSON.stringify(info)}${tail}`); // same snapshot as index.js
+   if(updated !== mjs){ await fsp.writeFile('index.mjs', updated); } // writes file only when changed
+  }
+  log.debug(`build is returning ${hash}`); // Logs return value for debugging
   return hash; // Returns hash for programmatic usage
  } catch(err){
   qerrors(err, 'build failed', {args:process.argv.slice(2)}); // uses project logger for structured error output
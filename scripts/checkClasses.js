@@ -0,0 +1,100 @@
+/*
+ * CLASS NAME VALIDATION SCRIPT - TEMPLATES AGAINST THE qore.css CATALOG
+ *
+ * PURPOSE AND RATIONALE:
+ * Misspelled qoreCSS classes fail silently in the browser. This script builds
+ * the class catalog from qore.css, scans HTML and JSX files with lib/classes.js
+ * and prints every unknown qoreCSS-like class as file:line with the nearest
+ * valid class, so CI can block merges that introduce one.
+ *
+ * USAGE:
+ *   node scripts/checkClasses.js [globs] [--css file] [--ignore "name1,name2"]
+ *
+ * DESIGN DECISIONS:
+ * - Globs default to HTML, JSX and TSX files under the working directory and
+ *   use the same matcher as the purge command
+ * - The catalog comes from the project's qore.css, then the packaged copy,
+ *   like purgeCss.js
+ * - --ignore lists project classes that happen to resemble qoreCSS names
+ * - The return value is the issue list; the CLI exits 1 when it is not empty,
+ *   and globs matching no files return 1 like the other scripts' usage errors
+ */
+
+const fs = require('fs').promises; // File system operations using promises for consistent async patterns
+const fsSync = require('fs'); // synchronous existence check when choosing the stylesheet
+const path = require('path'); // absolute path resolution from the captured cwd
+const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {parseClasses, checkSource} = require('../lib/classes'); // catalog and template validation
+const {expandContent} = require('../lib/purge'); // shared content glob matcher
+const {loadConfig} = require('./utils/config'); // files.css from qore.config
+
+const defaultContent = '**/*.{html,htm,jsx,tsx}'; // markup files that carry class attributes
+
+/*
+ * CHECK FUNCTION
+ *
+ * PROCESS FLOW:
+ * 1. Build the catalog from the stylesheet
+ * 2. Expand the content globs
+ * 3. Check each file and collect issues with cwd-relative file names
+ */
+async function checkClasses(opts = {}){
+ log.debug(`checkClasses is running with ${JSON.stringify(opts)}`); // Logs function entry for debugging and monitoring
+ const cwd = process.cwd(); // captures working directory at invocation for concurrency safety
+ try {
+  const localCss = path.resolve(cwd, loadConfig(cwd).files.css); // project copy takes precedence over package default
+  const cssPath = opts.css ? path.resolve(cwd, opts.css) : (fsSync.existsSync(localCss) ? localCss : path.join(__dirname, '..', 'qore.css')); // explicit stylesheet, project copy, then packaged stylesheet
+  const catalog = parseClasses(await fs.readFile(cssPath, 'utf8')); // classes that really exist
+  const ignore = new Set((Array.isArray(opts.ignore) ? opts.ignore : String(opts.ignore || '').split(',')).map(s => s.trim()).filter(Boolean)); // project classes to leave alone
+  const files = expandContent(opts.content || defaultContent, cwd); // markup to validate
+  if(!files.length){ // a gate that checks nothing would always pass
+   qerrors(new Error(`no files match ${opts.content || defaultContent}`), 'checkClasses missing content', {content: opts.content}); // usage error with the globs tried
+   log.debug('checkClasses is returning 1'); // communicates non-zero return for automation
+   return 1; // mirrors tokens.js missing-input convention
+  }
+  const issues = []; // unknown classes across all files
+  for(const file of files){ // sequential reads keep memory flat
+   const rel = path.relative(cwd, file).replace(/\\/g, '/'); // stable names in output
+   checkSource(await fs.readFile(file, 'utf8'), catalog).filter(i => !ignore.has(i.name)).forEach(i => issues.push({file: rel, ...i})); // file-qualified issues
+  }
+  log.debug(`checkClasses is returning ${issues.length} issues`); // Logs issue count
+  return issues; // empty when every class exists
+ } catch(err){
+  if(err.code === 'ENOENT' && opts.css && err.path === path.resolve(cwd, opts.css)){ // missing stylesheet is a recoverable usage error
+   qerrors(err, 'checkClasses missing stylesheet', {css: opts.css}); // logs missing stylesheet
+   log.debug('checkClasses is returning 1'); // communicates non-zero return for automation
+   return 1; // mirrors tokens.js missing-input convention
+  }
+  qerrors(err, 'checkClasses failed', {content: opts.content}); // Logs unexpected errors with context for debugging
+  throw err; // escalates unexpected failure for external handling
+ }
+}
+
+function formatIssue(issue){ // compiler style line editors and CI annotate
+ return `${issue.file}:${issue.line}: unknown qoreCSS class "${issue.name}", did you mean "${issue.suggestion}"?`; // file:line prefix
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Rationale: The first positional argument holds comma separated globs.
+ * Issues are printed regardless of QORECSS_LOG_LEVEL because they are the
+ * command's output.
+ */
+if(require.main === module){
+ const args = process.argv.slice(2); // CLI arguments without node and script path
+ const take = flag => { const i = args.indexOf(flag); return i !== -1 ? args.splice(i, 2)[1] : undefined; }; // removes flag and value from positional list
+ const opts = {css: take('--css'), ignore: take('--ignore')}; // named options
+ opts.content = args[0]; // optional positional globs
+ checkClasses(opts).then(issues => {
+  if(issues === 1){ process.exitCode = 1; return; } // usage errors were already reported
+  issues.forEach(i => console.log(formatIssue(i))); // one line per unknown class
+  if(issues.length){ console.log(`${issues.length} unknown qoreCSS class${issues.length === 1 ? '' : 'es'}`); process.exitCode = 1; } // fails the merge gate
+ }).catch(err => {
+  qerrors(err, 'checkClasses script failure', {args:process.argv.slice(2)}); // Logs failure context for debugging
+  process.exitCode = 1; // Ensures non-zero exit for CLI automation when errors occur
+ });
+}
+
+module.exports = checkClasses; // Exports function for use by other scripts in the build pipeline
+module.exports.formatIssue = formatIssue; // shared output format for callers printing issues
@@ -0,0 +1,168 @@
+/*
+ * PROJECT SCAFFOLDING SCRIPT - STARTER FILES FOR A NEW qoreCSS SITE
+ *
+ * PURPOSE AND RATIONALE:
+ * New sites were set up by following the README by hand: copy variables.css,
+ * edit the brand colors, write the <link> tags in the right order and wire
+ * the build scripts. This script does the same in the working directory
+ * without prompts, so it can run from other tooling as well as by hand.
+ *
+ * USAGE:
+ *   node scripts/init.js [--brand "#0a6e4f"] [--title "Site name"] [--force]
+ *
+ * FILES:
+ * - variables.css: the packaged tokens, with the brand palette derived from
+ *   --brand (dominant as given, two and bright mixed toward white)
+ * - qore.css: the stylesheet scripts/build.js minifies and hashes
+ * - index.html: variables, core and icon links in the same order as the demo
+ *   page; the core link points at the local qore.css, which updateHtml.js
+ *   swaps for the locally built core.<hash>.min.css with SRI attributes. The
+ *   hash is the project's own, so the link never points at the upstream CDN
+ *   path where that file does not exist. The icon font keeps its jsDelivr URL
+ * - package.json: build and update-html scripts running the qorecss bin, and
+ *   qorecss as a dev dependency; created when the directory has none
+ * The first three names follow files.* in qore.config when the project has one.
+ *
+ * DESIGN DECISIONS:
+ * - Every conflict is checked before anything is written, so a refused run
+ *   leaves the directory untouched; --force overwrites files and replaces
+ *   differing scripts, other package.json content is always kept
+ * - An invalid brand color or existing files return 1, the usage error
+ *   convention of tokens.js and updateHtml.js
+ */
+
+const fs = require('fs').promises; // File system operations using promises for consistent async patterns
+const path = require('path'); // absolute path resolution from the captured cwd
+const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {applyTokens} = require('../lib/bundler'); // validated token rewriting shared with the bundler plugins
+const {loadConfig} = require('./utils/config'); // file names from an existing qore.config
+
+const packageRoot = path.join(__dirname, '..'); // installed qorecss directory
+const scripts = {build: 'qorecss build', 'update-html': 'qorecss update-html'}; // npm scripts added to the project
+
+/*
+ * BRAND PALETTE
+ * Rationale: The stock palette steps from dominant to two to bright by
+ * lightening, so the derived colors mix the brand toward white by the same
+ * rough amounts instead of asking for three colors.
+ */
+function brandTokens(brand){ // token overrides for a #rgb or #rrggbb color, null when invalid
+ log.debug(`brandTokens is running with ${brand}`); // entry log with the color
+ const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(brand).trim()); // hex color with optional #
+ if(!m){ log.debug(`brandTokens is returning null`); return null; } // named and functional colors are not mixed
+ const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1]; // expands #abc to #aabbcc
+ const rgb = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)); // red, green, blue channels
+ const mix = amount => `#${rgb.map(c => Math.round(c + (255 - c) * amount).toString(16).padStart(2, '0')).join('')}`; // tint toward white
+ const result = {'--color-dominant': `#${hex.toLowerCase()}`, '--color-two': mix(0.15), '--color-bright': mix(0.3)}; // three step palette
+ log.debug(`brandTokens is returning ${JSON.stringify(result)}`); // exit log with palette
+ return result; // overrides for applyTokens
+}
+
+function escapeHtml(text){ // text safe inside elements and attribute values
+ return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); // minimal entity set
+}
+
+function starterPage(title, names){ // index.html linking variables, core and icons in cascade order
+ return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <!-- variables.css first so core rules see the tokens; npm run update-html
+         replaces qore.css with the locally built hashed file -->
+    <link rel="stylesheet" href="${escapeHtml(names.variables)}">
+    <link rel="stylesheet" href="${escapeHtml(names.css)}">
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/iconscout/unicons@release/css/line.css">
+</head>
+<body>
+    <header class="col center pad15">
+        <div class="wide80 center">
+            <h1 class="textCenter margin15">${escapeHtml(title)}</h1>
+            <p class="textCenter explainer">Built with qoreCSS</p>
+        </div>
+    </header>
+    <main class="center col pad15">
+        <div class="wide80 center grid3 margin25">
+            <div class="card pad15 textCenter">
+                <i class="uil uil-bolt sq15 margin10" aria-hidden="true"></i>
+                <h3 class="margin10">Fast</h3>
+                <p class="itemText">Edit variables.css to change the palette.</p>
+            </div>
+        </div>
+    </main>
+</body>
+</html>
+`;
+}
+
+/*
+ * INIT FUNCTION
+ *
+ * PROCESS FLOW:
+ * 1. Validate the brand color and render every file in memory
+ * 2. Collect conflicts with existing files and scripts
+ * 3. Write everything, or nothing when conflicts remain without --force
+ */
+async function init(opts = {}){
+ log.debug(`init is running with ${JSON.stringify(opts)}`); // Logs function entry for debugging and monitoring
+ const cwd = process.cwd(); // captures working directory at invocation for concurrency safety
+ try {
+  const tokens = opts.brand === undefined ? {} : brandTokens(opts.brand); // stock palette without --brand
+  if(!tokens){ // unusable color
+   qerrors(new Error(`brand must be a hex color such as #0a6e4f, got ${opts.brand}`), 'init invalid brand', {brand: opts.brand}); // usage error with the value given
+   log.debug('init is returning 1'); // communicates non-zero return for automation
+   return 1; // mirrors tokens.js usage error convention
+  }
+  const pkgPath = path.join(cwd, 'package.json'); // project manifest
+  const pkg = await fs.readFile(pkgPath, 'utf8').then(JSON.parse).catch(err => { if(err.code === 'ENOENT'){ return null; } throw err; }); // malformed JSON is not overwritten
+  const title = opts.title || (pkg && pkg.name) || path.basename(cwd); // page title
+  const names = loadConfig(cwd).files; // configured names, the stock ones without a config file
+  const files = { // file name to contents
+   [names.variables]: applyTokens(await fs.readFile(path.join(packageRoot, 'variables.css'), 'utf8'), tokens), // seeded tokens
+   [names.css]: await fs.readFile(path.join(packageRoot, 'qore.css'), 'utf8'), // build input
+   [names.html]: starterPage(title, names) // starter page linking the local build
+  };
+  const existing = []; // files that would be overwritten
+  for(const name of Object.keys(files)){ if(await fs.access(path.join(cwd, name)).then(() => true, () => false)){ existing.push(name); } } // existence check without reading
+  const manifest = pkg || {name: path.basename(cwd).toLowerCase().replace(/[^a-z0-9._-]+/g, '-'), version: '1.0.0', private: true}; // new manifest for bare directories
+  const clashes = Object.keys(scripts).filter(k => manifest.scripts && manifest.scripts[k] !== undefined && manifest.scripts[k] !== scripts[k]); // scripts doing something else
+  const conflicts = [...existing, ...clashes.map(k => `package.json script "${k}"`)]; // everything --force would replace
+  if(conflicts.length && !opts.force){ // refuses before writing anything
+   qerrors(new Error(`${conflicts.join(', ')} already exist, use --force to overwrite`), 'init refused', {cwd}); // lists every conflict at once
+   log.debug('init is returning 1'); // communicates non-zero return for automation
+   return 1; // nothing was written
+  }
+  for(const name of Object.keys(files)){ await fs.writeFile(path.join(cwd, name), files[name], 'utf8'); } // starter files
+  manifest.scripts = {...manifest.scripts, ...scripts}; // build and update-html through the bin
+  const deps = {...manifest.dependencies, ...manifest.devDependencies}; // qorecss may already be installed either way
+  if(!deps.qorecss){ manifest.devDependencies = {...manifest.devDependencies, qorecss: `^${require('../package.json').version}`}; } // provides the bin used by the scripts
+  await fs.writeFile(pkgPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8'); // npm style formatting
+  const result = {files: [...Object.keys(files), 'package.json'], overwritten: conflicts, tokens}; // what changed
+  log.debug(`init is returning ${JSON.stringify(result)}`); // Logs written files
+  return result; // summary for programmatic callers
+ } catch(err){
+  qerrors(err, 'init failed', {cwd}); // Logs unexpected errors with context for debugging
+  throw err; // escalates unexpected failure for external handling
+ }
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Rationale: Flags only, so the script never waits for input in CI.
+ */
+if(require.main === module){
+ const args = process.argv.slice(2); // CLI arguments without node and script path
+ const take = flag => { const i = args.indexOf(flag); return i !== -1 ? args.splice(i, 2)[1] : undefined; }; // removes flag and value from the list
+ init({brand: take('--brand'), title: take('--title'), force: args.includes('--force')}).then(result => {
+  if(result === 1){ process.exitCode = 1; return; } // usage errors were already reported
+  console.log(`qorecss init wrote ${result.files.join(', ')}`); // command output, printed at every log level
+ }).catch(err => {
+  qerrors(err, 'init script failure', {args:process.argv.slice(2)}); // Logs failure context for debugging
+  process.exitCode = 1; // Ensures non-zero exit for CLI automation when errors occur
+ });
+}
+
+module.exports = init; // Exports function for use by the qorecss bin
+module.exports.brandTokens = brandTokens; // palette derivation for callers validating --brand
@@ -24,17 +24,18 @@
 const fetchRetry = require('./request-retry'); // HTTP client with retry logic for handling network failures
 const {performance} = require('perf_hooks'); // High-resolution timing API for accurate measurements
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
+const log = require('../lib/log'); // leveled trace output, results still print directly
 const fs = require('fs'); // File system operations for reading/writing test results
+const {readManifest} = require('../lib/manifest'); // hashed file name recorded by the build
 // Manual concurrency control implementation to replace p-limit per REPLITAGENT.md constraints
-const {parseEnvInt, parseEnvString, parseEnvBool, trimTrailingSlashes} = require('./utils/env-config'); // adds boolean parser and url normalizer
+const {parseEnvBool} = require('./utils/env-config'); // CODEX is checked per request so tests can toggle it
+const {loadConfig} = require('./utils/config'); // qore.config merged with the environment
 
-let CDN_BASE_URL = trimTrailingSlashes(parseEnvString('CDN_BASE_URL', 'https://cdn.jsdelivr.net')); // ensures trailing slashes removed for consistent base url
-
-
-if(CDN_BASE_URL.trim() === ''){ CDN_BASE_URL = 'https://cdn.jsdelivr.net'; } // fallback to jsDelivr when empty
-const MAX_CONCURRENCY = parseEnvInt('MAX_CONCURRENCY', 50, 1, 1000); // validates range 1-1000 with default 50
-const QUEUE_LIMIT = parseEnvInt('QUEUE_LIMIT', 5, 1, 100); // validates range 1-100 with default 5
-const HISTORY_MAX = 50; // maximum entries kept in performance history file
+const config = loadConfig(); // read once at load, like the environment limits always were
+const CDN_BASE_URL = config.cdn.baseUrl; // trailing slashes trimmed, empty CDN_BASE_URL keeps the default
+const MAX_CONCURRENCY = config.performance.maxConcurrency; // validates range 1-1000 with default 50
+const QUEUE_LIMIT = config.performance.queueLimit; // validates range 1-100 with default 5
+const HISTORY_MAX = config.performance.historyMax; // maximum entries kept in performance history file
 
 const {setTimeout} = require('node:timers/promises'); // promise-based timer to replace delay utility
 
@@ -53,7 +54,7 @@ const {setTimeout} = require('node:timers/promises'); // promise-based timer to
  * This provides end-to-end timing that reflects user experience.
  */
 async function getTime(url){ 
- console.log(`getTime is running with ${url}`); // Logs request URL for debugging and monitoring
+ log.debug(`getTime is running with ${url}`); // Logs request URL for debugging and monitoring
  const start = performance.now(); // Records high-resolution start timestamp
  try {
   /*
@@ -61,10 +62,10 @@ async function getTime(url){
    * Rationale: Development environments may not have internet access.
    * CODEX environment flag enables testing measurement logic offline.
    */
-  if(parseEnvBool('CODEX')){ // detects offline mode using shared parser
-   console.log(`offline delay is running with 100`); // replicates delay logging for visibility
+  if(parseEnvBool('CODEX', config.offline)){ // environment first, then offline from the config file
+   log.debug(`offline delay is running with 100`); // replicates delay logging for visibility
    await setTimeout(100); // non-blocking wait using timers promise
-   console.log(`offline delay is returning undefined`); // logs completion matching previous utility
+   log.debug(`offline delay is returning undefined`); // logs completion matching previous utility
   } else {
    /*
     * ACTUAL NETWORK REQUEST
@@ -74,7 +75,7 @@ async function getTime(url){
    await fetchRetry(url,{responseType:`arraybuffer`}); 
   }
   const time = performance.now() - start; // Calculates elapsed time with high precision
-  console.log(`getTime is returning ${time}`); // Logs measurement result for monitoring
+  log.debug(`getTime is returning ${time}`); // Logs measurement result for monitoring
   return time; // Returns elapsed time in milliseconds
  } catch(err){
   qerrors(err, `getTime failed`, {url}); // Logs failure with URL context for debugging
@@ -95,7 +96,7 @@ async function getTime(url){
  * to CDN infrastructure and providing reliable measurements.
  */
 async function measureUrl(url, count){
- console.log(`measureUrl is running with ${url},${count}`); // Logs test parameters for monitoring
+ log.debug(`measureUrl is running with ${url},${count}`); // Logs test parameters for monitoring
  try {
   if(!Number.isInteger(count) || count <= 0){ // validates request count as positive integer
    const err = new Error('count must be positive integer'); // explicit error when count invalid
@@ -131,7 +132,7 @@ async function measureUrl(url, count){
    * Division by zero protection checks both count and actual results array.
    */
   const avg = (count > 0 && times.length > 0) ? times.reduce((a,b)=>a+b,0)/times.length : 0; 
-  console.log(`measureUrl is returning ${avg}`); // Logs average for monitoring
+  log.debug(`measureUrl is returning ${avg}`); // Logs average for monitoring
   return avg; // Returns average response time for comparison
  } catch(err){
   qerrors(err, `measureUrl failed`, {url,count}); // Logs error with full test parameters
@@ -140,23 +141,22 @@ async function measureUrl(url, count){
 }
 
 /*
- * BUILD HASH READER
+ * BUILD FILE READER
  *
- * Rationale: Reads build.hash when available to construct filenames
- * without failing when the file is missing. Using fs promises keeps
- * the function lightweight and consistent with other async file ops.
+ * Rationale: Reads the core file name from the build manifest (build.hash
+ * for older builds) without failing when nothing was built yet, so the
+ * test falls back to the unhashed name instead.
  */
-async function readBuildHash(){
- console.log(`readBuildHash is running with build.hash`); // entry log for debugging
+async function readBuildFile(){
+ log.debug(`readBuildFile is running with qore-manifest.json`); // entry log for debugging
  try {
-  const data = await fs.promises.readFile('build.hash','utf8'); // read hash file content
-  const trimmed = data.trim(); // remove trailing whitespace
-  console.log(`readBuildHash is returning ${trimmed}`); // log success
-  return trimmed; // return trimmed hash
+  const file = (await readManifest()).files['core.min.css'].file; // hashed name recorded by build.js
+  log.debug(`readBuildFile is returning ${file}`); // log success
+  return file; // hashed core file name
  } catch(err){
-  if(err.code !== 'ENOENT'){ qerrors(err, 'Failed to read build hash', {filename:'build.hash'}); } // unexpected error logging
-  console.log(`readBuildHash is returning ''`); // log fallback case
-  return ''; // fallback when file missing or unreadable
+  if(err.code !== 'ENOENT'){ qerrors(err, 'Failed to read build manifest', {filename:'qore-manifest.json'}); } // unexpected error logging
+  log.debug(`readBuildFile is returning core.min.css`); // log fallback case
+  return 'core.min.css'; // fallback when nothing was built or the manifest is unreadable
  }
 }
 
@@ -164,27 +164,27 @@ async function readBuildHash(){
  * MAIN EXECUTION FUNCTION - TEST ORCHESTRATION
  * 
  * WORKFLOW:
- * 1. Read current build hash to test correct CSS version
+ * 1. Read the built core file name to test correct CSS version
  * 2. Construct test URLs for all CDN endpoints
- * 3. Parse command line arguments for test configuration
+ * 3. Parse command line arguments (process.argv unless the qorecss CLI passes them
+ *    together with its report writer)
  * 4. Execute tests against all endpoints
  * 5. Display results and optionally save to JSON for historical tracking
  * 
  * This provides comprehensive CDN performance evaluation with flexible
  * configuration and optional data persistence.
  */
-async function run(){
- console.log(`run is running with ${process.argv.length}`); // Logs execution start for monitoring
+async function run(argv = process.argv.slice(2), report = console.log){
+ log.debug(`run is running with ${argv.length}`); // Logs execution start for monitoring
  try {
   /*
-   * BUILD HASH INTEGRATION
+   * BUILD MANIFEST INTEGRATION
    * Rationale: Tests must use the current CSS version to provide meaningful
-   * results. Reading from build.hash ensures we're testing the same files
+   * results. Reading the build manifest ensures we're testing the same files
    * that users will actually receive. Fallback to core.min.css handles
    * cases where build hasn't run yet.
    */
-  const hash = await readBuildHash(); // Read current build hash with local helper
-  let fileName = `core.${hash}.min.css`; if(!hash){ fileName = `core.min.css`; } // Falls back when hash is empty
+  const fileName = await readBuildFile(); // hashed core name, core.min.css before the first build
   
   /*
    * CDN ENDPOINT CONFIGURATION
@@ -192,11 +192,12 @@ async function run(){
    * - Performance comparison data
    * - Failover validation
    * - Geographic performance insights
-   * jsDelivr and GitHub Pages chosen as primary/secondary CDN strategy.
+   * jsDelivr and GitHub Pages chosen as primary/secondary CDN strategy;
+   * cdn.repo and cdn.pagesUrl point forks at their own copies.
    */
   const urls = [
-   `${CDN_BASE_URL}/gh/Bijikyu/qoreCSS/${fileName}`, // Primary CDN (configurable)
-   `https://bijikyu.github.io/qoreCSS/${fileName}` // Secondary CDN (GitHub Pages)
+   `${CDN_BASE_URL}/gh/${config.cdn.repo}/${fileName}`, // Primary CDN (configurable)
+   `${config.cdn.pagesUrl}/${fileName}` // Secondary CDN (GitHub Pages)
   ];
   
   /*
@@ -206,7 +207,7 @@ async function run(){
    * - Manual testing with different parameters
    * - Automated monitoring with result persistence
    */
-  const args = process.argv.slice(2); 
+  const args = [...argv]; // copy so flag removal leaves the caller's array intact
   const jsonFlag = args.includes(`--json`); // Enables JSON output for automated processing
   if(jsonFlag){ args.splice(args.indexOf(`--json`),1); } // Removes flag from numeric arguments
   
@@ -220,8 +221,8 @@ async function run(){
   let concurrency = parseInt(args[0],10); 
   if(Number.isNaN(concurrency) || concurrency < 1 || concurrency > 1000){ concurrency = 5; } // Validates range 1-1000 with sensible default
   concurrency = Math.max(1, concurrency); // Ensures at least one request (prevents divide by zero)
-  if(concurrency > MAX_CONCURRENCY){ console.log(`run concurrency exceeds ${MAX_CONCURRENCY}`); concurrency = MAX_CONCURRENCY; } // Safety cap uses env derived limit
-  console.log(`run concurrency set to ${concurrency}`); // Logs final concurrency setting
+  if(concurrency > MAX_CONCURRENCY){ log.warn(`run concurrency exceeds ${MAX_CONCURRENCY}`); concurrency = MAX_CONCURRENCY; } // Safety cap uses env derived limit
+  log.debug(`run concurrency set to ${concurrency}`); // Logs final concurrency setting
   
   /*
    * TEST EXECUTION ACROSS ALL ENDPOINTS
@@ -233,7 +234,7 @@ async function run(){
   let firstAvg; // captures first URL average for function return
   for(const url of urls){
    const avg = await measureUrl(url, concurrency); // Executes performance test
-   console.log(`Average for ${url}: ${avg.toFixed(2)}ms`); // Displays human-readable results
+   report(`Average for ${url}: ${avg.toFixed(2)}ms`); // human-readable result, stderr or nothing when the qorecss CLI passes its writer
    if(firstAvg === undefined){ firstAvg = avg; } // records first result for return value
    if(jsonFlag){ results[url] = avg; } // Stores results for JSON output
   }
@@ -247,7 +248,7 @@ async function run(){
    * Timestamped entries allow correlation with deployments and incidents.
    */
   if(jsonFlag){
-   const file = `performance-results.json`;
+   const file = config.files.history; // performance-results.json unless configured
    let history = [];
    if(fs.existsSync(file)){ // only attempt to read when file present
     try {
@@ -263,7 +264,7 @@ async function run(){
    fs.writeFileSync(file, JSON.stringify(history, null, 2)); // Saves trimmed history for ongoing tracking
   }
   const returnVal = firstAvg ?? 0; // ensures numeric return when no results
-  console.log(`run is returning ${returnVal}`); // Logs value returned for monitoring
+  log.debug(`run is returning ${returnVal}`); // Logs value returned for monitoring
   return returnVal; // returns first average to caller
  } catch(err){
   qerrors(err, 'run failed', {args:process.argv.slice(2)}); // uses project logger for structured error output
@@ -24,9 +24,10 @@
  */
 
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
-const fs = require('fs').promises; // Node promise-based filesystem for async use
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {readManifest} = require('../lib/manifest'); // hashed file names recorded by the build
 const fetchRetry = require('./request-retry'); // Retry wrapper for HTTP requests
-const {parseEnvBool} = require('./utils/env-config'); // standardized boolean env parsing for CODEX detection
+const {loadConfig} = require('./utils/config'); // repository path, purge endpoint and CODEX from qore.config
 
 /*
  * CDN CACHE PURGE FUNCTION
@@ -40,9 +41,10 @@ const {parseEnvBool} = require('./utils/env-config'); // standardized boolean en
  * 
  * The purge URL follows jsDelivr's API specification:
  * https://purge.jsdelivr.net/gh/{user}/{repo}/{file}
+ * where cdn.purgeUrl and cdn.repo in qore.config point forks at their own path.
  */
 async function purgeCdn(file){ 
- console.log(`purgeCdn is running with ${file}`); // Logs purge initiation for monitoring
+ log.debug(`purgeCdn is running with ${file}`); // Logs purge initiation for monitoring
  try {
   /*
    * PURGE URL CONSTRUCTION
@@ -50,7 +52,8 @@ async function purgeCdn(file){
    * The URL structure ensures purge requests target the correct repository
    * and file path within the CDN's cache system.
    */
-  const url = `https://purge.jsdelivr.net/gh/Bijikyu/qoreCSS/${file}`; 
+  const config = loadConfig(); // project settings with environment overrides
+  const url = `${config.cdn.purgeUrl}/gh/${config.cdn.repo}/${file}`; // Bijikyu/qoreCSS unless configured
   
   /*
    * ENVIRONMENT-SPECIFIC HANDLING
@@ -58,8 +61,8 @@ async function purgeCdn(file){
    * or may want to avoid making actual purge requests during testing.
    * Mock response enables testing of purge logic without affecting production CDN.
    */
-  if(parseEnvBool('CODEX')){ // determines offline mode using shared parser
-   console.log(`purgeCdn is returning 200`); // Logs mock success response
+  if(config.offline){ // CODEX or offline in the config file
+   log.debug(`purgeCdn is returning 200`); // Logs mock success response
    return 200; // Returns HTTP 200 status code indicating successful purge
   }
   
@@ -70,7 +73,7 @@ async function purgeCdn(file){
    * improves reliability of cache invalidation operations.
    */
    const res = await fetchRetry(url); // Performs purge request with retry logic
-  console.log(`purgeCdn is returning ${res.status}`); // Logs actual HTTP response status
+  log.debug(`purgeCdn is returning ${res.status}`); // Logs actual HTTP response status
   return res.status; // Returns status code for caller verification
  } catch(err){
   qerrors(err, `purgeCdn failed`, {file}); // Logs error with file context for debugging
@@ -82,8 +85,8 @@ async function purgeCdn(file){
  * MAIN EXECUTION FUNCTION - INTEGRATION WITH BUILD SYSTEM
  * 
  * WORKFLOW:
- * 1. Read current build hash from persistent storage
- * 2. Construct filename using hash (matches build output)
+ * 1. Read the build manifest written by build.js
+ * 2. Take the hashed core file name from it (matches build output)
  * 3. Execute CDN purge for the specific file
  * 4. Return status code for verification
  * 
@@ -91,24 +94,16 @@ async function purgeCdn(file){
  * maintaining consistency between build and deployment processes.
  */
 async function run(){
- console.log(`run is running with ${process.argv.length}`); // Logs execution start for monitoring
+ log.debug(`run is running with ${process.argv.length}`); // Logs execution start for monitoring
  try {
-  await fs.access(`build.hash`); // ensures build hash file exists before reading
   /*
-   * BUILD HASH INTEGRATION
-   * Rationale: Reads hash from build system to ensure purge targets the
-   * correct file version. This maintains tight coupling between build
-   * and purge operations, preventing purging of wrong file versions.
+   * BUILD MANIFEST INTEGRATION
+   * Rationale: Reads the file name the build recorded to ensure purge targets
+   * the specific file users will request, not a generic filename that might
+   * not exist in the CDN cache. Older builds without qore-manifest.json are
+   * read from build.hash.
    */
-  const hash = (await fs.readFile(`build.hash`, `utf8`)).trim(); // Reads current build hash from filesystem
-  
-  /*
-   * FILENAME CONSTRUCTION
-   * Rationale: Constructs exact filename that build system generated.
-   * This ensures cache purge targets the specific file users will request,
-   * not a generic filename that might not exist in the CDN cache.
-   */
-   const file = `core.${hash}.min.css`; // Reconstructs hashed CSS filename for purge
+  const file = (await readManifest()).files[`core.min.css`].file; // hashed CSS filename for purge
   
   /*
    * PURGE EXECUTION
@@ -117,12 +112,12 @@ async function run(){
    * successful purge before considering deployment complete.
    */
   const code = await purgeCdn(file); // Initiates CDN purge and captures status
-  console.log(`run is returning ${code}`); // Logs final status for monitoring
+  log.debug(`run is returning ${code}`); // Logs final status for monitoring
   return code; // Returns status code for programmatic verification
  } catch(err){
   if(err.code === `ENOENT`){
    qerrors(err, `run missing hash`, {args:process.argv.slice(2)}); // Logs missing build.hash error
-   console.log(`run is returning 1`); // Reports missing file exit code
+   log.debug(`run is returning 1`); // Reports missing file exit code
    return 1; // Returns error code instead of throwing
   }
   qerrors(err, `run failed`, {args:process.argv.slice(2)}); // Logs error with command line context
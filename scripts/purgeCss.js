@@ -0,0 +1,94 @@
+/*
+ * UNUSED CSS PURGE SCRIPT - qore.css TO A PROJECT SPECIFIC SUBSET
+ *
+ * PURPOSE AND RATIONALE:
+ * Projects that use a handful of qoreCSS classes can ship only those rules.
+ * This script scans the project's content files with lib/purge.js, writes a
+ * purged copy of the stylesheet and prints how many bytes that saves raw and
+ * after gzip and brotli. scripts/build.js runs the same purge when
+ * PURGE_CONTENT is set.
+ *
+ * USAGE:
+ *   node scripts/purgeCss.js [output] --content "index.html,src/*.{jsx,hbs}" [--safelist "wide*,hid"] [--input file]
+ *
+ * DESIGN DECISIONS:
+ * - Working-directory relative paths match build.js and tokens.js; the input
+ *   defaults to the project's qore.css, then the copy shipped with the package
+ * - The output defaults to qore.purged.css so the source is never overwritten
+ * - Missing --content or content globs matching no files return 1 like
+ *   tokens.js with a missing input: purging against nothing would drop
+ *   every class rule
+ * - The size report is printed regardless of QORECSS_LOG_LEVEL, like the
+ *   performance.js averages, because it is the command's output
+ */
+
+const fs = require('fs').promises; // File system operations using promises for consistent async patterns
+const fsSync = require('fs'); // synchronous existence check when choosing the input file
+const path = require('path'); // absolute path resolution from the captured cwd
+const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {expandContent, extractCandidates, purgeCss, sizeReport, formatReport} = require('../lib/purge'); // shared with the build step
+const {loadConfig} = require('./utils/config'); // files.css and files.purged from qore.config
+
+/*
+ * PURGE FUNCTION
+ *
+ * PROCESS FLOW:
+ * 1. Expand content globs and collect candidates from every matched file
+ * 2. Read the input stylesheet and drop rules no candidate can match
+ * 3. Write the purged copy and return the size report
+ */
+async function purge(opts = {}){
+ log.debug(`purge is running with ${JSON.stringify(opts)}`); // Logs function entry for debugging and monitoring
+ const cwd = process.cwd(); // captures working directory at invocation for concurrency safety
+ let output = opts.output; // resolved from the config below when not given
+ try {
+  const config = loadConfig(cwd); // configured stylesheet and output names
+  output = output || config.files.purged; // never the source file by default
+  const files = opts.content ? expandContent(opts.content, cwd) : []; // project content to scan
+  if(!files.length){ // nothing to compare selectors against
+   qerrors(new Error(opts.content ? `no files match ${opts.content}` : 'no --content globs given'), 'purge missing content', {content: opts.content}); // usage error with the globs tried
+   log.debug('purge is returning 1'); // communicates non-zero return for automation
+   return 1; // mirrors tokens.js missing-input convention
+  }
+  const candidates = new Set(); // class and id candidates across all files
+  for(const file of files){ extractCandidates(await fs.readFile(file, 'utf8'), candidates); } // sequential reads keep memory flat
+  const localCss = path.resolve(cwd, config.files.css); // project copy takes precedence over package default
+  const inPath = opts.input ? path.resolve(cwd, opts.input) : (fsSync.existsSync(localCss) ? localCss : path.join(__dirname, '..', 'qore.css')); // explicit input, project copy, then packaged stylesheet
+  const css = await fs.readFile(inPath, 'utf8'); // stylesheet to purge
+  const result = purgeCss(css, candidates, {safelist: opts.safelist}); // purged text and removed selectors
+  await fs.writeFile(path.resolve(cwd, output), result.css, 'utf8'); // purged copy next to the source
+  const report = {...sizeReport(css, result.css), files: files.length, removed: result.removed.length, output}; // sizes plus what was scanned and dropped
+  log.debug(`purge is returning ${JSON.stringify(report.saved)}`); // Logs savings
+  return report; // report for programmatic callers
+ } catch(err){
+  if(err.code === 'ENOENT' && opts.input && err.path === path.resolve(cwd, opts.input)){ // missing source is a recoverable usage error
+   qerrors(err, 'purge missing input', {input: opts.input, output}); // logs missing stylesheet
+   log.debug('purge is returning 1'); // communicates non-zero return for automation
+   return 1; // mirrors tokens.js missing-input convention
+  }
+  qerrors(err, 'purge failed', {input: opts.input, output}); // Logs unexpected errors with context for debugging
+  throw err; // escalates unexpected failure for external handling
+ }
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Rationale: First positional argument is the output file; --content,
+ * --safelist and --input take comma separated values.
+ */
+if(require.main === module){
+ const args = process.argv.slice(2); // CLI arguments without node and script path
+ const take = flag => { const i = args.indexOf(flag); return i !== -1 ? args.splice(i, 2)[1] : undefined; }; // removes flag and value from positional list
+ const opts = {content: take('--content'), safelist: take('--safelist'), input: take('--input')}; // named options
+ opts.output = args[0]; // optional positional output
+ purge(opts).then(report => {
+  if(report === 1){ process.exitCode = 1; return; } // usage errors were already reported
+  console.log(`${report.output}: removed ${report.removed} selectors using ${report.files} content files\n${formatReport(report)}`); // command output, printed at every log level
+ }).catch(err => {
+  qerrors(err, 'purge script failure', {args:process.argv.slice(2)}); // Logs failure context for debugging
+  process.exitCode = 1; // Ensures non-zero exit for CLI automation when errors occur
+ });
+}
+
+module.exports = purge; // Exports function for use by other scripts in the build pipeline
@@ -27,8 +27,9 @@ const http = require('node:http'); // Node HTTP used for keep-alive agent
 const https = require('node:https'); // Node HTTPS used for keep-alive agent
 const axiosRetry = require('axios-retry'); // Axios plugin providing automated retry support
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information preservation
-const {parseEnvInt} = require('./utils/env-config'); // Centralized environment configuration utilities
-const socketLimit = parseEnvInt('SOCKET_LIMIT', 50, 1, 1000); // validates range 1-1000 with default 50
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {loadConfig} = require('./utils/config'); // qore.config merged with SOCKET_LIMIT
+const socketLimit = loadConfig().request.socketLimit; // validates range 1-1000 with default 50
 const axiosInstance = axios.create({httpAgent:new http.Agent({keepAlive:true,maxSockets:socketLimit}),httpsAgent:new https.Agent({keepAlive:true,maxSockets:socketLimit})}); // axios instance using variable connection limit
 
 axiosRetry(axiosInstance,{retryDelay:axiosRetry.exponentialDelay}); // configures plugin with exponential backoff
@@ -56,15 +57,15 @@ axiosRetry(axiosInstance,{retryDelay:axiosRetry.exponentialDelay}); // configure
  * - Resource management (prevents hanging connections)
  */
 async function fetchRetry(url,opts={},attempts=3){
-  console.log(`fetchRetry is running with ${url},${attempts}`); // logs entry with parameters
+  log.debug(`fetchRetry is running with ${url},${attempts}`); // logs entry with parameters
 
-  if(typeof attempts!=='number'||Number.isNaN(attempts)){ console.log(`fetchRetry is returning attempts must be numeric`); throw new Error('attempts must be numeric'); } // validates numeric attempt parameter
+  if(typeof attempts!=='number'||Number.isNaN(attempts)){ log.debug(`fetchRetry is returning attempts must be numeric`); throw new Error('attempts must be numeric'); } // validates numeric attempt parameter
 
-  if(!Number.isFinite(attempts)){ console.log(`fetchRetry is returning attempts must be finite`); throw new Error('attempts must be finite'); } // ensures attempts not Infinity or -Infinity
+  if(!Number.isFinite(attempts)){ log.debug(`fetchRetry is returning attempts must be finite`); throw new Error('attempts must be finite'); } // ensures attempts not Infinity or -Infinity
 
-  if(!Number.isInteger(attempts)){ console.log(`fetchRetry is returning attempts must be an integer`); throw new Error('attempts must be an integer'); } // ensures deterministic retry count
+  if(!Number.isInteger(attempts)){ log.debug(`fetchRetry is returning attempts must be an integer`); throw new Error('attempts must be an integer'); } // ensures deterministic retry count
 
-  if(attempts < 1){ console.log(`fetchRetry is returning attempts must be >0`); throw new Error('attempts must be >0'); } // validates positive attempt count
+  if(attempts < 1){ log.debug(`fetchRetry is returning attempts must be >0`); throw new Error('attempts must be >0'); } // validates positive attempt count
  
  /*
   * TIMEOUT CONFIGURATION
@@ -76,7 +77,7 @@ async function fetchRetry(url,opts={},attempts=3){
  
  try{ // executes request through axios-retry configured instance
   const res = await axiosInstance.get(url,{...opts,'axios-retry':{retries:attempts-1}}); // per-request retry count
-  console.log(`fetchRetry is returning ${res.status}`); // Logs successful response status
+  log.debug(`fetchRetry is returning ${res.status}`); // Logs successful response status
   return res; // Returns complete axios response object for caller processing
  }catch(err){
   if(err.request){ err.request.destroy && err.request.destroy(); } // cleans up failed request
@@ -0,0 +1,76 @@
+/*
+ * DESIGN TOKEN EXPORT SCRIPT - variables.css TO tokens.json
+ *
+ * PURPOSE AND RATIONALE:
+ * Design and documentation tooling consumes tokens as JSON. This script runs
+ * the shared parser from lib/tokens.js over variables.css in the working
+ * directory and writes the records to tokens.json, so projects that customized
+ * their own copy of variables.css export their tokens rather than the defaults.
+ *
+ * USAGE:
+ *   node scripts/tokens.js [output] [--input file]
+ *
+ * DESIGN DECISIONS:
+ * - Working-directory relative paths match build.js and updateHtml.js
+ * - Pretty-printed JSON keeps diffs of the exported file reviewable
+ * - Without an explicit --input, a project lacking its own variables.css falls
+ *   back to the copy shipped with the package so the defaults can be exported
+ * - A missing explicit input returns 1 like updateHtml's missing build.hash case
+ */
+
+const fs = require('fs').promises; // File system operations using promises for consistent async patterns
+const fsSync = require('fs'); // synchronous existence check when choosing the input file
+const path = require('path'); // absolute path resolution from the captured cwd
+const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {parseTokens} = require('../lib/tokens'); // shared parser also behind require('qorecss').getTokens()
+const {loadConfig} = require('./utils/config'); // files.variables and files.tokens from qore.config
+
+/*
+ * TOKEN EXPORT FUNCTION
+ *
+ * PROCESS FLOW:
+ * 1. Resolve input (project or package variables.css) and output (default tokens.json, both configurable)
+ * 2. Parse tokens with var() chains resolved
+ * 3. Write pretty-printed JSON and return the token records
+ */
+async function writeTokens(output, input){
+ log.debug(`writeTokens is running with ${output},${input}`); // Logs function entry for debugging and monitoring
+ try {
+  const cwd = process.cwd(); // captures working directory at invocation for concurrency safety
+  const {files} = loadConfig(cwd); // configured token source and output names
+  output = output || files.tokens; // tokens.json unless configured
+  const localVars = path.resolve(cwd, files.variables); // project copy takes precedence over package default
+  const inPath = input ? path.resolve(cwd, input) : (fsSync.existsSync(localVars) ? localVars : path.join(__dirname, '..', 'variables.css')); // explicit input, project copy, then packaged tokens
+  const outPath = path.resolve(cwd, output); // destination JSON file
+  const tokens = parseTokens(await fs.readFile(inPath, 'utf8')); // structured token records
+  await fs.writeFile(outPath, `${JSON.stringify(tokens, null, 2)}\n`, 'utf8'); // trailing newline keeps POSIX tools happy
+  log.debug(`writeTokens is returning ${tokens.length} tokens`); // Logs number of tokens written
+  return tokens; // token records for programmatic callers
+ } catch(err){
+  if(err.code === 'ENOENT' && input && err.path === path.resolve(input)){ // missing source is a recoverable usage error
+   qerrors(err, 'writeTokens missing input', {input, output}); // logs missing stylesheet
+   log.debug('writeTokens is returning 1'); // communicates non-zero return for automation
+   return 1; // mirrors updateHtml's missing-artifact convention
+  }
+  qerrors(err, 'writeTokens failed', {input, output}); // Logs unexpected errors with context for debugging
+  throw err; // escalates unexpected failure for external handling
+ }
+}
+
+/*
+ * DIRECT EXECUTION HANDLER
+ * Rationale: First positional argument is the output file; --input selects a
+ * different stylesheet such as variables.light.css.
+ */
+if(require.main === module){
+ const args = process.argv.slice(2); // CLI arguments without node and script path
+ const inIdx = args.indexOf('--input'); // optional input flag position
+ const input = inIdx !== -1 ? args.splice(inIdx, 2)[1] : undefined; // removes flag and value from positional list
+ writeTokens(args[0], input).then(code => { if(code === 1) process.exitCode = 1; }).catch(err => { // Checks return code then handles failures when executed directly
+  qerrors(err, 'tokens script failure', {args:process.argv.slice(2)}); // Logs failure context for debugging
+  process.exitCode = 1; // Ensures non-zero exit for CLI automation when errors occur
+ });
+}
+
+module.exports = writeTokens; // Exports function for use by other scripts in the build pipeline
@@ -11,7 +11,8 @@
  * 2. CDN TEMPLATING: Replaces CDN placeholder tokens with actual URLs for flexibility
  * 
  * DESIGN DECISIONS:
- * - Reads hash from build.hash file to maintain loose coupling with build script
+ * - Reads the core file name and digest from qore-manifest.json (build.hash
+ *   and build.integrity for older builds) to keep loose coupling with build
  * - Uses regex replacement to handle multiple references in a single pass
  * - Environment variable override allows different CDN endpoints (staging/production)
  * - Placeholder templating enables runtime CDN switching without code changes
@@ -23,37 +24,41 @@
 const fs = require('fs').promises; // File system operations using promises for consistent async patterns
 const path = require('path'); // path module for absolute path resolution during concurrent updates
 const qerrors = require('./utils/logger'); // Centralized error logging with contextual information
-const {parseEnvString, trimTrailingSlashes} = require('./utils/env-config'); // standardizes CDN URL retrieval with fallback and trimming utility
+const log = require('../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {loadConfig} = require('./utils/config'); // CDN_BASE_URL, page and stylesheet names from qore.config
+const {readManifest} = require('../lib/manifest'); // build output names and digests
 
 /*
  * HTML UPDATE FUNCTION
  * 
  * PROCESS FLOW:
- * 1. Read current build hash from persistent storage
+ * 1. Read current build hash and digest from the build manifest
  * 2. Read existing HTML content
  * 3. Replace CSS filename references with current hash
  * 4. Replace CDN placeholder with actual CDN URL
- * 5. Write updated HTML back to file
+ * 5. Add integrity and crossorigin attributes to hashed stylesheet links
+ * 6. Write updated HTML back to file
  * 
  * ERROR HANDLING:
  * Comprehensive try/catch with detailed logging enables debugging of file system
  * issues, missing dependencies, or regex replacement failures.
  */
 async function updateHtml(){
- console.log(`updateHtml is running with ${process.argv.length}`); // Logs function entry for debugging and monitoring
+ log.debug(`updateHtml is running with ${process.argv.length}`); // Logs function entry for debugging and monitoring
  try {
   const cwd = process.cwd(); // captures working directory at invocation for concurrency safety
+  const config = loadConfig(cwd); // project settings with environment overrides
 
   /*
-   * HASH RETRIEVAL
-   * Rationale: Reading from build.hash file creates loose coupling between build
-   * and HTML update processes. This allows build script to run independently
-   * and HTML updates to happen later in the deployment pipeline.
-   * trim() removes any whitespace that might interfere with filename generation.
+   * MANIFEST RETRIEVAL
+   * Rationale: Reading the manifest build.js wrote creates loose coupling
+   * between build and HTML update processes. This allows build script to run
+   * independently and HTML updates to happen later in the deployment pipeline.
+   * readManifest() rejects with the ENOENT of build.hash when nothing was built.
    */
-  const hashPath = path.join(cwd, 'build.hash'); // computes absolute path using captured cwd
-  await fs.access(hashPath); // ensures hash file exists before reading for graceful error handling
-  const hash = (await fs.readFile(hashPath,'utf8')).trim(); // Reads current build hash for filename replacement
+  const manifest = await readManifest(cwd); // qore-manifest.json or the legacy hash files
+  const {hash} = manifest; // content hash of the core file
+  const core = manifest.files['core.min.css']; // hashed name and SRI digest
   
   /*
    * HTML CONTENT LOADING
@@ -62,7 +67,7 @@ async function updateHtml(){
    * that would be complex with streaming approaches.
    * Verification prevents processing non-existent files.
    */
-  const htmlPath = path.join(cwd, 'index.html'); // resolves html path from captured cwd
+  const htmlPath = path.join(cwd, config.files.html); // resolves html path from captured cwd
   await fs.access(htmlPath); // Verifies HTML file exists before processing
   const html = await fs.readFile(htmlPath,'utf8'); // Loads HTML content into memory for editing
   
@@ -70,17 +75,19 @@ async function updateHtml(){
    * CDN URL CONFIGURATION
    * Rationale: Environment variable override enables different CDN endpoints
    * for different deployment environments (development, staging, production).
-   * jsDelivr chosen as default for its reliability and global CDN presence.
+   * jsDelivr chosen as default for its reliability and global CDN presence;
+   * cdn.baseUrl in qore.config changes it per project.
    */
-  let cdnUrl = trimTrailingSlashes(parseEnvString('CDN_BASE_URL', 'https://cdn.jsdelivr.net')); // trims trailing slash characters for consistent urls
-  if(cdnUrl.trim() === ''){ cdnUrl = 'https://cdn.jsdelivr.net'; } // ensures empty string falls back to default CDN
+  const cdnUrl = config.cdn.baseUrl; // trailing slashes already trimmed, empty CDN_BASE_URL keeps the default
   
   /*
    * CSS HASH REPLACEMENT
-   * Rationale: Single regex matches both qore.css and existing hashed filenames.
-   * Global flag (g) ensures all references update in one pass for consistency.
+   * Rationale: Single regex matches both the stylesheet source (qore.css
+   * unless configured) and existing hashed filenames. Global flag (g) ensures
+   * all references update in one pass for consistency.
    */
-  let updated = html.replace(/(?:qore\.css|core\.[a-f0-9]{8}\.min\.css)/g, `core.${hash}.min.css`); // replaces any css reference with current hashed filename
+  const sourceName = path.basename(config.files.css).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // escaped for the pattern
+  let updated = html.replace(new RegExp(`(?:${sourceName}|core\\.[a-f0-9]{8,40}\\.min\\.css)`, 'g'), () => core.file); // replaces any css reference with current hashed filename
   
   /*
    * CDN PLACEHOLDER SUBSTITUTION
@@ -92,6 +99,18 @@ async function updateHtml(){
    * Global replacement ensures all CDN references are consistent.
    */
   updated = updated.replace(/\{\{CDN_BASE_URL\}\}/g, () => cdnUrl); // passes function so "$" chars remain literal when inserting URL
+
+  /*
+   * SUBRESOURCE INTEGRITY ATTRIBUTES
+   * Rationale: The hashed stylesheet is served from third-party CDNs, so each
+   * <link> referencing it gets the sha384 digest written by build.js plus
+   * crossorigin="anonymous" (required for integrity checks on cross-origin
+   * requests). Existing integrity/crossorigin attributes are stripped first so
+   * repeated runs replace a stale digest instead of duplicating attributes.
+   * The digest is optional so hash files from older builds still work.
+   */
+  const integrity = core.integrity; // empty for legacy builds without build.integrity, which skips SRI
+  if(integrity){ updated = updated.replace(/<link\b[^>]*core\.[a-f0-9]{8,40}\.min\.css[^>]*>/g, tag => tag.replace(/\s+(?:integrity|crossorigin)(?:=(?:"[^"]*"|'[^']*'|[^\s>]*))?/gi, '').replace(/\s*\/?>$/, end => ` integrity="${integrity}" crossorigin="anonymous"${end.includes('/') ? ' />' : '>'}`)); } // adds fresh SRI attributes to every hashed stylesheet link
   
   /*
    * HTML FILE UPDATE
@@ -100,13 +119,13 @@ async function updateHtml(){
    */
   await fs.writeFile(htmlPath, updated, 'utf8'); // Persists updated HTML using explicit UTF-8 encoding for cross-platform consistency
 
-  console.log(`updateHtml has run resulting in core.${hash}.min.css`); // Logs successful completion with resulting filename
-  console.log(`updateHtml is returning ${hash}`); // Logs return value for debugging
+  log.info(`updateHtml has run resulting in ${core.file}`); // Logs successful completion with resulting filename
+  log.debug(`updateHtml is returning ${hash}`); // Logs return value for debugging
   return hash; // Returns hash for programmatic usage by calling scripts
  } catch(err){
   if(err.code === 'ENOENT' && err.path && path.basename(err.path) === 'build.hash'){ // verifies path exists before basename to avoid undefined errors
    qerrors(err, 'updateHtml missing hash', {args:process.argv.slice(2)}); // logs missing hash as recoverable scenario
-   console.log('updateHtml is returning 1'); // communicates non-zero return for automation
+   log.debug('updateHtml is returning 1'); // communicates non-zero return for automation
    return 1; // signals missing build artifact while allowing caller to continue
   }
   if(err.code === 'ENOENT'){ // other ENOENT errors like index.html should surface
@@ -0,0 +1,175 @@
+/*
+ * PROJECT CONFIGURATION - qore.config.js / qore.config.json
+ *
+ * PURPOSE AND RATIONALE:
+ * Settings were spread over environment variables and constants inside the
+ * scripts: the Bijikyu/qoreCSS repository path, the 8 character hash, the
+ * history limit and every input and output file name. Forks publishing
+ * under another repository could not purge or benchmark their own CDN path.
+ * Every script now reads one object from loadConfig(): defaults, overridden
+ * by the project's config file, overridden by environment variables.
+ *
+ * FILE FORMAT:
+ *   // qore.config.js (qore.config.json takes the same object as JSON)
+ *   module.exports = {
+ *    cdn: {repo: 'acme/brandCSS', pagesUrl: 'https://acme.github.io/brandCSS'},
+ *    performance: {historyMax: 100}
+ *   };
+ *
+ * DESIGN DECISIONS:
+ * - The file is validated against the schema below and every problem is
+ *   reported in one error naming the file, the key and the expected value
+ * - Environment variables stay lenient: an invalid or out of range value
+ *   falls back to the file value instead of failing, as the scripts always
+ *   did for the default
+ * - The file is read on every call, so scripts loaded once pick up the
+ *   project of the directory they run in; qore.config.js is re-required
+ * - Both files at once is an error rather than a silent precedence rule
+ */
+
+const fs = require('fs'); // synchronous reads, scripts load configuration at require time
+const path = require('path'); // resolves config files against the project directory
+const log = require('../../lib/log'); // leveled trace output controlled by QORECSS_LOG_LEVEL
+const {trimTrailingSlashes} = require('./env-config'); // same URL normalization as the environment helpers
+
+const CONFIG_FILES = ['qore.config.js', 'qore.config.json']; // looked up in the project directory
+
+/*
+ * SCHEMA
+ * Rationale: One table drives defaults, validation and environment
+ * overrides, so a new setting is added in one place.
+ */
+const schema = {
+ cdn: {
+  baseUrl: {type: 'url', default: 'https://cdn.jsdelivr.net', env: 'CDN_BASE_URL'}, // jsDelivr or a mirror
+  repo: {type: 'repo', default: 'Bijikyu/qoreCSS'}, // GitHub owner/name served under /gh/
+  pagesUrl: {type: 'url', default: 'https://bijikyu.github.io/qoreCSS'}, // secondary CDN benchmarked by performance.js
+  purgeUrl: {type: 'url', default: 'https://purge.jsdelivr.net'} // jsDelivr purge endpoint
+ },
+ files: {
+  css: {type: 'file', default: 'qore.css'}, // stylesheet source
+  variables: {type: 'file', default: 'variables.css'}, // design tokens
+  lightVariables: {type: 'file', default: 'variables.light.css'}, // light scheme tokens
+  html: {type: 'file', default: 'index.html'}, // page rewritten by updateHtml.js
+  tokens: {type: 'file', default: 'tokens.json'}, // tokens.js output
+  purged: {type: 'file', default: 'qore.purged.css'}, // purgeCss.js output
+  history: {type: 'file', default: 'performance-results.json'} // performance.js --json history
+ },
+ build: {
+  hashLength: {type: 'int', min: 8, max: 40, default: 8}, // hex characters of the sha1 in hashed names
+  purgeContent: {type: 'string', default: '', env: 'PURGE_CONTENT'}, // content globs for purging during the build
+  purgeSafelist: {type: 'string', default: '', env: 'PURGE_SAFELIST'} // classes kept by that purge
+ },
+ performance: {
+  maxConcurrency: {type: 'int', min: 1, max: 1000, default: 50, env: 'MAX_CONCURRENCY'}, // cap on requests per endpoint
+  queueLimit: {type: 'int', min: 1, max: 100, default: 5, env: 'QUEUE_LIMIT'}, // requests in flight per batch
+  historyMax: {type: 'int', min: 1, max: 10000, default: 50} // entries kept in the history file
+ },
+ request: {
+  socketLimit: {type: 'int', min: 1, max: 1000, default: 50, env: 'SOCKET_LIMIT'} // keep-alive sockets per agent
+ },
+ offline: {type: 'bool', default: false, env: 'CODEX'} // skips network and PostCSS
+};
+
+/*
+ * VALUE CHECKS
+ * Rationale: Each returns the normalized value or undefined, and describe()
+ * words the expectation for the error message.
+ */
+const types = {
+ url: v => typeof v === 'string' && /^https?:\/\/[^\s/]+\S*$/.test(v.trim()) ? trimTrailingSlashes(v.trim()) : undefined, // http(s) URL without trailing slash
+ repo: v => typeof v === 'string' && /^[\w.-]+\/[\w.-]+(?:@[\w./-]+)?$/.test(v) ? v : undefined, // owner/name with optional @ref
+ file: v => typeof v === 'string' && v.trim() !== '' && !/[\r\n]/.test(v) ? v.trim() : undefined, // relative or absolute path
+ string: v => typeof v === 'string' ? v.trim() : undefined, // free text
+ int: (v, spec) => Number.isInteger(v) && v >= spec.min && v <= spec.max ? v : undefined, // bounded integer
+ bool: v => typeof v === 'boolean' ? v : undefined // true or false only
+};
+
+function describe(spec){ // expectation wording for errors
+ return {url: 'an http(s) URL', repo: 'a GitHub "owner/name" path', file: 'a non-empty file name', string: 'a string', int: `an integer from ${spec.min} to ${spec.max}`, bool: 'true or false'}[spec.type]; // one phrase per type
+}
+
+function isSpec(node){ return typeof node.type === 'string'; } // leaf versus section
+
+/*
+ * ENVIRONMENT VALUES
+ * Rationale: Variables arrive as strings, so integers and flags are coerced
+ * first and then pass the same type check as file values. process.env is
+ * read directly so a config load adds no env-var trace to command output.
+ */
+function envValue(spec){ // checked value of spec.env, undefined when empty or invalid
+ const raw = String(process.env[spec.env]).trim(); // set by the caller's check
+ if(raw === ''){ return undefined; } // empty means unset, as for CDN_BASE_URL
+ const flags = {true: true, false: false, 1: true, 0: false}; // env-var asBool spellings
+ const value = spec.type === 'int' ? (/^\d+$/.test(raw) ? Number(raw) : undefined) : spec.type === 'bool' ? flags[raw.toLowerCase()] : raw; // string to schema type
+ const checked = types[spec.type](value, spec); // range, URL and repo checks
+ return checked === '' ? undefined : checked; // blank strings keep the file value
+}
+
+/*
+ * FILE LOADING
+ * Rationale: .js files can compute values (e.g. from package.json); the
+ * require cache entry is dropped so a changed file is read again.
+ */
+function readFile(cwd){ // {file, data} of the project config, or null
+ const found = CONFIG_FILES.map(f => path.join(cwd, f)).filter(f => fs.existsSync(f)); // existing config files
+ if(found.length > 1){ throw new Error(`${CONFIG_FILES.join(' and ')} both exist in ${cwd}; keep one`); } // ambiguous precedence
+ if(!found.length){ return null; } // defaults and environment only
+ const file = found[0]; // single config file
+ let data; // parsed content
+ try {
+  if(file.endsWith('.json')){ data = JSON.parse(fs.readFileSync(file, 'utf8')); } // plain data
+  else { delete require.cache[require.resolve(file)]; data = require(file); } // module exporting an object
+ } catch(err){
+  throw new Error(`${path.basename(file)} could not be loaded: ${err.message}`); // names the file in syntax errors
+ }
+ return {file: path.basename(file), data}; // name for error messages
+}
+
+/*
+ * CONFIG LOADER
+ *
+ * PROCESS FLOW:
+ * 1. Read qore.config.js or qore.config.json from the project directory
+ * 2. Validate every key against the schema, collecting all problems
+ * 3. Fill defaults, then apply environment variable overrides
+ */
+function loadConfig(cwd = process.cwd()){
+ log.debug(`loadConfig is running with ${cwd}`); // entry log with project directory
+ const loaded = readFile(cwd); // project file, if any
+ const problems = []; // every validation failure
+ const name = loaded ? loaded.file : 'config'; // prefix for messages
+ const resolveSection = (specs, data, prefix) => { // validated section with defaults
+  const out = {}; // resolved values
+  if(data !== undefined && (data === null || typeof data !== 'object' || Array.isArray(data))){ problems.push(`${prefix ? prefix.slice(0, -1) : 'the file'} must be an object`); data = undefined; } // sections are plain objects
+  Object.keys(data || {}).filter(k => !(k in specs)).forEach(k => problems.push(`unknown option "${prefix}${k}"`)); // typos fail loudly
+  for(const key of Object.keys(specs)){
+   const spec = specs[key]; // leaf spec or nested section
+   const value = data ? data[key] : undefined; // configured value
+   if(!isSpec(spec)){ out[key] = resolveSection(spec, value, `${prefix}${key}.`); continue; } // nested section
+   let result = spec.default; // schema default
+   if(value !== undefined){ // configured in the file
+    const checked = types[spec.type](value, spec); // normalized value
+    if(checked === undefined){ problems.push(`${prefix}${key} must be ${describe(spec)}, got ${JSON.stringify(value)}`); } else { result = checked; } // collects the problem
+   }
+   if(spec.env && process.env[spec.env] !== undefined){ // environment wins over the file when set
+    const env = envValue(spec); // coerced and checked like a file value
+    if(env !== undefined){ result = env; } // empty or invalid keeps the file value
+   }
+   out[key] = result; // resolved value
+  }
+  return out; // section object
+ };
+ const config = resolveSection(schema, loaded ? loaded.data : undefined, ''); // whole configuration
+ if(problems.length){ throw new Error(`${name}: ${problems.join('; ')}`); } // one error listing everything
+ config.file = loaded ? loaded.file : null; // which file was applied
+ log.debug(`loadConfig is returning ${JSON.stringify(config)}`); // exit log with resolved values
+ return config; // plain object, safe for callers to read
+}
+
+function defaults(){ // schema defaults without file or environment, for documentation and tests
+ const walk = specs => Object.keys(specs).reduce((out, key) => { out[key] = isSpec(specs[key]) ? specs[key].default : walk(specs[key]); return out; }, {}); // mirrors the schema shape
+ return walk(schema); // default configuration
+}
+
+module.exports = {loadConfig, defaults, CONFIG_FILES}; // shared by every script in scripts/
@@ -2,19 +2,31 @@
 //
 // PURPOSE AND RATIONALE:
 // Provides a consistent error logging function across all scripts.
-// It attempts to use the qerrors module for structured error logging
-// but falls back to console.error when qerrors is unavailable.
+// Output always goes through the shared leveled logger, so the text or json
+// format and the stream the qorecss CLI selects apply to errors as well.
+// When the qerrors module is installed it is called afterwards as a
+// structured side-channel for its own reporting. QORECSS_LOG_LEVEL=silent
+// suppresses both.
 
-let logger;
+const log = require('../../lib/log'); // shared leveled logger from lib/log.js
+
+let qerrors = null; // structured error reporter when installed
 try {
-  logger = require('qerrors'); // Use qerrors when available for structured error logging
+  qerrors = require('qerrors'); // Use qerrors when available for structured error logging
 } catch (err) {
-  function fallbackLogger(error, msg, ctx) { // provides console.error fallback when qerrors missing
-    console.log(`fallbackLogger is running with ${error},${msg},${ctx}`); // entry log includes context info
-    console.error(error, msg, ctx); // basic error output with context
-    console.log(`fallbackLogger is returning undefined with context ${ctx}`); // exit log mentions context
+  qerrors = null; // fallback path below handles missing dependency
+}
+
+function errorLogger(error, msg, ctx) { // reports through the shared logger, then qerrors
+  log.debug(`errorLogger is running with ${error},${msg},${ctx}`); // entry log includes context info
+  if (!log.enabled('error')) { log.debug(`errorLogger is returning undefined`); return; } // silent level mutes errors too
+  log.error(msg, {error: error && error.message !== undefined ? error.message : error, context: ctx}); // leveled output keeps text or json format
+  if (qerrors) { // structured reporter installed
+    const result = qerrors(error, msg, ctx); // side-channel only, the record above is the output
+    log.debug(`errorLogger is returning ${result}`); // exit log
+    return result; // qerrors may return a promise
   }
-  logger = fallbackLogger; // assign fallback implementation
+  log.debug(`errorLogger is returning undefined with context ${ctx}`); // exit log mentions context
 }
 
-module.exports = logger; // exports chosen logger function for use across scripts
+module.exports = errorLogger; // exports wrapper function for use across scripts
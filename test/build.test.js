@@ -87,6 +87,78 @@ describe('build offline', {concurrency:false}, () => {
     const indexContent = fs.readFileSync(indexPath, 'utf8'); // reads index.js content for hash injection verification
     assert.ok(indexContent.includes(`core.${hash}.min.css`)); // confirms hash was properly injected into index.js
   });
+
+  it('writes sha384 integrity digest and injects it into index.js', async () => {
+    const hash = await build(); // executes build to produce digest
+    const css = fs.readFileSync(path.join(tmpDir, `core.${hash}.min.css`)); // reads hashed output bytes
+    const expected = `sha384-${require('node:crypto').createHash('sha384').update(css).digest('base64')}`; // independently computed digest
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'build.integrity'), 'utf8'), expected); // digest persisted
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'index.js'), 'utf8').includes(`const cssIntegrity = \`${expected}\`;`)); // digest injected for runtime links
+  });
+
+  it('regenerates theme whitelist in index.js from variables.css', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root {\n  --color-dominant: #000;\n  --brand-new: 1px;\n}'); // minimal token source with a new name
+    await build(); // executes build to refresh index.js
+    const indexContent = fs.readFileSync(path.join(tmpDir, 'index.js'), 'utf8'); // reads rewritten index.js
+    assert.ok(indexContent.includes(`const themeVars = ['--color-dominant','--brand-new'];`)); // whitelist mirrors variables.css
+  });
+
+  it('writes hashed variables copy and points index.js at it', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root {\n  --color-dominant: #000;\n}'); // minimal token source
+    fs.writeFileSync(path.join(tmpDir, 'variables.00000000.css'), 'old'); // copy from a previous build
+    await build(); // executes build to hash variables.css
+    const copies = fs.readdirSync(tmpDir).filter(f => /^variables\.[a-f0-9]{8}\.css$/.test(f)); // hashed copies left
+    assert.strictEqual(copies.length, 1); // outdated copy removed
+    assert.notStrictEqual(copies[0], 'variables.00000000.css'); // new hash written
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, copies[0]), 'utf8'), fs.readFileSync(path.join(tmpDir, 'variables.css'), 'utf8')); // identical contents
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'index.js'), 'utf8').includes(`const varsFile = \`${copies[0]}\`;`)); // runtime injects the hashed copy
+  });
+
+  it('emits light scheme tokens under media query and data-theme override', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.light.css'), '/* light */\n:root {\n  --gs-darkest: #fff; /* page */\n  --gs-lightest: #000;\n}'); // minimal light token source
+    const hash = await build(); // executes build to append scheme rules
+    const css = fs.readFileSync(path.join(tmpDir, `core.${hash}.min.css`), 'utf8'); // reads hashed output
+    assert.ok(css.includes('@media (prefers-color-scheme:light){:root:not([data-theme="dark"]){--gs-darkest:#fff;--gs-lightest:#000}}')); // auto rule present
+    assert.ok(css.includes(':root[data-theme="light"]{--gs-darkest:#fff;--gs-lightest:#000}')); // forced light rule present
+  });
+
+  it('records version, hash, time and file sizes in index.js and index.mjs', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({version:'9.8.7'})); // site version, not the framework's
+    fs.copyFileSync(path.resolve(__dirname, '../index.mjs'), path.join(tmpDir, 'index.mjs')); // ESM entry carries the same metadata
+    const hash = await build(); // executes build to write metadata
+    const match = fs.readFileSync(path.join(tmpDir, 'index.js'), 'utf8').match(/const buildInfo = (\{[^\n]*?\});/); // rewritten literal
+    const info = JSON.parse(match[1]); // literal is plain JSON
+    assert.strictEqual(info.version, require('../package.json').version); // qorecss version, not the project's
+    assert.strictEqual(info.hash, hash); // hash matches emitted file
+    assert.ok(!Number.isNaN(Date.parse(info.builtAt))); // ISO build timestamp
+    assert.strictEqual(info.files[`core.${hash}.min.css`], fs.statSync(path.join(tmpDir, `core.${hash}.min.css`)).size); // size of the hashed file
+    assert.ok(info.files[`core.${hash}.min.css.gz`] > 0); // compressed variants measured as well
+    assert.ok(fs.readFileSync(path.join(tmpDir, 'index.mjs'), 'utf8').includes(`Object.freeze(${JSON.stringify(info)})`)); // ESM entry rewritten identically
+  });
+
+  it('lists every emitted file in qore-manifest.json', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root{--a:1px}'); // token file gets a hashed copy
+    const hash = await build(); // executes build to write the manifest
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore-manifest.json'), 'utf8')); // build manifest
+    assert.strictEqual(manifest.hash, hash); // same hash as build.hash
+    assert.deepStrictEqual(Object.keys(manifest.files), ['core.min.css', 'variables.css', 'classes.json', 'qore.html-data.json']); // logical names
+    const core = manifest.files['core.min.css']; // core stylesheet record
+    const file = `core.${hash}.min.css`; // hashed name
+    assert.strictEqual(core.file, file); // hashed name recorded
+    assert.deepStrictEqual(core.size, {raw: fs.statSync(file).size, gzip: fs.statSync(`${file}.gz`).size, brotli: fs.statSync(`${file}.br`).size}); // sizes of the shipped files
+    assert.deepStrictEqual(core.compressed, {gzip: `${file}.gz`, brotli: `${file}.br`}); // variants listed
+    assert.strictEqual(core.integrity, fs.readFileSync(path.join(tmpDir, 'build.integrity'), 'utf8')); // same digest as build.integrity
+    assert.strictEqual(core.sourceHash, require('node:crypto').createHash('sha1').update(fs.readFileSync('qore.css')).digest('hex')); // hash of the source
+    assert.match(manifest.files['variables.css'].file, /^variables\.[a-f0-9]{8}\.css$/); // hashed token copy
+    assert.strictEqual(manifest.builtAt, JSON.parse(fs.readFileSync('index.js', 'utf8').match(/const buildInfo = (\{[^\n]*?\});/)[1]).builtAt); // one timestamp per build
+  });
+
+  it('syncs the qore.css VERSION header with the qorecss package.json', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({version:'2.0.0'})); // site version, not the framework's
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), '/* VERSION 10 */\nbody{}'); // stale header
+    await build(); // executes build to sync the header
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'qore.css'), 'utf8'), `/* VERSION ${require('../package.json').version} */\nbody{}`); // header matches the framework version
+  });
 });
 
 /*
@@ -98,6 +170,15 @@ describe('build offline', {concurrency:false}, () => {
  * throwing an error. This mirrors CODEX mode behavior in a production setting.
  */
 describe('build without postcss binary', {concurrency:false}, () => {
+  it('writes classes.json and VS Code custom data from the commented source', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), '/* UTILS ===== */\n.wide33 {width: 33%;} /* Approximate third width */'); // one documented class
+    await build(); // executes build to write the catalog
+    const classes = JSON.parse(fs.readFileSync(path.join(tmpDir, 'classes.json'), 'utf8')); // catalog records
+    assert.deepStrictEqual(classes.map(c => [c.name, c.section, c.comment]), [['wide33', 'UTILS', 'Approximate third width']]); // name, section and comment
+    const data = JSON.parse(fs.readFileSync(path.join(tmpDir, 'qore.html-data.json'), 'utf8')); // editor custom data
+    assert.strictEqual(data.valueSets[0].values[0].name, 'wide33'); // completion entry
+  });
+
   it('copies css when postcss binary missing', async () => {
     const prevCodex = process.env.CODEX; // preserve incoming environment value
     process.env.CODEX = 'False'; // forces production mode to trigger postcss path check
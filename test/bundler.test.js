@@ -0,0 +1,155 @@
+/*
+ * BUNDLER PLUGIN TESTING - qorecss/vite AND qorecss/webpack
+ *
+ * PURPOSE AND RATIONALE:
+ * The plugins replace copying core.<hash>.min.css into public/ by hand. Tests
+ * cover the shared asset preparation (hashed build, qore.css fallback, CDN
+ * references, token overrides) and drive each plugin's hooks with minimal
+ * stand-ins for the Vite and webpack objects, since neither bundler is a
+ * dependency of this package.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const crypto = require('node:crypto'); // independent digest computation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {prepareAssets, applyTokens, linkAttributes, renderLink} = require('../lib/bundler'); // shared core under test
+const qorecssVite = require('../lib/vite'); // Vite plugin under test
+const QorecssWebpackPlugin = require('../lib/webpack'); // webpack plugin under test
+
+let root; // temporary package directory
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-')); // isolated package copy
+  fs.writeFileSync(path.join(root, 'qore.css'), 'body{color:var(--color-dominant)}'); // source stylesheet
+  fs.writeFileSync(path.join(root, 'variables.css'), ':root {\n  --color-dominant: #8b4c42;\n  --bg-btn: var(--color-dominant);\n}'); // minimal tokens
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(root, {recursive:true, force:true}); // removes temporary package
+  delete process.env.CDN_BASE_URL; // restores default CDN
+});
+
+function writeBuild(){ // adds build.js artifacts to the temporary package
+  fs.writeFileSync(path.join(root, 'build.hash'), 'abcdef12'); // current build hash
+  fs.writeFileSync(path.join(root, 'core.abcdef12.min.css'), 'body{}'); // hashed build
+  fs.writeFileSync(path.join(root, 'build.integrity'), 'sha384-build'); // build digest
+}
+
+describe('prepareAssets', {concurrency:false}, () => {
+  it('uses the hashed build and content-hashes variables.css', () => {
+    writeBuild(); // package with a build
+    const [vars, core] = prepareAssets({root}); // variables first
+    assert.match(vars.fileName, /^variables\.[a-f0-9]{8}\.css$/); // content hashed name
+    assert.strictEqual(core.fileName, 'core.abcdef12.min.css'); // build name kept
+    assert.strictEqual(core.integrity, `sha384-${crypto.createHash('sha384').update('body{}').digest('base64')}`); // digest of emitted bytes
+  });
+
+  it('reads the core file and digest from qore-manifest.json', () => {
+    writeBuild(); // legacy files of an older build
+    fs.writeFileSync(path.join(root, 'qore-manifest.json'), JSON.stringify({hash: '0123abcd', files: {'core.min.css': {file: 'core.0123abcd.min.css', integrity: 'sha384-manifest'}}})); // current build
+    fs.writeFileSync(path.join(root, 'core.0123abcd.min.css'), 'p{}'); // artifact named by the manifest
+    assert.strictEqual(prepareAssets({root, variables: false})[0].fileName, 'core.0123abcd.min.css'); // manifest wins over build.hash
+    assert.strictEqual(prepareAssets({root, cdn: true, variables: false})[0].integrity, 'sha384-manifest'); // digest from the manifest
+  });
+
+  it('falls back to a content-hashed qore.css without a build', () => {
+    const [, core] = prepareAssets({root}); // package without build.hash
+    assert.match(core.fileName, /^qore\.[a-f0-9]{8}\.css$/); // still cache busting
+  });
+
+  it('references the CDN copy with the build digest in cdn mode', () => {
+    writeBuild(); // package with a build
+    process.env.CDN_BASE_URL = 'https://cdn.example.com//'; // trailing slashes trimmed
+    const core = prepareAssets({root, cdn: true, variables: false}); // core only
+    assert.deepStrictEqual(core, [{sheet: 'core', url: 'https://cdn.example.com/gh/Bijikyu/qoreCSS/core.abcdef12.min.css', integrity: 'sha384-build'}]); // nothing emitted
+    assert.strictEqual(prepareAssets({root, cdn: 'https://other.example', variables: false})[0].url.split('/gh/')[0], 'https://other.example'); // explicit base wins
+  });
+
+  it('uses the repository path and hash length from qore.config', () => {
+    writeBuild(); // package with a build
+    fs.writeFileSync(path.join(root, 'qore.config.json'), JSON.stringify({cdn: {baseUrl: 'https://mirror.example', repo: 'acme/brandCSS'}, build: {hashLength: 12}})); // fork settings
+    process.chdir(root); // bundlers run from the project directory
+    const [vars, core] = prepareAssets({root, cdn: true}); // CDN mode with variables
+    assert.match(vars.fileName, /^variables\.[a-f0-9]{12}\.css$/); // configured hash length
+    assert.strictEqual(core.url, 'https://mirror.example/gh/acme/brandCSS/core.abcdef12.min.css'); // fork repository on the configured CDN
+  });
+
+  it('overrides tokens and rejects unknown names', () => {
+    const css = applyTokens(fs.readFileSync(path.join(root, 'variables.css'), 'utf8'), {'color-dominant': '#00aa66'}); // leading dashes optional
+    assert.ok(css.includes('--color-dominant: #00aa66;')); // value replaced
+    assert.ok(css.includes('--bg-btn: var(--color-dominant);')); // var() chains untouched
+    assert.throws(() => prepareAssets({root, tokens: {'--colour-dominant': 'red'}}), /Unknown qorecss tokens: --colour-dominant/); // typo fails the build
+  });
+
+  it('renders link attributes with escaping', () => {
+    const attrs = linkAttributes({sheet: 'core', fileName: 'a.css', integrity: 'sha384-x'}, '/static/'); // emitted asset
+    assert.strictEqual(renderLink({...attrs, title: 'a"b'}), '<link rel="stylesheet" href="/static/a.css" data-qorecss-sheet="core" integrity="sha384-x" crossorigin="anonymous" title="a&quot;b">'); // quotes escaped
+  });
+});
+
+describe('qorecss/vite', {concurrency:false}, () => {
+  it('emits assets into assetsDir and prepends links', () => {
+    writeBuild(); // package with a build
+    const plugin = qorecssVite({root}); // plugin under test
+    plugin.configResolved({base: '/app', build: {assetsDir: 'static'}}); // Vite resolved config
+    const emitted = []; // emitFile calls
+    plugin.generateBundle.call({emitFile: f => emitted.push(f)}); // Rollup plugin context stand-in
+    assert.deepStrictEqual(emitted.map(f => f.fileName).slice(1), ['static/core.abcdef12.min.css']); // core under assetsDir
+    const tags = plugin.transformIndexHtml(); // HTML tag descriptors
+    assert.strictEqual(tags[1].attrs.href, '/app/static/core.abcdef12.min.css'); // base joined with a slash
+    assert.strictEqual(tags[0].attrs['data-qorecss-sheet'], 'variables'); // tokens first
+    assert.ok(tags.every(t => t.injectTo === 'head-prepend')); // app styles keep priority
+  });
+
+  it('serves emitted files from the dev server', () => {
+    writeBuild(); // package with a build
+    const plugin = qorecssVite({root}); // plugin under test
+    plugin.configResolved({base: '/', build: {}}); // default assetsDir
+    let handler; // middleware registered with Vite
+    plugin.configureServer({middlewares: {use: fn => { handler = fn; }}}); // connect stand-in
+    let body; // response payload
+    const headers = {}; // response headers
+    handler({url: '/assets/core.abcdef12.min.css?v=1'}, {setHeader: (k, v) => { headers[k] = v; }, end: b => { body = String(b); }}, () => assert.fail('next called')); // stylesheet request
+    assert.strictEqual(body, 'body{}'); // file contents
+    assert.match(headers['Content-Type'], /text\/css/); // served as CSS
+    let passed = false; // next() invocation flag
+    handler({url: '/main.js'}, {}, () => { passed = true; }); // unrelated request
+    assert.ok(passed); // handed to Vite
+  });
+});
+
+describe('qorecss/webpack', {concurrency:false}, () => {
+  function compile(plugin, {publicPath = '/', withHtml = true} = {}){ // runs the plugin against webpack stand-ins
+    const taps = {}; // hook name to callback
+    const hook = key => ({tap: (opts, fn) => { taps[key] = fn; }}); // minimal tapable
+    const emitted = {}; // asset name to source
+    let headTags = [{tagName: 'script'}]; // html-webpack-plugin head group
+    class HtmlWebpackPlugin { static getHooks(){ return {alterAssetTagGroups: hook('html')}; } } // html plugin stand-in
+    const compiler = {context: root, options: {plugins: withHtml ? [new HtmlWebpackPlugin()] : []}, webpack: {Compilation: {PROCESS_ASSETS_STAGE_ADDITIONAL: -2000}, sources: {RawSource: class { constructor(s){ this.s = s; } }}}, hooks: {thisCompilation: hook('compilation')}}; // webpack 5 surface used by the plugin
+    plugin.apply(compiler); // registers hooks
+    taps.compilation({outputOptions: {publicPath}, hooks: {processAssets: hook('assets')}, emitAsset: (name, src) => { emitted[name] = String(src.s); }}); // new compilation
+    taps.assets(); // emit stage
+    if(taps.html){ headTags = taps.html({headTags}).headTags; } // HTML generation
+    return {emitted, headTags}; // observable results
+  }
+
+  it('emits assets and prepends tags for html-webpack-plugin', () => {
+    writeBuild(); // package with a build
+    const {emitted, headTags} = compile(new QorecssWebpackPlugin({root, assetsDir: 'css'}), {publicPath: '/static'}); // custom directory
+    assert.strictEqual(emitted['css/core.abcdef12.min.css'], 'body{}'); // core emitted
+    assert.deepStrictEqual(headTags.map(t => t.attributes && t.attributes.href), ['/static/css/' + Object.keys(emitted)[0].slice(4), '/static/css/core.abcdef12.min.css', undefined]); // qorecss links before app tags
+  });
+
+  it('uses relative links for publicPath auto and skips HTML without the plugin', () => {
+    writeBuild(); // package with a build
+    const auto = compile(new QorecssWebpackPlugin({root, variables: false}), {publicPath: 'auto'}); // webpack default
+    assert.strictEqual(auto.headTags[0].attributes.href, 'assets/core.abcdef12.min.css'); // relative to the HTML file
+    const bare = compile(new QorecssWebpackPlugin({root, variables: false}), {withHtml: false}); // no html-webpack-plugin
+    assert.deepStrictEqual(Object.keys(bare.emitted), ['assets/core.abcdef12.min.css']); // assets still emitted
+  });
+});
@@ -0,0 +1,121 @@
+/*
+ * CLASS CATALOG TESTING - lib/classes.js AND checkClasses CLI
+ *
+ * PURPOSE AND RATIONALE:
+ * The checker gates merges, so a false alarm on a project's own class is as
+ * costly as a missed typo. Tests cover the catalog parser, attribute
+ * extraction with line numbers, the suggestion rules, the classes.json
+ * records and VS Code custom data, and the CLI return values in a temporary
+ * project.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, afterEach} = require('node:test'); // Node.js native test framework components
+const {parseClasses, findClassUses, suggestClass, checkSource, describeClasses, customData} = require('../lib/classes'); // helpers under test
+const checkClasses = require('../scripts/checkClasses'); // CLI function under test
+
+const catalog = parseClasses(fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8')); // real framework classes
+let tmpDir; // temporary project directory
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  if(tmpDir){ fs.rmSync(tmpDir, {recursive:true, force:true}); tmpDir = undefined; } // removes temporary files
+});
+
+describe('class catalog', {concurrency:false}, () => {
+  it('collects class names from selectors only', () => {
+    const css = `/* .fake */ .a, .b:hover > .c {margin:.5em} @media (max-width: 10.5px) {.d{content:".e"}}`; // comment, number and string traps
+    assert.deepStrictEqual(parseClasses(css), ['a', 'b', 'c', 'd']); // only selector classes
+  });
+
+  it('contains the documented qoreCSS classes', () => {
+    ['row', 'col33', 'wide33', 'margin25', 'textCenter'].forEach(c => assert.ok(catalog.includes(c), c)); // representative names
+  });
+});
+
+describe('class attribute extraction', {concurrency:false}, () => {
+  it('finds HTML and JSX class values with their lines', () => {
+    const src = `<div class="row center">\n<p className='card'>\n<a className={"textLeft"}/>\n<b className={\`col50 \${x}\n wide33\`}/>`; // every attribute form
+    assert.deepStrictEqual(findClassUses(src), [{name:'row', line:1}, {name:'center', line:1}, {name:'card', line:2}, {name:'textLeft', line:3}, {name:'col50', line:4}, {name:'wide33', line:5}]); // names with their own lines
+  });
+
+  it('skips template expressions inside class values', () => {
+    assert.deepStrictEqual(findClassUses(`<div class="row {{ extra }} <%= more %>">`).map(u => u.name), ['row']); // handlebars and ejs parts ignored
+  });
+});
+
+describe('class suggestions', {concurrency:false}, () => {
+  it('suggests the nearest member of a numbered family', () => {
+    assert.strictEqual(suggestClass('wide35', catalog), 'wide33'); // closest width
+    assert.strictEqual(suggestClass('col32', catalog), 'col33'); // closest column
+    assert.ok(catalog.includes(suggestClass('margin20', catalog)) && suggestClass('margin20', catalog).startsWith('margin')); // a real margin class
+  });
+
+  it('suggests close spellings and ignores unrelated names', () => {
+    assert.strictEqual(suggestClass('textCentre', catalog), 'textCenter'); // swapped letters
+    assert.strictEqual(suggestClass('navbar', catalog), null); // project class
+  });
+
+  it('reports only unknown qoreCSS-like classes', () => {
+    const issues = checkSource(`<div class="row navbar wide35">`, catalog); // valid, project and typo
+    assert.deepStrictEqual(issues, [{name:'wide35', line:1, suggestion:'wide33'}]); // only the typo
+  });
+});
+
+describe('class records', {concurrency:false}, () => {
+  const css = `/* BASICS ===== */\n/*\n * SPACING\n * Rationale: gaps\n */\n.pad5 {padding: 5px;} /* Small padding */\n.row {\n  display: flex; /* Base flex */\n  gap: 0 !important;\n}\n.row:hover > a {color: red;}\n/* MEDIA ===== */\n@media print {\n  .row {display: none !important;} /* Hidden on paper */\n  .noPrint {display: none;}\n}`; // headings, doc block, trailing comments and a variant
+
+  it('records section, comment, declarations and variants', () => {
+    const [noPrint, pad5, row] = describeClasses(css); // sorted by name
+    assert.deepStrictEqual(pad5, {name:'pad5', section:'BASICS', comment:'Small padding', declarations:[{property:'padding', value:'5px', important:false, comment:''}], important:false, media:[], selectors:['.pad5']}); // trailing rule comment
+    assert.deepStrictEqual(row.declarations, [{property:'display', value:'flex', important:false, comment:'Base flex'}, {property:'gap', value:'0', important:true, comment:''}]); // declaration comments and priority
+    assert.strictEqual(row.comment, 'SPACING'); // doc block title when the rule has no comment
+    assert.strictEqual(row.important, true); // !important anywhere in its rules
+    assert.deepStrictEqual(row.media, [{query:'print', declarations:[{property:'display', value:'none', important:true, comment:''}]}]); // responsive variant
+    assert.deepStrictEqual(row.selectors, ['.row', '.row:hover > a']); // compound selectors listed
+    assert.strictEqual(noPrint.section, 'MEDIA'); // variant-only class keeps its own section
+  });
+
+  it('describes every class of the packaged stylesheet', () => {
+    const records = describeClasses(fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8')); // real framework source
+    assert.deepStrictEqual(records.map(r => r.name), catalog); // same names as the validator catalog
+    assert.strictEqual(records.find(r => r.name === 'wide33').comment, 'Approximate third width'); // documented example
+  });
+
+  it('builds VS Code html custom data with markdown hovers', () => {
+    const data = customData(describeClasses(css)); // custom data document
+    assert.deepStrictEqual(data.globalAttributes, [{name:'class', description:'qoreCSS classes', valueSet:'qorecss'}]); // class attribute completes from the set
+    const pad5 = data.valueSets[0].values.find(v => v.name === 'pad5'); // completion entry
+    assert.strictEqual(pad5.description.kind, 'markdown'); // rich hover
+    assert.ok(pad5.description.value.includes('Small padding') && pad5.description.value.includes('.pad5 {\n  padding: 5px;\n}')); // comment and rule shown
+  });
+});
+
+describe('checkClasses script', {concurrency:false}, () => {
+  it('returns issues with cwd-relative files and honors --ignore', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classtest-')); // isolated project
+    fs.mkdirSync(path.join(tmpDir, 'src')); // nested content directory
+    fs.writeFileSync(path.join(tmpDir, 'src', 'App.jsx'), `<div className="row">\n  <p className="col32 tip"/>\n</div>`); // typo and project class
+    process.chdir(tmpDir); // scripts operate on the working directory
+    assert.deepStrictEqual(await checkClasses({ignore:'tip'}), [{file:'src/App.jsx', name:'col32', line:2, suggestion:'col33'}]); // packaged catalog used
+    assert.strictEqual(checkClasses.formatIssue({file:'a.html', line:3, name:'col32', suggestion:'col33'}), 'a.html:3: unknown qoreCSS class "col32", did you mean "col33"?'); // printed format
+  });
+
+  it('returns an empty list for valid templates and 1 without files', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classtest-')); // isolated project
+    process.chdir(tmpDir); // scripts operate on the working directory
+    assert.strictEqual(await checkClasses({}), 1); // default globs match nothing
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), `<div class="row center">`); // valid markup
+    assert.deepStrictEqual(await checkClasses({}), []); // nothing to report
+  });
+
+  it('returns 1 for a missing explicit stylesheet', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'classtest-')); // isolated project
+    process.chdir(tmpDir); // scripts operate on the working directory
+    assert.strictEqual(await checkClasses({css:'missing.css'}), 1); // usage error
+  });
+});
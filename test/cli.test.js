@@ -0,0 +1,124 @@
+/*
+ * COMMAND LINE INTERFACE TESTING - lib/cli.js BEHIND THE qorecss BIN
+ *
+ * PURPOSE AND RATIONALE:
+ * CI pipelines in several repositories depend on the exit codes and the
+ * --json document, so those are the contract under test: usage errors exit
+ * 2, failed commands exit 1, and stdout carries exactly one JSON document.
+ * Commands run in temporary directories with CODEX set so nothing touches
+ * the network, and console output is captured instead of printed.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {main, parseArgs, EXIT_OK, EXIT_FAILED, EXIT_USAGE} = require('../lib/cli'); // CLI under test
+
+let tmpDir; // temporary project directory
+let out; // captured stdout lines
+let err; // captured stderr lines
+const original = {log: console.log, error: console.error}; // restored after each test
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clitest-')); // isolated project
+  out = []; err = []; // fresh capture buffers
+  console.log = (...a) => out.push(a.join(' ')); // stdout capture
+  console.error = (...a) => err.push(a.join(' ')); // stderr capture
+  process.env.CODEX = 'True'; // offline build and purge
+});
+
+afterEach(() => {
+  console.log = original.log; console.error = original.error; // restores console
+  delete process.env.CODEX; // offline flag only for these tests
+  process.chdir(path.resolve(__dirname, '..')); // directory the next test expects
+  fs.rmSync(tmpDir, {recursive:true, force:true}); // removes temporary files
+});
+
+describe('cli usage', {concurrency:false}, () => {
+  it('prints help with every command and exits 0', async () => {
+    assert.strictEqual(await main(['--help']), EXIT_OK); // explicit help succeeds
+    ['build', 'update-html', 'purge', 'perf', 'tokens', 'purge-css', 'check-classes', 'init'].forEach(c => assert.ok(out.join('\n').includes(`  ${c} `), c)); // command list
+    assert.strictEqual(await main(['tokens', '-h']), EXIT_OK); // subcommand help through the alias
+    assert.ok(out.join('\n').includes('Usage: qorecss tokens [output] [options]')); // subcommand usage line
+  });
+
+  it('exits 2 for missing or unknown commands and options', async () => {
+    assert.strictEqual(await main([]), EXIT_USAGE); // no command
+    assert.strictEqual(await main(['bild']), EXIT_USAGE); // unknown command
+    assert.strictEqual(await main(['tokens', '--bogus']), EXIT_USAGE); // unknown option
+    assert.strictEqual(await main(['tokens', '--input']), EXIT_USAGE); // missing option value
+    assert.strictEqual(await main(['build', 'extra']), EXIT_USAGE); // unexpected positional
+    assert.ok(err.some(l => l.includes('unknown command "bild"'))); // reason on stderr
+    assert.deepStrictEqual(out, []); // stdout untouched
+  });
+
+  it('validates command arguments before running', async () => {
+    assert.strictEqual(await main(['perf', '0']), EXIT_USAGE); // concurrency out of range
+    assert.strictEqual(await main(['perf', 'ten']), EXIT_USAGE); // not a number
+    assert.strictEqual(await main(['purge-css']), EXIT_USAGE); // --content required
+    assert.strictEqual(await main(['tokens', '--cwd', path.join(tmpDir, 'missing')]), EXIT_USAGE); // --cwd must exist
+  });
+
+  it('parses --name=value, aliases and -- separators', () => {
+    const flags = {input: {type: 'string'}, quiet: {type: 'boolean', alias: 'q'}}; // sample spec
+    assert.deepStrictEqual(parseArgs(['out.json', '--input=a.css', '-q', '--', '--x'], flags), {opts: {_: ['out.json', '--x'], input: 'a.css', quiet: true}, error: null}); // every form
+    assert.strictEqual(parseArgs(['--quiet=yes'], flags).error, 'option --quiet takes no value'); // switches reject values
+  });
+});
+
+describe('cli commands', {concurrency:false}, () => {
+  it('runs tokens in --cwd and prints one JSON document', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root {\n  --a: 1px;\n}'); // project tokens
+    assert.strictEqual(await main(['tokens', 'out.json', '--cwd', tmpDir, '--json']), EXIT_OK); // success
+    assert.deepStrictEqual(out.map(l => JSON.parse(l)), [{command:'tokens', ok:true, output:'out.json', tokens:1}]); // single document
+    assert.ok(fs.existsSync(path.join(tmpDir, 'out.json'))); // written in the --cwd directory
+  });
+
+  it('keeps debug trace off stdout under --json', async () => {
+    const trace = {info: console.info, debug: console.debug}; // Node writes both to stdout
+    console.info = console.debug = (...a) => out.push(a.join(' ')); // count them as stdout
+    process.env.QORECSS_LOG_LEVEL = 'debug'; // full entry and return trace
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), ':root {\n  --a: 1px;\n}'); // project tokens
+    try {
+      assert.strictEqual(await main(['tokens', 'out.json', '--cwd', tmpDir, '--json']), EXIT_OK); // success
+    } finally {
+      Object.assign(console, trace); // restores trace methods
+      delete process.env.QORECSS_LOG_LEVEL; // default level for later tests
+    }
+    assert.deepStrictEqual(out.map(l => JSON.parse(l)), [{command:'tokens', ok:true, output:'out.json', tokens:1}]); // stdout is one JSON document
+    assert.ok(err.some(l => l.includes('dispatch is running with tokens'))); // trace moved to stderr
+  });
+
+  it('exits 1 when a command reports a missing artifact', async () => {
+    assert.strictEqual(await main(['update-html', '--cwd', tmpDir, '--json']), EXIT_FAILED); // no manifest or build.hash yet
+    assert.deepStrictEqual(JSON.parse(out[out.length - 1]), {command:'update-html', ok:false, error:'qore-manifest.json missing and no build.hash to fall back to; run qorecss build first'}); // machine readable failure
+  });
+
+  it('builds and purges offline with the documented results', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // minimal stylesheet
+    const before = process.cwd(); // caller's directory
+    assert.strictEqual(await main(['build', '--cwd', tmpDir, '--json']), EXIT_OK); // build succeeds
+    assert.strictEqual(process.cwd(), before); // --cwd applies to the command only
+    const {hash} = JSON.parse(out[out.length - 1]); // reported hash
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'build.hash'), 'utf8'), hash); // same hash persisted
+    assert.strictEqual(await main(['purge', '--cwd', tmpDir, '--json']), EXIT_OK); // CODEX purge answers 200
+    assert.deepStrictEqual(JSON.parse(out[out.length - 1]), {command:'purge', ok:true, status:200}); // HTTP status reported
+  });
+
+  it('exits 1 with file:line output when check-classes finds typos', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<div class="row">\n<p class="wide35">'); // one typo
+    assert.strictEqual(await main(['check-classes', '--cwd', tmpDir]), EXIT_FAILED); // gate fails
+    assert.deepStrictEqual(out, ['index.html:2: unknown qoreCSS class "wide35", did you mean "wide33"?']); // human readable report
+  });
+
+  it('suppresses reports under --quiet', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<div class="row">'); // content for purging
+    fs.writeFileSync(path.join(tmpDir, 'qore.css'), '.row{a:b}.card{c:d}'); // project stylesheet
+    assert.strictEqual(await main(['purge-css', '--content', 'index.html', '--cwd', tmpDir, '-q']), EXIT_OK); // purge succeeds
+    assert.deepStrictEqual(out, []); // nothing printed
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'qore.purged.css'), 'utf8'), '.row{a:b}'); // work still done
+  });
+});
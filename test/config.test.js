@@ -0,0 +1,97 @@
+/*
+ * PROJECT CONFIGURATION TESTING - scripts/utils/config.js
+ *
+ * PURPOSE AND RATIONALE:
+ * Every script reads its settings through loadConfig(), so the precedence
+ * (defaults, then the config file, then environment variables) and the
+ * validation messages are the contract under test. A mistyped key must fail
+ * with the file and key named rather than be ignored.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {loadConfig, defaults} = require('../scripts/utils/config'); // loader under test
+
+let tmpDir; // temporary project directory
+const write = (name, data) => fs.writeFileSync(path.join(tmpDir, name), typeof data === 'string' ? data : JSON.stringify(data)); // config file in the project
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'configtest-')); // isolated project
+});
+
+afterEach(() => {
+  ['MAX_CONCURRENCY', 'CDN_BASE_URL', 'CODEX'].forEach(name => delete process.env[name]); // overrides only for these tests
+  fs.rmSync(tmpDir, {recursive:true, force:true}); // removes temporary files
+});
+
+describe('loadConfig', {concurrency:false}, () => {
+  it('returns the defaults without a config file', () => {
+    const config = loadConfig(tmpDir); // empty project
+    assert.strictEqual(config.file, null); // nothing applied
+    delete config.file; // not part of the schema
+    assert.deepStrictEqual(config, defaults()); // schema defaults
+    assert.strictEqual(config.cdn.repo, 'Bijikyu/qoreCSS'); // upstream repository
+  });
+
+  it('applies qore.config.json values over the defaults', () => {
+    write('qore.config.json', {cdn:{repo:'acme/brandCSS', pagesUrl:'https://acme.github.io/brandCSS/'}, build:{hashLength:12}}); // fork settings
+    const config = loadConfig(tmpDir); // project with config
+    assert.strictEqual(config.file, 'qore.config.json'); // applied file reported
+    assert.strictEqual(config.cdn.repo, 'acme/brandCSS'); // fork path
+    assert.strictEqual(config.cdn.pagesUrl, 'https://acme.github.io/brandCSS'); // trailing slash trimmed
+    assert.strictEqual(config.build.hashLength, 12); // configured value
+    assert.strictEqual(config.performance.historyMax, 50); // untouched keys keep defaults
+  });
+
+  it('loads qore.config.js and reads it again after changes', () => {
+    write('qore.config.js', "module.exports = {files: {css: 'brand.css'}};"); // computed config
+    assert.strictEqual(loadConfig(tmpDir).files.css, 'brand.css'); // module export used
+    write('qore.config.js', "module.exports = {files: {css: 'site.css'}};"); // edited file
+    assert.strictEqual(loadConfig(tmpDir).files.css, 'site.css'); // require cache bypassed
+  });
+
+  it('lets environment variables override the file and ignores invalid ones', () => {
+    write('qore.config.json', {cdn:{baseUrl:'https://mirror.example'}, performance:{maxConcurrency:20}}); // file values
+    process.env.CDN_BASE_URL = 'https://cdn.example/'; // valid override
+    process.env.MAX_CONCURRENCY = 'lots'; // invalid override
+    const config = loadConfig(tmpDir); // merged configuration
+    assert.strictEqual(config.cdn.baseUrl, 'https://cdn.example'); // environment wins
+    assert.strictEqual(config.performance.maxConcurrency, 20); // file value kept
+    process.env.CDN_BASE_URL = 'cdn.example'; // not an http(s) URL
+    assert.strictEqual(loadConfig(tmpDir).cdn.baseUrl, 'https://mirror.example'); // URL check applies to the environment too
+  });
+
+  it('coerces integer and flag variables without tracing to stdout', () => {
+    const original = console.log; // env-var stub in helper.js logs every lookup
+    const out = []; // captured stdout lines
+    console.log = (...a) => out.push(a.join(' ')); // stdout capture
+    try {
+      process.env.MAX_CONCURRENCY = '75'; // integer as text
+      process.env.CODEX = 'True'; // CODEX spelling used in CI
+      const config = loadConfig(tmpDir); // environment only
+      assert.strictEqual(config.performance.maxConcurrency, 75); // parsed integer
+      assert.strictEqual(config.offline, true); // case-insensitive flag
+      process.env.CODEX = 'maybe'; // not a flag
+      assert.strictEqual(loadConfig(tmpDir).offline, false); // default kept
+    } finally { console.log = original; } // restores console
+    assert.deepStrictEqual(out, []); // config loads leave command output alone
+  });
+
+  it('reports every problem in one error naming the file', () => {
+    write('qore.config.json', {cdn:{repo:'qoreCSS', baseUrl:'ftp://x'}, build:{hashLength:4}, perf:{}}); // three bad values and a typo
+    assert.throws(() => loadConfig(tmpDir), {message: 'qore.config.json: unknown option "perf"; cdn.baseUrl must be an http(s) URL, got "ftp://x"; cdn.repo must be a GitHub "owner/name" path, got "qoreCSS"; build.hashLength must be an integer from 8 to 40, got 4'}); // all problems listed
+    write('qore.config.json', {files:'qore.css'}); // section given as a value
+    assert.throws(() => loadConfig(tmpDir), /files must be an object/); // shape checked
+  });
+
+  it('rejects unreadable files and two config files at once', () => {
+    write('qore.config.json', '{cdn:'); // broken JSON
+    assert.throws(() => loadConfig(tmpDir), /^Error: qore\.config\.json could not be loaded: /); // file named
+    write('qore.config.js', 'module.exports = {};'); // second config
+    assert.throws(() => loadConfig(tmpDir), /both exist/); // ambiguous precedence
+  });
+});
@@ -0,0 +1,123 @@
+/*
+ * SHADOW ROOT ADOPTION TESTING - adoptInto() WITH AND WITHOUT CONSTRUCTABLE SHEETS
+ *
+ * PURPOSE AND RATIONALE:
+ * adoptInto() fetches the applied stylesheet once and shares it with shadow
+ * roots. jsdom has neither fetch nor constructable stylesheets, so both are
+ * stubbed on the window: a counting fetch and a minimal CSSStyleSheet with
+ * replaceSync. Deleting the stub exercises the <style> fallback.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+let fetched; // URLs requested through the fetch stub
+
+/*
+ * CONSTRUCTABLE STYLESHEET STUB
+ * Rationale: Records replaceSync text so tests can assert what was adopted.
+ */
+class FakeSheet { replaceSync(text){ this.text = text; } } // minimal CSSStyleSheet surface used by index.js
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  dom = new JSDOM(`<!DOCTYPE html><html><head><script src="https://cdn.example.com/qorecss/index.js" nonce="n1"></script></head><body><div id="host"></div></body></html>`, {url:'https://example.com/'}); // page with loader script
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for injection
+  fetched = []; // resets request log
+  dom.window.fetch = async url => { fetched.push(url); return {ok: true, status: 200, text: async () => url.endsWith('variables.css') ? ':root { --gs-lightest: #fff; }' : '.card{color:red}'}; }; // serves fixture CSS per file
+  dom.window.CSSStyleSheet = FakeSheet; // constructable stylesheet support
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  dom.window.close(); // closes jsdom window to free resources
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+/*
+ * SHADOW ROOT HELPER
+ * Rationale: jsdom shadow roots lack adoptedStyleSheets, so constructable tests
+ * add the property the way browsers expose it.
+ */
+function shadow(constructable = true){ // attaches a fresh open shadow root
+  const host = document.createElement('div'); // component host
+  document.body.appendChild(host); // connected like a rendered component
+  const root = host.attachShadow({mode: 'open'}); // shadow tree under test
+  if(constructable){ root.adoptedStyleSheets = []; } // browser-provided array
+  return root; // target for adoptInto
+}
+
+describe('adoptInto', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('adopts one shared sheet into every shadow root with a single fetch', async () => {
+    require('../index.js'); // injects link
+    document.querySelector('link[data-qorecss-sheet="core"]').onload(); // stylesheet applied in the document
+    const [a, b] = [shadow(), shadow()]; // two components
+    const [sheetA, sheetB] = await Promise.all([globalThis.qorecss.adoptInto(a), globalThis.qorecss.adoptInto(b)]); // concurrent adoption
+    assert.strictEqual(sheetA, sheetB); // same CSSStyleSheet object
+    assert.deepStrictEqual(a.adoptedStyleSheets, [sheetA]); // pushed onto first root
+    assert.deepStrictEqual(b.adoptedStyleSheets, [sheetA]); // pushed onto second root
+    assert.strictEqual(fetched.filter(u => !u.endsWith('variables.css')).length, 1); // core fetched once
+    await globalThis.qorecss.adoptInto(a); // repeated call
+    assert.strictEqual(a.adoptedStyleSheets.length, 1); // no duplicate adoption
+  });
+
+  it('bundles variables.css under :host when the document lacks the tokens', async () => {
+    require('../index.js'); // injects link
+    document.querySelector('link[data-qorecss-sheet="core"]').onload(); // stylesheet applied
+    const sheet = await globalThis.qorecss.adoptInto(shadow()); // adopt
+    assert.ok(fetched.includes('https://cdn.example.com/qorecss/variables.css')); // fetched beside the core file
+    assert.ok(sheet.text.startsWith(':host {')); // :root rewritten so tokens apply in the shadow tree
+    assert.ok(sheet.text.includes('.card{color:red}')); // core rules included
+  });
+
+  it('skips variables.css when the document already defines the tokens', async () => {
+    document.documentElement.style.setProperty('--gs-lightest', '#000'); // tokens present on the document
+    require('../index.js'); // injects link
+    document.querySelector('link[data-qorecss-sheet="core"]').onload(); // stylesheet applied
+    await globalThis.qorecss.adoptInto(shadow()); // adopt
+    assert.ok(!fetched.some(u => u.endsWith('variables.css'))); // inherited tokens used instead
+  });
+
+  it('falls back to a cloned <style> with the loader nonce', async () => {
+    delete dom.window.CSSStyleSheet; // browser without constructable stylesheets
+    require('../index.js'); // injects link
+    document.querySelector('link[data-qorecss-sheet="core"]').onload(); // stylesheet applied
+    const root = shadow(false); // no adoptedStyleSheets
+    const style = await globalThis.qorecss.adoptInto(root); // adopt
+    assert.strictEqual(style.parentNode, root); // appended inside the shadow root
+    assert.strictEqual(style.getAttribute('nonce'), 'n1'); // CSP nonce copied
+    assert.ok(style.textContent.includes('.card{color:red}')); // core rules present
+    assert.strictEqual(await globalThis.qorecss.adoptInto(root), style); // reused rather than duplicated
+  });
+
+  it('rejects for non shadow root targets', async () => {
+    require('../index.js'); // exposes global
+    await assert.rejects(globalThis.qorecss.adoptInto(document.body), TypeError); // elements are not shadow roots
+  });
+
+  it('rejects when the stylesheet fetch fails and retries later', async () => {
+    require('../index.js'); // injects link
+    document.querySelector('link[data-qorecss-sheet="core"]').onload(); // stylesheet applied
+    const ok = dom.window.fetch; // working stub
+    dom.window.fetch = async url => ({ok: false, status: 503, text: async () => ''}); // CDN error
+    await assert.rejects(globalThis.qorecss.adoptInto(shadow()), /503/); // failure surfaced
+    dom.window.fetch = ok; // CDN recovers
+    assert.ok(await globalThis.qorecss.adoptInto(shadow())); // cached failure not reused
+  });
+});
@@ -97,6 +97,7 @@ describe('browser injection', {concurrency:false}, () => {
   it('injects stylesheet and serverSide undefined', () => {
     const mod = require('../index.js'); // loads module after DOM setup
     assert.strictEqual(mod.serverSide, undefined); // verifies serverSide not set in browser environment
+    assert.strictEqual(globalThis.qorecss.version, require('../package.json').version); // build metadata reachable from the global
     const link = document.querySelector('link[href*="core"]') || document.querySelector('link[href*="qore"]') || document.querySelector('style'); // searches for injected CSS in multiple forms
     assert.ok(link); // confirms CSS injection occurred in simulated browser environment
   });
@@ -115,7 +116,7 @@ describe('browser injection', {concurrency:false}, () => {
     script.src = 'https://cdn.example.com/lib/index.js'; // sets src for detection
     document.currentScript = script; // assigns as currentScript
     require('../index.js'); // loads module to trigger injection
-    const link = document.querySelector('link'); // retrieves injected link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // retrieves injected link
     assert.ok(link.href.startsWith('https://cdn.example.com/lib/')); // validates base path resolution
     document.currentScript = null; // cleans up global assignment
   });
@@ -125,7 +126,7 @@ describe('browser injection', {concurrency:false}, () => {
     script.src = 'https://cdn.example.com/assets/INDEX.JS'; // uses upper case to test case-insensitive detection
     document.body.appendChild(script); // adds script to DOM for lookup iteration
     require('../index.js'); // loads module to trigger injection
-    const link = document.querySelector('link'); // retrieves injected link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // retrieves injected link
     assert.ok(link.href.startsWith('https://cdn.example.com/assets/')); // verifies base path from script src
   });
 
@@ -135,13 +136,13 @@ describe('browser injection', {concurrency:false}, () => {
     script.setAttribute('data-qorecss', ''); // marks script for detection
     document.body.appendChild(script); // injects into DOM
     require('../index.js'); // loads module to trigger injection
-    const link = document.querySelector('link'); // retrieves injected link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // retrieves injected link
     assert.ok(link.href.startsWith('https://cdn.example.com/data/')); // ensures detection via data attribute
   });
 
   it('defaults to document.baseURI when script not found', () => {
     require('../index.js'); // loads module with no identifiable script
-    const link = document.querySelector('link'); // retrieves injected link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // retrieves injected link
     assert.ok(link.href.startsWith(document.baseURI)); // verifies fallback to document.baseURI
   });
 
@@ -152,17 +153,31 @@ describe('browser injection', {concurrency:false}, () => {
     global.document = dom.window.document; // exposes new document to module
     delete require.cache[require.resolve('../index.js')]; // ensures fresh module load
     require('../index.js'); // triggers injection without script tag
-    const link = document.querySelector('link'); // retrieves injected link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // retrieves injected link
     assert.ok(link.href.startsWith('https://example.com/')); // expects directory portion of baseURI
   });
 
+  it('adds crossorigin and build integrity to injected link', () => {
+    const tmpPath = path.join(os.tmpdir(), `idx-${Date.now()}.js`); // temp file path for script with digest
+    const orig = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // read original script for modification
+    fs.writeFileSync(tmpPath, orig.replace(/const cssIntegrity = `[^`]*`;/, 'const cssIntegrity = `sha384-test`;')); // simulates a built index.js
+    require(tmpPath); // load triggers injection with digest
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // retrieves injected link
+    assert.strictEqual(link.getAttribute('integrity'), 'sha384-test'); // digest applied
+    assert.strictEqual(link.getAttribute('crossorigin'), 'anonymous'); // CORS mode set for SRI
+    link.onerror(); // simulate hashed file failure
+    assert.strictEqual(link.getAttribute('integrity'), null); // digest dropped for qore.css fallback
+    assert.strictEqual(link.getAttribute('crossorigin'), null); // no CORS mode without a digest to check
+    fs.unlinkSync(tmpPath); // cleanup temporary script file
+  });
+
   it('replaces outdated hashed link when new script loaded', () => {
     require('../index.js'); // initial load injects first hash
     const tmpPath = path.join(os.tmpdir(), `idx-${Date.now()}.js`); // temp file path for modified script
     const orig = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // read original script for modification
     fs.writeFileSync(tmpPath, orig.replace(/core\.5c7df4d0\.min\.css/, 'core.abcdef12.min.css')); // injects different hash for second load
     require(tmpPath); // second load should remove old link and inject new one
-    const links = document.head.querySelectorAll('link'); // gather remaining links after reload
+    const links = document.head.querySelectorAll('link[data-qorecss-sheet="core"]'); // gather remaining links after reload
     assert.strictEqual(links.length, 1); // verify only one stylesheet remains
     assert.ok(links[0].href.includes('core.abcdef12.min.css')); // ensure new hash present
     fs.unlinkSync(tmpPath); // cleanup temporary script file
@@ -0,0 +1,114 @@
+/*
+ * INJECTION CONFIGURATION TESTING - CSP NONCE, data-qorecss-* AND configure()
+ *
+ * PURPOSE AND RATIONALE:
+ * Strict-CSP pages need the loader's nonce on the injected link, and pages
+ * tune media, fetchpriority, href and fallback behavior through script
+ * attributes or qorecss.configure(). Tests build the loading <script> in
+ * markup and inspect the link injectCss creates.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+
+/*
+ * PAGE SETUP HELPER
+ * Rationale: Settings live on the script tag, so each test writes its own markup.
+ */
+function load(scriptAttrs = ''){ // creates a page with the qorecss script tag and loads the module
+  dom = new JSDOM(`<!DOCTYPE html><html><head><script src="https://assets.example.com/qorecss/index.js" ${scriptAttrs}></script></head><body></body></html>`, {url:'https://example.com/app/page.html'}); // script origin differs from page
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for injection
+  require('../index.js'); // runs auto-injection
+  return document.querySelector('link[data-qorecss-sheet="core"]'); // injected link
+}
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  if(dom){ dom.window.close(); dom = undefined; } // closes window, stopping its timers
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('injection configuration', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('copies the loading script nonce onto the link', () => {
+    const link = load('nonce="r4nd0m"'); // strict CSP page
+    assert.strictEqual(link.getAttribute('nonce'), 'r4nd0m'); // nonce propagated
+  });
+
+  it('applies media, priority and custom attributes from the script', () => {
+    const link = load('data-qorecss-media="screen" data-qorecss-priority="high" data-qorecss-attr-referrerpolicy="no-referrer"'); // tuned injection
+    assert.strictEqual(link.media, 'screen'); // media query set
+    assert.strictEqual(link.getAttribute('fetchpriority'), 'high'); // priority hint set
+    assert.strictEqual(link.getAttribute('referrerpolicy'), 'no-referrer'); // custom attribute copied
+  });
+
+  it('tries data-qorecss-href before the origin chain', () => {
+    const link = load('data-qorecss-href="/static/site.css"'); // self-hosted override
+    assert.strictEqual(link.href, 'https://example.com/static/site.css'); // resolved against the page
+    assert.strictEqual(link.getAttribute('integrity'), null); // digest only applies to the hashed file
+    link.onerror(); // override fails
+    assert.ok(link.href.startsWith('https://assets.example.com/qorecss/core.')); // chain continues
+  });
+
+  it('rejects after the first failure when fallback is disabled', async () => {
+    const link = load('data-qorecss-disable-fallback'); // single attempt
+    link.onerror(); // hashed file fails
+    await assert.rejects(globalThis.qorecss.ready(), /failed to load/); // no further candidates
+  });
+
+  it('configure() restarts a pending injection with new settings', async () => {
+    const link = load(); // injection pending
+    const pending = globalThis.qorecss.ready(); // promise taken before configure
+    globalThis.qorecss.configure({href: 'https://mirror.example.net/qore.css', media: 'print', nonce: 'abc'}); // programmatic settings
+    const links = document.querySelectorAll('link[data-qorecss-sheet="core"]'); // links after restart
+    assert.strictEqual(links.length, 1); // old link replaced, not duplicated
+    assert.notStrictEqual(links[0], link); // fresh element
+    assert.strictEqual(links[0].href, 'https://mirror.example.net/qore.css'); // override used
+    assert.strictEqual(links[0].media, 'print'); // media applied
+    assert.strictEqual(links[0].getAttribute('nonce'), 'abc'); // nonce applied
+    links[0].onload(); // restarted injection succeeds
+    assert.strictEqual(await pending, 'https://mirror.example.net/qore.css'); // earlier ready() follows the restart
+  });
+
+  it('configure() updates attributes in place once loaded', () => {
+    const link = load(); // injection pending
+    link.onload(); // stylesheet applied
+    globalThis.qorecss.configure({media: 'screen', attributes: {'data-tenant': 'acme'}}); // late configuration
+    assert.strictEqual(document.querySelector('link[data-qorecss-sheet="core"]'), link); // same element kept
+    assert.strictEqual(link.media, 'screen'); // media updated
+    assert.strictEqual(link.getAttribute('data-tenant'), 'acme'); // custom attribute added
+  });
+
+  it('script attributes take precedence over configure()', () => {
+    load('data-qorecss-media="screen"'); // markup setting
+    globalThis.qorecss.configure({media: 'print'}); // programmatic fallback
+    assert.strictEqual(document.querySelector('link[data-qorecss-sheet="core"]').media, 'screen'); // markup wins
+  });
+
+  it('configure() rejects unknown and invalid options', () => {
+    load(); // exposes global
+    assert.throws(() => globalThis.qorecss.configure({prority: 'high'}), /prority/); // typo reported
+    assert.throws(() => globalThis.qorecss.configure({priority: 'urgent'}), TypeError); // invalid fetchpriority
+    assert.throws(() => globalThis.qorecss.configure('high'), TypeError); // non-object input
+  });
+});
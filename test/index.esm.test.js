@@ -0,0 +1,126 @@
+/*
+ * ES MODULE ENTRY TESTING - index.mjs AND PACKAGE EXPORTS MAP
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that the native ESM entry exposes the same helpers as the CommonJS
+ * module, resolves real filesystem paths via import.meta.url under Node, and
+ * that the package exports map routes import/require/CSS subpaths correctly.
+ * Dynamic import() is used because the test suite itself is CommonJS.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system checks for resolved paths
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // temporary directory for an installed package copy
+const {pathToFileURL} = require('node:url'); // file URL for importing the probe module
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+describe('index.mjs', {concurrency:false}, () => {
+  it('exports named helpers with existing paths', async () => {
+    const esm = await import('../index.mjs'); // loads native ESM entry
+    assert.strictEqual(esm.coreCss, path.resolve(__dirname, '../qore.css')); // file path from import.meta.url
+    assert.strictEqual(esm.variablesCss, path.resolve(__dirname, '../variables.css')); // variables path resolved likewise
+    assert.strictEqual(esm.getStylesheet(), esm.coreCss); // helper parity with property
+    assert.strictEqual(esm.getVariables(), esm.variablesCss); // helper parity with property
+    assert.throws(() => esm.getStylesheet({minified:true}), /require Node\.js/); // bundler entry cannot read build.hash
+    assert.throws(() => esm.getCss(), /requires Node\.js/); // no filesystem in bundles
+    assert.throws(() => esm.getTokens(), /requires Node\.js/); // parser reads variables.css from disk
+    assert.throws(() => esm.middleware(), /requires Node\.js/); // serving reads files from disk
+    assert.ok(fs.existsSync(esm.coreCss)); // path points at real file
+    assert.strictEqual(typeof esm.injectCss, 'function'); // injection exported but not run on import
+    assert.strictEqual(esm.default.coreCss, esm.coreCss); // default export mirrors named exports
+    assert.strictEqual(esm.version, require('../package.json').version); // build metadata parity with index.js
+    assert.deepStrictEqual(esm.buildInfo, require('../index.js').buildInfo); // same snapshot in both entries
+  });
+
+  it('injectCss throws without a document', async () => {
+    const esm = await import('../index.mjs'); // loads native ESM entry
+    assert.throws(() => esm.injectCss(null), /browser document/); // SSR guard
+  });
+
+  it('injectCss links the stylesheet once', async () => {
+    if(!JSDOM){ return; } // jsdom optional
+    const esm = await import('../index.mjs'); // loads native ESM entry
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body></body></html>`, {url:'https://example.com/'}); // isolated document
+    const first = esm.injectCss(dom.window.document); // first call injects
+    const second = esm.injectCss(dom.window.document); // second call reuses
+    assert.strictEqual(first, second); // same element returned
+    assert.ok(first.href.endsWith('/qore.css')); // links core stylesheet
+    assert.strictEqual(dom.window.document.head.querySelectorAll('link').length, 1); // no duplicates
+    dom.window.close(); // frees jsdom resources
+  });
+});
+
+/*
+ * EXPORTS MAP VALIDATION
+ * Rationale: Package self-reference resolves through the exports map exactly
+ * like a consumer's node_modules lookup, so these checks exercise the map.
+ */
+describe('package exports map', {concurrency:false}, () => {
+  it('routes require and CSS subpaths', () => {
+    assert.strictEqual(require.resolve('qorecss'), path.resolve(__dirname, '../index.js')); // require condition
+    assert.strictEqual(require.resolve('qorecss/variables.css'), path.resolve(__dirname, '../variables.css')); // css subpath
+    assert.strictEqual(require.resolve('qorecss/qore.css'), path.resolve(__dirname, '../qore.css')); // css subpath
+  });
+
+  it('routes Node import to index.node.mjs', async () => {
+    const esm = await import('qorecss'); // node and import conditions via self-reference
+    assert.strictEqual(typeof esm.getStylesheet, 'function'); // named export available
+    assert.strictEqual(esm.coreCss, path.resolve(__dirname, '../qore.css')); // same resolution as direct import
+    assert.strictEqual(esm.getStylesheet, require('../index.js').getStylesheet); // build variant lookup shared with CommonJS
+  });
+
+  it('exports getCss and getCssAsync through import', async () => {
+    const esm = await import('qorecss'); // node and import conditions via self-reference
+    const css = fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8'); // core stylesheet text
+    assert.strictEqual(esm.getCss({includeVariables:false}), css); // synchronous read
+    assert.strictEqual(await esm.getCssAsync({includeVariables:false}), css); // promise read
+    assert.strictEqual(esm.default.getCss, esm.getCss); // default export carries them too
+  });
+
+  it('exports getTokens through import', async () => {
+    const esm = await import('qorecss'); // node and import conditions via self-reference
+    assert.deepStrictEqual(esm.getTokens(), require('../index.js').getTokens()); // same records as require('qorecss')
+  });
+
+  it('exports middleware through import', async () => {
+    const esm = await import('qorecss'); // node and import conditions via self-reference
+    const handler = esm.middleware(); // Express/Connect handler
+    assert.strictEqual(typeof handler, 'function'); // ready for app.use()
+    assert.strictEqual(handler.length, 3); // (req, res, next) signature
+  });
+});
+
+/*
+ * NODE ESM BUILD VARIANTS
+ * Rationale: The package is installed into a temporary node_modules so the
+ * import goes through the exports map with build artifacts beside index.js,
+ * exactly as a server importing qorecss from its dependencies would see it.
+ */
+describe('Node ESM build variants', {concurrency:false}, () => {
+  let tmpDir; // temporary project holding node_modules/qorecss
+  let pkgDir; // installed package copy
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esmtest-')); // isolated project
+    pkgDir = path.join(tmpDir, 'node_modules', 'qorecss'); // dependency location
+    fs.mkdirSync(path.join(pkgDir, 'lib'), {recursive:true}); // package with its logger
+    ['package.json', 'index.js', 'index.mjs', 'index.node.mjs', 'qore.css', 'lib/log.js', 'lib/manifest.js'].forEach(f => fs.copyFileSync(path.resolve(__dirname, '..', f), path.join(pkgDir, f))); // files the entries load
+    fs.writeFileSync(path.join(tmpDir, 'probe.mjs'), "export * from 'qorecss';"); // bare specifier resolved from the project
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, {recursive:true, force:true}); // removes temporary files
+  });
+
+  it('returns the minified brotli artifact through import', async () => {
+    fs.writeFileSync(path.join(pkgDir, 'build.hash'), '1234abcd'); // current build
+    fs.writeFileSync(path.join(pkgDir, 'core.1234abcd.min.css.br'), 'x'); // precompressed artifact
+    const esm = await import(pathToFileURL(path.join(tmpDir, 'probe.mjs')).href); // import condition through node_modules
+    assert.strictEqual(esm.getStylesheet({minified:true, compression:'br'}), path.join(fs.realpathSync(pkgDir), 'core.1234abcd.min.css.br')); // built variant, not qore.css
+    assert.throws(() => esm.getStylesheet({compression:'gzip'}), err => err instanceof esm.BuildMissingError && err.code === 'QORECSS_BUILD_MISSING'); // missing variant is reported
+  });
+});
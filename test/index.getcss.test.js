@@ -0,0 +1,85 @@
+/*
+ * STYLESHEET CONTENT TESTING - getCss() AND getCssAsync()
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that CSS text is returned in the right order, that minified
+ * output comes from the hashed build artifact and that reads are memoized
+ * until a file's mtime changes. index.js is copied into a temporary directory
+ * so fake build artifacts never touch the repository root.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for fake build artifacts
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // temporary directory creation
+const {describe, it, beforeEach, afterEach, mock} = require('node:test'); // Node.js native test framework components
+
+let tmpDir; // temporary package directory holding index.js copy
+let mod; // module loaded from temporary directory
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'getcsstest-')); // isolated package directory
+  fs.copyFileSync(path.resolve(__dirname, '../index.js'), path.join(tmpDir, 'index.js')); // module under test
+  fs.mkdirSync(path.join(tmpDir, 'lib')); // helpers index.js requires
+  ['log.js', 'manifest.js'].forEach(f => fs.copyFileSync(path.resolve(__dirname, '../lib', f), path.join(tmpDir, 'lib', f))); // logger and manifest reader
+  fs.writeFileSync(path.join(tmpDir, 'build.hash'), 'abcd1234'); // fake build hash
+  fs.writeFileSync(path.join(tmpDir, 'core.abcd1234.min.css'), 'a{color:red}'); // fake minified artifact
+  mod = require(path.join(tmpDir, 'index.js')); // loads copy so __dirname points at tmpDir
+});
+
+afterEach(() => {
+  mock.restoreAll(); // removes fs spies
+  delete require.cache[path.join(tmpDir, 'index.js')]; // drops cached copy and its memo
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary artifacts
+});
+
+describe('getCss', {concurrency:false}, () => {
+  it('returns variables followed by qore.css by default', () => {
+    const css = mod.getCss(); // default options
+    const vars = fs.readFileSync(mod.variablesCss, 'utf8'); // expected prefix
+    const core = fs.readFileSync(mod.coreCss, 'utf8'); // expected suffix
+    assert.strictEqual(css, `${vars}\n${core}`); // variables precede rules
+  });
+
+  it('returns minified artifact without variables when asked', () => {
+    assert.strictEqual(mod.getCss({minified:true, includeVariables:false}), 'a{color:red}'); // hashed file only
+  });
+
+  it('memoizes until mtime changes', () => {
+    const spy = mock.method(fs, 'readFileSync'); // counts disk reads
+    const artifact = path.join(tmpDir, 'core.abcd1234.min.css'); // file under observation
+    mod.getCss({minified:true, includeVariables:false}); // first read
+    mod.getCss({minified:true, includeVariables:false}); // cached read
+    const reads = () => spy.mock.calls.filter(c => c.arguments[0] === artifact).length; // reads of artifact only
+    assert.strictEqual(reads(), 1); // second call served from memory
+    fs.writeFileSync(artifact, 'b{color:blue}'); // content change
+    const later = new Date(Date.now() + 5000); // future mtime guarantees a difference
+    fs.utimesSync(artifact, later, later); // bumps mtime
+    assert.strictEqual(mod.getCss({minified:true, includeVariables:false}), 'b{color:blue}'); // fresh content returned
+    assert.strictEqual(reads(), 2); // reread after change
+  });
+
+  it('throws BuildMissingError when minified build absent', () => {
+    fs.rmSync(path.join(tmpDir, 'build.hash')); // removes build
+    assert.throws(() => mod.getCss({minified:true}), err => err instanceof mod.BuildMissingError); // typed error propagates
+  });
+});
+
+describe('getCssAsync', {concurrency:false}, () => {
+  it('matches getCss output', async () => {
+    assert.strictEqual(await mod.getCssAsync({minified:true}), mod.getCss({minified:true})); // same content and order
+  });
+
+  it('shares the cache with getCss', async () => {
+    mod.getCss({minified:true, includeVariables:false}); // primes cache synchronously
+    const spy = mock.method(fs.promises, 'readFile'); // counts async reads
+    await mod.getCssAsync({minified:true, includeVariables:false}); // should hit cache
+    assert.strictEqual(spy.mock.callCount(), 0); // no async read needed
+  });
+
+  it('rejects when minified build absent', async () => {
+    fs.rmSync(path.join(tmpDir, 'build.hash')); // removes build
+    await assert.rejects(mod.getCssAsync({minified:true}), err => err instanceof mod.BuildMissingError); // typed error propagates
+  });
+});
@@ -14,4 +14,18 @@ describe('browser without require', {concurrency:false}, () => {
     assert.ok(dom.window.qorecss); // confirms global API exposed
     dom.window.close();
   });
+
+  it('keeps the inline logger quiet until data-qorecss-debug is set', () => {
+    const script = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8');
+    const run = html => { // evaluates index.js and counts debug lines
+      const dom = new JSDOM(html, {runScripts:'dangerously', url:'https://example.com/'});
+      let count = 0; // console.debug invocations from the script
+      dom.window.console.debug = () => { count++; }; // captures trace output
+      dom.window.eval(script); // classic script path uses inlineLog()
+      dom.window.close();
+      return count;
+    };
+    assert.strictEqual(run('<!DOCTYPE html><html><head></head><body></body></html>'), 0); // default warn level hides the trace
+    assert.ok(run('<!DOCTYPE html><html data-qorecss-debug><head></head><body></body></html>') > 0); // bare attribute enables debug
+  });
 });
@@ -0,0 +1,108 @@
+/*
+ * ORIGIN FALLBACK TESTING - MULTI-CDN STYLESHEET INJECTION
+ *
+ * PURPOSE AND RATIONALE:
+ * injectCss walks an ordered list of origins so a jsDelivr outage no longer
+ * leaves pages unstyled. jsdom does not fetch stylesheets, so tests drive the
+ * link's onload/onerror handlers and rely on jsdom's window timers for the
+ * per-attempt timeout.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+
+/*
+ * PAGE SETUP HELPER
+ * Rationale: Origin configuration lives on the script tag, so each test builds
+ * its own markup before loading index.js.
+ */
+function load(scriptAttrs = ''){ // creates a page with the qorecss script tag and loads the module
+  dom = new JSDOM(`<!DOCTYPE html><html><head><script src="https://assets.example.com/qorecss/index.js" ${scriptAttrs}></script></head><body></body></html>`, {url:'https://example.com/app/page.html'}); // script origin differs from page
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for injection
+  require('../index.js'); // runs auto-injection
+  return document.querySelector('link[data-qorecss-sheet="core"]'); // injected link
+}
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  if(dom){ dom.window.close(); dom = undefined; } // closes window, stopping its timers
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('origin fallback chain', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('tries script directory, jsDelivr, GitHub Pages then page directory', () => {
+    const link = load(); // default chain
+    const seen = [link.href]; // hrefs in attempt order
+    for(let i = 0; i < 7; i++){ link.onerror(); seen.push(link.href); } // fails every candidate but the last
+    const dirs = seen.filter(h => !h.endsWith('/qore.css')).map(h => h.slice(0, h.lastIndexOf('/') + 1)); // origin of each hashed attempt
+    assert.deepStrictEqual(dirs, ['https://assets.example.com/qorecss/', 'https://cdn.jsdelivr.net/gh/Bijikyu/qoreCSS/', 'https://bijikyu.github.io/qoreCSS/', 'https://example.com/app/']); // documented order
+    assert.ok(seen[1].endsWith('/qorecss/qore.css')); // qore.css tried on the same origin after an error
+  });
+
+  it('records the origin that succeeded', async () => {
+    let detail; // captures load event payload
+    const link = load(); // default chain
+    document.addEventListener('qorecss:load', e => { detail = e.detail; }); // listens for success
+    link.onerror(); link.onerror(); // script origin fails for both files
+    link.onload(); // jsDelivr serves the hashed file
+    await globalThis.qorecss.ready(); // lifecycle settled
+    const record = globalThis.qorecss.loadedFrom(); // recorded origin
+    assert.strictEqual(record.origin, 'https://cdn.jsdelivr.net/gh/Bijikyu/qoreCSS/'); // mirror that applied
+    assert.deepStrictEqual(record.attempts.map(a => a.outcome), ['error', 'error', 'load']); // attempt history
+    assert.strictEqual(link.getAttribute('data-qorecss-origin'), record.origin); // exposed on the element
+    assert.strictEqual(detail.origin, record.origin); // event carries the same origin
+  });
+
+  it('moves to the next origin when an attempt times out', async () => {
+    const link = load('data-qorecss-timeout="10"'); // short timeout for the test
+    const detail = await new Promise(resolve => document.addEventListener('qorecss:error', e => resolve(e.detail))); // every origin stays silent
+    assert.deepStrictEqual(detail.attempts.map(a => a.outcome), ['timeout', 'timeout', 'timeout', 'timeout']); // one attempt per origin
+    assert.ok(detail.attempts.every(a => !a.href.endsWith('/qore.css'))); // qore.css skipped on silent origins
+    await assert.rejects(globalThis.qorecss.ready(), /failed to load/); // ready() rejects after the chain
+    assert.ok(link.href.startsWith('https://example.com/app/')); // ended on the page directory
+  });
+
+  it('accepts a custom origin list with base and local keywords', () => {
+    const link = load('data-qorecss-origins="https://mirror.example.net/css local base"'); // page override
+    assert.ok(link.href.startsWith('https://mirror.example.net/css/core.')); // trailing slash added
+    link.onerror(); link.onerror(); // mirror fails
+    assert.ok(link.href.startsWith('https://example.com/app/core.')); // local keyword is the page directory
+    link.onerror(); link.onerror(); // page directory fails
+    assert.ok(link.href.startsWith('https://assets.example.com/qorecss/core.')); // base keyword is the script directory
+  });
+
+  it('keeps integrity only on hashed attempts', () => {
+    const link = load(); // default chain
+    const integrity = link.getAttribute('integrity'); // digest when a build has run
+    link.onerror(); // hashed file missing on the script origin
+    assert.strictEqual(link.getAttribute('integrity'), null); // qore.css cannot match the digest
+    link.onerror(); // qore.css missing too
+    assert.strictEqual(link.getAttribute('integrity'), integrity); // restored for the next hashed attempt
+  });
+
+  it('returns null from loadedFrom before any load', () => {
+    load(); // injection pending
+    assert.strictEqual(globalThis.qorecss.loadedFrom(), null); // nothing applied yet
+  });
+});
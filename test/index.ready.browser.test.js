@@ -0,0 +1,85 @@
+/*
+ * LOAD LIFECYCLE TESTING - ready() PROMISE AND qorecss:* EVENTS
+ *
+ * PURPOSE AND RATIONALE:
+ * jsdom does not fetch stylesheets, so these tests drive the injected link's
+ * onload/onerror handlers directly to validate how ready() settles and which
+ * CustomEvents are dispatched for success, fallback and total failure.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  dom = new JSDOM(`<!DOCTYPE html><html><head></head><body></body></html>`, {url:'https://example.com/'}); // creates DOM with baseURI for simulation
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for injection
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  dom.window.close(); // closes jsdom window to free resources
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('load lifecycle', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('resolves ready() with href and dispatches qorecss:load', async () => {
+    let detail; // captures event payload
+    document.addEventListener('qorecss:load', e => { detail = e.detail; }); // listens before injection
+    require('../index.js'); // injects link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // injected link
+    link.onload(); // simulates successful load
+    const href = await globalThis.qorecss.ready(); // waits on lifecycle
+    assert.strictEqual(href, link.href); // resolves with applied href
+    assert.strictEqual(detail.href, link.href); // event carries same href
+  });
+
+  it('resolves with qore.css href after fallback succeeds', async () => {
+    require('../index.js'); // injects link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // injected link
+    link.onerror(); // hashed file fails
+    link.onload(); // fallback applies
+    const href = await globalThis.qorecss.ready(); // waits on lifecycle
+    assert.ok(href.endsWith('/qore.css')); // fallback href reported
+  });
+
+  it('rejects and dispatches qorecss:error when every candidate fails', async () => {
+    let detail; // captures event payload
+    document.addEventListener('qorecss:error', e => { detail = e.detail; }); // listens before injection
+    require('../index.js'); // injects link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // injected link
+    let guard = 0; // bounds the loop if the chain never gives up
+    while(!detail && guard++ < 20){ link.onerror(); } // hashed file and qore.css fail on every origin
+    await assert.rejects(globalThis.qorecss.ready(), /failed to load/); // ready() rejects
+    assert.ok(detail.error instanceof Error); // event exposes the error
+    assert.ok(detail.href.endsWith('/qore.css')); // last attempted href reported
+    assert.strictEqual(detail.attempts.length, 6); // both files on page directory, jsDelivr and GitHub Pages
+  });
+
+  it('waits on an existing link that is still loading', async () => {
+    require('../index.js'); // first load injects link
+    delete require.cache[require.resolve('../index.js')]; // forces re-execution
+    require('../index.js'); // second load reuses link
+    const link = document.querySelector('link[data-qorecss-sheet="core"]'); // reused link
+    link.dispatchEvent(new dom.window.Event('load')); // pending link finishes
+    assert.strictEqual(await globalThis.qorecss.ready(), link.href); // resolves from event listener
+    assert.strictEqual(document.querySelectorAll('link[data-qorecss-sheet="core"]').length, 1); // still no duplicate
+  });
+});
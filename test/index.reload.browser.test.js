@@ -0,0 +1,121 @@
+/*
+ * RUNTIME REMOVE AND RELOAD TESTING
+ *
+ * PURPOSE AND RATIONALE:
+ * Micro-frontend hosts mount and unmount apps bringing different qoreCSS
+ * builds. remove() must drop every qore-managed link and settle pending
+ * ready() promises; reload() must keep the old sheet until the new one has
+ * applied. jsdom does not fetch stylesheets, so tests drive onload/onerror.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+
+function load(){ // creates a page with the qorecss script tag and loads the module
+  dom = new JSDOM(`<!DOCTYPE html><html><head><script src="https://assets.example.com/qorecss/index.js" data-qorecss-timeout="0"></script></head><body></body></html>`, {url:'https://example.com/app/page.html'}); // timers disabled so only events advance chains
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for injection
+  require('../index.js'); // runs auto-injection
+  return document.querySelector('link[data-qorecss-sheet="core"]'); // injected link
+}
+
+const coreLinks = () => Array.from(document.querySelectorAll('link[data-qorecss-sheet="core"]')); // current core links in document order
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  if(dom){ dom.window.close(); dom = undefined; } // closes window, stopping its timers
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('remove', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('drops core and variables links from every build', async () => {
+    const link = load(); // auto-injected core and variables links
+    link.onload(); // core sheet applies
+    const foreign = document.createElement('link'); // link injected by another app's qorecss build
+    foreign.setAttribute('data-qorecss-sheet', 'core'); // same marker
+    document.head.appendChild(foreign); // second build on the page
+    const mine = document.createElement('link'); // page-owned stylesheet
+    document.head.appendChild(mine); // must survive
+    assert.strictEqual(globalThis.qorecss.remove(), 3); // variables, core and foreign core
+    assert.strictEqual(document.querySelectorAll('link[data-qorecss-sheet]').length, 0); // nothing qore-managed left
+    assert.ok(mine.isConnected); // unrelated links untouched
+    assert.strictEqual(globalThis.qorecss.loadedFrom(), null); // nothing applied anymore
+    await assert.rejects(globalThis.qorecss.ready(), /requires browser stylesheet injection/); // no lifecycle until the next injection
+  });
+
+  it('rejects ready() of a pending injection', async () => {
+    load(); // core link still loading
+    const pending = globalThis.qorecss.ready(); // promise taken before removal
+    globalThis.qorecss.remove(); // cancels the chain
+    await assert.rejects(pending, /removed/); // waiting callers are released
+  });
+});
+
+describe('reload', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('keeps the old sheet until the new href loads', async () => {
+    const old = load(); // first build
+    old.onload(); // first build applied
+    const result = globalThis.qorecss.reload({href: '/mfe/core.aaaaaaaa.min.css', integrity: 'sha384-x'}); // new build from another app
+    const [first, second] = coreLinks(); // both present while loading
+    assert.strictEqual(first, old); // old sheet still styles the page
+    assert.strictEqual(second.href, 'https://example.com/mfe/core.aaaaaaaa.min.css'); // resolved against the page
+    assert.strictEqual(second.getAttribute('integrity'), 'sha384-x'); // caller supplied digest
+    second.onload(); // new sheet applies
+    assert.strictEqual(await result, second.href); // resolves with the new href
+    assert.deepStrictEqual(coreLinks(), [second]); // old link removed only afterwards
+    assert.strictEqual(globalThis.qorecss.loadedFrom().origin, 'https://example.com/mfe/'); // origin recorded
+  });
+
+  it('keeps the old sheet when the new href fails', async () => {
+    const old = load(); // first build
+    old.onload(); // first build applied
+    const result = globalThis.qorecss.reload({href: '/missing.css'}); // broken build
+    let detail; // error event payload
+    document.addEventListener('qorecss:error', e => { detail = e.detail; }); // listens for failure
+    coreLinks()[1].onerror(); // new sheet 404s
+    await assert.rejects(result, /failed to load/); // caller learns about the failure
+    assert.deepStrictEqual(coreLinks(), [old]); // page stays styled by the old build
+    assert.strictEqual(detail.href, 'https://example.com/missing.css'); // event names the failed href
+  });
+
+  it('hands pending ready() promises to a superseding reload', async () => {
+    const pendingLink = load(); // initial injection still loading
+    const pending = globalThis.qorecss.ready(); // promise taken before reload
+    globalThis.qorecss.reload({href: 'https://cdn.example.com/core.bbbbbbbb.min.css'}); // replaces the pending injection
+    assert.ok(!pendingLink.isConnected); // pending link dropped rather than left to apply later
+    coreLinks()[0].onload(); // reload applies
+    assert.strictEqual(await pending, 'https://cdn.example.com/core.bbbbbbbb.min.css'); // earlier callers see the new href
+  });
+
+  it('rejects without an href when nothing is injected', async () => {
+    load(); // injection runs
+    globalThis.qorecss.remove(); // page cleared
+    await assert.rejects(globalThis.qorecss.reload(), /requires an href/); // nothing to reload
+    await assert.rejects(globalThis.qorecss.reload('x'), TypeError); // options object required
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * COLOR SCHEME TESTING - BROWSER colorScheme() API
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates that qorecss.colorScheme() pins data-theme for fixed modes, follows
+ * prefers-color-scheme through matchMedia in auto mode, persists the chosen mode
+ * and restores it on the next script load. jsdom lacks matchMedia so a minimal
+ * MediaQueryList stub with a controllable matches flag is provided.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach, mock} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+let mediaQuery; // stubbed MediaQueryList shared across matchMedia calls
+
+/*
+ * MATCHMEDIA STUB
+ * Rationale: Records listeners so tests can simulate an OS theme change by
+ * flipping matches and invoking the handlers like a real change event.
+ */
+function createQuery(matches){ // builds a controllable MediaQueryList stand-in
+  const listeners = new Set(); // active change handlers
+  return {
+    matches, // current preference result
+    addEventListener(type, fn){ if(type === 'change'){ listeners.add(fn); } }, // registers handler
+    removeEventListener(type, fn){ listeners.delete(fn); }, // detaches handler
+    fire(next){ this.matches = next; listeners.forEach(fn => fn({matches: next})); }, // simulates OS change
+    count(){ return listeners.size; } // exposes listener count for leak checks
+  };
+}
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  dom = new JSDOM(`<!DOCTYPE html><html><head></head><body></body></html>`, {url:'https://example.com/'}); // origin required for localStorage
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for data-theme writes
+  global.localStorage = dom.window.localStorage; // exposes storage for persistence
+  mediaQuery = createQuery(false); // defaults to a dark OS preference
+  global.matchMedia = () => mediaQuery; // index.js calls matchMedia as a browser global
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  dom.window.close(); // closes jsdom window to free resources
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.localStorage; // removes storage global
+  delete global.matchMedia; // removes media query stub
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('color scheme', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('pins light and dark modes on data-theme', () => {
+    require('../index.js'); // loads module to expose global
+    assert.strictEqual(globalThis.qorecss.colorScheme('light'), 'light'); // returns resolved scheme
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'light'); // attribute set
+    globalThis.qorecss.colorScheme('dark'); // switches to dark
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'dark'); // attribute updated
+  });
+
+  it('auto mode follows matchMedia changes', () => {
+    mediaQuery = createQuery(true); // OS currently prefers light
+    require('../index.js'); // loads module to expose global
+    assert.strictEqual(globalThis.qorecss.colorScheme('auto'), 'light'); // resolves from media query
+    mediaQuery.fire(false); // OS switches to dark
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'dark'); // attribute tracks change
+  });
+
+  it('fixed mode stops auto tracking', () => {
+    require('../index.js'); // loads module to expose global
+    globalThis.qorecss.colorScheme('auto'); // attaches listener
+    assert.strictEqual(mediaQuery.count(), 1); // one listener active
+    globalThis.qorecss.colorScheme('dark'); // fixed mode detaches it
+    assert.strictEqual(mediaQuery.count(), 0); // listener removed
+    mediaQuery.fire(true); // later OS change
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'dark'); // pinned mode unaffected
+  });
+
+  it('rejects unknown modes', () => {
+    require('../index.js'); // loads module to expose global
+    assert.throws(() => globalThis.qorecss.colorScheme('sepia'), /light, dark, auto/); // invalid mode reported
+  });
+
+  it('persists the mode and restores it on next load', () => {
+    require('../index.js'); // first load
+    globalThis.qorecss.colorScheme('light'); // persisted by default
+    assert.strictEqual(localStorage.getItem('qorecss-scheme'), 'light'); // mode stored
+    document.documentElement.removeAttribute('data-theme'); // simulates a fresh page
+    delete require.cache[require.resolve('../index.js')]; // forces re-execution like a reload
+    require('../index.js'); // second load restores mode
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'light'); // scheme restored
+  });
+
+  it('leaves data-theme unset when nothing stored', () => {
+    require('../index.js'); // load without stored mode
+    assert.strictEqual(document.documentElement.getAttribute('data-theme'), null); // CSS media query stays in charge
+  });
+
+  it('loads and switches quietly without usable storage', () => {
+    const error = mock.method(console, 'error', () => {}); // default level shows errors
+    try {
+      delete global.localStorage; // runtime without Web Storage
+      require('../index.js'); // theme and scheme restore find nothing
+      globalThis.qorecss.colorScheme('light'); // applied without persisting
+      Object.defineProperty(global, 'localStorage', {configurable:true, get(){ throw new Error('SecurityError'); }}); // sandboxed frame
+      delete require.cache[require.resolve('../index.js')]; // forces re-execution like a reload
+      require('../index.js'); // blocked storage on load
+      globalThis.qorecss.colorScheme('dark'); // persist attempt
+      assert.strictEqual(error.mock.callCount(), 0); // expected conditions stay off the console
+      assert.strictEqual(document.documentElement.getAttribute('data-theme'), 'dark'); // scheme still applied
+    } finally {
+      error.mock.restore(); // console.error back for later tests
+    }
+  });
+});
@@ -106,4 +106,51 @@ describe('index module', {concurrency:false}, () => {
   it('serverSide flag is true in Node environment', () => {
     assert.strictEqual(mod.serverSide, true); // verifies Node.js environment detection is working
   });
+
+  /*
+   * THEME WHITELIST SYNCHRONIZATION
+   *
+   * TEST RATIONALE:
+   * setTheme validates names against the themeVars list embedded in index.js.
+   * If that list drifts from variables.css, valid tokens would be rejected.
+   */
+  it('themeVars list matches variables.css custom properties', () => {
+    const fs = require('fs'); // file system access for source comparison
+    const varsCss = fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8'); // token source
+    const expected = [...new Set(Array.from(varsCss.matchAll(/^\s*(--[\w-]+)\s*:/gm), m => m[1]))]; // declared names
+    const js = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // embedded whitelist source
+    const listed = JSON.parse(js.match(/const themeVars = (\[[^\]]*\]);/)[1].replace(/'/g, '"')); // embedded names
+    assert.deepStrictEqual(listed, expected); // lists must match exactly
+  });
+
+  it('theming helpers throw without a browser document', () => {
+    assert.throws(() => mod.setTheme({'--color-dominant':'#000'}), /browser document/); // Node callers get explicit error
+    assert.throws(() => mod.getTheme(), /browser document/); // read helper guarded too
+  });
+
+  it('ready rejects without browser injection', async () => {
+    await assert.rejects(mod.ready(), /browser stylesheet injection/); // Node has no link to wait on
+  });
+
+  it('exposes version and build metadata', () => {
+    assert.strictEqual(mod.version, require('../package.json').version); // matches package.json
+    assert.strictEqual(mod.buildHash, mod.buildInfo.hash); // shorthand mirrors buildInfo
+    assert.ok(Object.isFrozen(mod.buildInfo)); // metadata cannot be edited at runtime
+  });
+
+  it('remove and reload require a browser document', async () => {
+    assert.throws(() => mod.remove(), /browser document/); // nothing injected under Node
+    await assert.rejects(mod.reload({href: 'x.css'}), /browser document/); // no link element under Node
+  });
+
+  it('adoptInto rejects without a browser document', async () => {
+    await assert.rejects(mod.adoptInto({}), /requires a browser document/); // no shadow DOM under Node
+  });
+
+  it('stubs every Node-only module index.js requires in the browser map', () => {
+    const source = require('node:fs').readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // entry bundlers walk
+    const required = [...source.matchAll(/require\('([^']+)'\)[.;]/g)].map(m => m[1]).filter(name => name !== './lib/log'); // calls in code, not prose; lib/log.js has no Node builtins
+    const browser = require('../package.json').browser; // bundler replacement map
+    [...new Set(required)].forEach(name => assert.strictEqual(browser[name.startsWith('./') ? `${name}.js` : name], false, name)); // manifest, tokens, middleware, fs, path
+  });
 });
@@ -0,0 +1,117 @@
+/*
+ * RUNTIME THEMING TESTING - BROWSER GLOBAL THEME API
+ *
+ * PURPOSE AND RATIONALE:
+ * Validates setTheme, getTheme and resetTheme on the browser qorecss global.
+ * These helpers write variables.css custom properties onto the root element,
+ * so tests cover validation against the whitelist, persistence through
+ * localStorage and restoration when the script loads again.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach, mock} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+
+/*
+ * BROWSER ENVIRONMENT SETUP
+ * Rationale: localStorage and getComputedStyle are exposed globally because
+ * index.js references them as browser globals rather than through window.
+ */
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  dom = new JSDOM(`<!DOCTYPE html><html><head></head><body></body></html>`, {url:'https://example.com/'}); // origin required for localStorage
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for theme writes
+  global.localStorage = dom.window.localStorage; // exposes storage for persistence
+  global.getComputedStyle = dom.window.getComputedStyle.bind(dom.window); // exposes computed style reader
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  dom.window.close(); // closes jsdom window to free resources
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.localStorage; // removes storage global
+  delete global.getComputedStyle; // removes computed style global
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('runtime theming', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('setTheme writes custom properties on documentElement', () => {
+    require('../index.js'); // loads module to expose global
+    const theme = globalThis.qorecss.setTheme({'--color-dominant':'#123456'}); // applies override
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--color-dominant'), '#123456'); // inline property written
+    assert.strictEqual(theme['--color-dominant'], '#123456'); // returned theme reflects override
+    assert.strictEqual(globalThis.qorecss.getTheme()['--color-dominant'], '#123456'); // getTheme reads it back
+  });
+
+  it('setTheme rejects names variables.css does not define', () => {
+    require('../index.js'); // loads module to expose global
+    assert.throws(() => globalThis.qorecss.setTheme({'--color-dominant':'#000','--colour-dominant':'#fff'}), /--colour-dominant/); // unknown name reported
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--color-dominant'), ''); // nothing applied on rejection
+  });
+
+  it('setTheme rejects non-object input', () => {
+    require('../index.js'); // loads module to expose global
+    assert.throws(() => globalThis.qorecss.setTheme('--color-dominant'), TypeError); // strings rejected
+  });
+
+  it('persists theme and restores it on next load', () => {
+    require('../index.js'); // first load
+    globalThis.qorecss.setTheme({'--color-two':'#abcdef'}, {persist:true}); // persisted override
+    assert.deepStrictEqual(JSON.parse(localStorage.getItem('qorecss-theme')), {'--color-two':'#abcdef'}); // stored as JSON
+    document.documentElement.removeAttribute('style'); // simulates a fresh page without inline styles
+    delete require.cache[require.resolve('../index.js')]; // forces re-execution like a reload
+    require('../index.js'); // second load restores persisted theme
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--color-two'), '#abcdef'); // theme restored
+  });
+
+  it('does not persist unless requested', () => {
+    require('../index.js'); // loads module to expose global
+    globalThis.qorecss.setTheme({'--color-two':'#abcdef'}); // ephemeral override
+    assert.strictEqual(localStorage.getItem('qorecss-theme'), null); // storage untouched
+  });
+
+  it('resetTheme removes overrides and persisted theme', () => {
+    require('../index.js'); // loads module to expose global
+    globalThis.qorecss.setTheme({'--color-bright':'#fedcba'}, {persist:true}); // persisted override
+    globalThis.qorecss.resetTheme(); // clears everything
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--color-bright'), ''); // inline property removed
+    assert.strictEqual(localStorage.getItem('qorecss-theme'), null); // storage cleared
+  });
+
+  it('ignores unknown names in a stored theme', () => {
+    localStorage.setItem('qorecss-theme', JSON.stringify({'--removed-token':'red','--link':'blue'})); // stale stored theme
+    require('../index.js'); // load restores valid entries only
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--link'), 'blue'); // valid name restored
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--removed-token'), ''); // stale name dropped
+  });
+
+  it('themes quietly without usable storage', () => {
+    const error = mock.method(console, 'error', () => {}); // default level shows errors
+    try {
+      require('../index.js'); // loads module to expose global
+      delete global.localStorage; // runtime without Web Storage
+      globalThis.qorecss.setTheme({'--link':'blue'}, {persist:true}); // applied without persisting
+      globalThis.qorecss.resetTheme(); // nothing stored to clear
+      Object.defineProperty(global, 'localStorage', {configurable:true, get(){ throw new Error('SecurityError'); }}); // sandboxed frame
+      globalThis.qorecss.setTheme({'--link':'red'}, {persist:true}); // blocked storage
+      assert.strictEqual(error.mock.callCount(), 0); // expected conditions stay off the console
+    } finally {
+      error.mock.restore(); // console.error back for later tests
+    }
+  });
+});
@@ -0,0 +1,110 @@
+/*
+ * VARIABLES INJECTION TESTING - TOKENS LINKED AHEAD OF THE CORE SHEET
+ *
+ * PURPOSE AND RATIONALE:
+ * Every var(--...) in qore.css is empty without variables.css, so injectCss
+ * links it before the core stylesheet. Tests cover ordering, reuse of links
+ * the page already has, stale hashed copy cleanup, the fallback chain and the
+ * opt-out attribute for pages shipping their own tokens.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for modified script copies
+const os = require('node:os'); // temporary directory for modified script copies
+const path = require('node:path'); // path utilities for cross-platform file handling
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+let dom; // JSDOM instance for browser environment simulation
+
+/*
+ * PAGE SETUP HELPER
+ * Rationale: Head markup varies per test (existing links, script attributes).
+ */
+function page(head = ''){ // creates the DOM without loading the module
+  dom = new JSDOM(`<!DOCTYPE html><html><head>${head}<script src="https://cdn.example.com/qorecss/index.js"></script></head><body></body></html>`, {url:'https://example.com/'}); // loader on a CDN path
+  global.window = dom.window; // exposes window for module browser detection
+  global.document = dom.window.document; // exposes document for injection
+}
+
+const sheets = () => Array.from(document.head.querySelectorAll('link')).map(l => l.getAttribute('data-qorecss-sheet') || l.getAttribute('href')); // link order summary
+
+beforeEach(() => {
+  if(!JSDOM) return; // skips setup when jsdom unavailable
+  process.chdir(path.resolve(__dirname, '..')); // ensures correct module paths for file resolution
+  delete require.cache[require.resolve('../index.js')]; // clears cache so each test loads fresh module
+});
+
+afterEach(() => {
+  if(!JSDOM) return; // skips teardown when jsdom unavailable
+  if(dom){ dom.window.close(); dom = undefined; } // closes window, stopping its timers
+  delete global.window; // restores Node.js environment
+  delete global.document; // restores Node.js environment
+  delete global.qorecss; // removes browser global exposed by index.js
+  delete require.cache[require.resolve('../index.js')]; // ensures module cleanup between tests
+});
+
+describe('variables injection', {concurrency:false}, () => {
+  if(!JSDOM){
+    it('skips when jsdom missing', () => { assert.ok(true); }); // placeholder test when JSDOM unavailable
+    return;
+  }
+
+  it('links variables.css before the core stylesheet', () => {
+    page(); // empty head
+    require('../index.js'); // auto-injection
+    assert.deepStrictEqual(sheets(), ['variables', 'core']); // tokens first
+    assert.strictEqual(document.querySelector('link[data-qorecss-sheet="variables"]').href, 'https://cdn.example.com/qorecss/variables.css'); // same origin as the core file
+    assert.strictEqual(document.querySelector('link[data-qorecss-sheet="variables"]').getAttribute('crossorigin'), null); // no digest, so no CORS mode
+  });
+
+  it('reuses a variables.css link the page already has', () => {
+    page('<link rel="stylesheet" href="/css/variables.css">'); // hand-linked tokens like the demo page
+    require('../index.js'); // auto-injection
+    assert.deepStrictEqual(sheets(), ['/css/variables.css', 'core']); // no second token sheet
+  });
+
+  it('inserts variables before an existing core link', () => {
+    page('<link rel="stylesheet" href="https://cdn.example.com/qorecss/qore.css">'); // core linked by hand
+    require('../index.js'); // auto-injection
+    assert.deepStrictEqual(sheets(), ['variables', 'https://cdn.example.com/qorecss/qore.css']); // tokens placed ahead of core
+  });
+
+  it('does not duplicate links on repeated loads', () => {
+    page(); // empty head
+    require('../index.js'); // first injection
+    delete require.cache[require.resolve('../index.js')]; // forces re-execution
+    require('../index.js'); // second injection
+    assert.strictEqual(document.head.querySelectorAll('link').length, 2); // one token sheet and one core sheet
+  });
+
+  it('replaces stale hashed copies and falls back to variables.css', () => {
+    page('<link rel="stylesheet" href="https://cdn.example.com/qorecss/variables.00000000.css">'); // copy from an older build
+    const tmpPath = path.join(os.tmpdir(), `idx-vars-${Date.now()}.js`); // temp file path for built script
+    const orig = fs.readFileSync(path.resolve(__dirname, '../index.js'), 'utf8'); // original script
+    fs.writeFileSync(tmpPath, orig.replace(/const varsFile = `[^`]*`;/, 'const varsFile = `variables.abcdef12.css`;')); // simulates a built index.js
+    require(tmpPath); // auto-injection with hashed name
+    fs.unlinkSync(tmpPath); // cleanup temporary script file
+    const link = document.querySelector('link[data-qorecss-sheet="variables"]'); // injected token link
+    assert.strictEqual(document.querySelector('link[href*="00000000"]'), null); // stale copy removed
+    assert.ok(link.href.endsWith('/variables.abcdef12.css')); // hashed copy tried first
+    link.onerror(); // hashed copy missing on this origin
+    assert.strictEqual(link.href, 'https://cdn.example.com/qorecss/variables.css'); // plain file on the same origin
+  });
+
+  it('skips variables.css with data-qorecss-disable-variables', () => {
+    page(); // empty head
+    document.querySelector('script').setAttribute('data-qorecss-disable-variables', ''); // page ships its own tokens
+    require('../index.js'); // auto-injection
+    assert.deepStrictEqual(sheets(), ['core']); // only the core sheet
+  });
+
+  it('copies the loader nonce onto the variables link', () => {
+    page(); // empty head
+    document.querySelector('script').setAttribute('nonce', 'v4rs'); // strict CSP page
+    require('../index.js'); // auto-injection
+    assert.strictEqual(document.querySelector('link[data-qorecss-sheet="variables"]').getAttribute('nonce'), 'v4rs'); // nonce propagated
+  });
+});
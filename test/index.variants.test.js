@@ -0,0 +1,67 @@
+/*
+ * STYLESHEET VARIANT TESTING - getStylesheet() BUILD ARTIFACT SELECTION
+ *
+ * PURPOSE AND RATIONALE:
+ * getStylesheet() reads qore-manifest.json (or build.hash) next to index.js to
+ * locate minified and precompressed artifacts. index.js is copied into a temporary directory so
+ * build artifacts can be created there without touching the repository root.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for fake build artifacts
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+
+let tmpDir; // temporary package directory holding index.js copy
+let mod; // module loaded from temporary directory
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'varianttest-')); // isolated package directory
+  fs.copyFileSync(path.resolve(__dirname, '../index.js'), path.join(tmpDir, 'index.js')); // module under test
+  fs.mkdirSync(path.join(tmpDir, 'lib')); // helpers index.js requires
+  ['log.js', 'manifest.js'].forEach(f => fs.copyFileSync(path.resolve(__dirname, '../lib', f), path.join(tmpDir, 'lib', f))); // logger and manifest reader
+  mod = require(path.join(tmpDir, 'index.js')); // loads copy so __dirname points at tmpDir
+});
+
+afterEach(() => {
+  delete require.cache[path.join(tmpDir, 'index.js')]; // drops cached copy
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes temporary artifacts
+});
+
+describe('getStylesheet variants', {concurrency:false}, () => {
+  it('returns qore.css without options', () => {
+    assert.strictEqual(mod.getStylesheet(), mod.coreCss); // historical behavior preserved
+    assert.strictEqual(mod.getStylesheet({minified:false, compression:null}), mod.coreCss); // explicit defaults too
+  });
+
+  it('returns hashed minified and compressed artifacts', () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), '1234abcd\n'); // hash with trailing newline
+    ['', '.br', '.gz'].forEach(ext => fs.writeFileSync(path.join(tmpDir, `core.1234abcd.min.css${ext}`), 'x')); // fake artifacts
+    assert.strictEqual(mod.getStylesheet({minified:true}), path.join(tmpDir, 'core.1234abcd.min.css')); // minified file
+    assert.strictEqual(mod.getStylesheet({minified:true, compression:'br'}), path.join(tmpDir, 'core.1234abcd.min.css.br')); // brotli sibling
+    assert.strictEqual(mod.getStylesheet({compression:'gzip'}), path.join(tmpDir, 'core.1234abcd.min.css.gz')); // compression implies minified
+  });
+
+  it('prefers the files recorded in qore-manifest.json', () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), '1234abcd'); // stale legacy hash
+    fs.writeFileSync(path.join(tmpDir, 'qore-manifest.json'), JSON.stringify({hash: '0123456789ab', files: {'core.min.css': {file: 'core.0123456789ab.min.css', compressed: {brotli: 'core.0123456789ab.min.css.br'}}}})); // current build with a longer hash
+    ['', '.br'].forEach(ext => fs.writeFileSync(path.join(tmpDir, `core.0123456789ab.min.css${ext}`), 'x')); // artifacts named by the manifest
+    assert.strictEqual(mod.getStylesheet({minified:true}), path.join(tmpDir, 'core.0123456789ab.min.css')); // manifest name
+    assert.strictEqual(mod.getStylesheet({compression:'br'}), path.join(tmpDir, 'core.0123456789ab.min.css.br')); // recorded variant
+  });
+
+  it('throws BuildMissingError with fallback when no build exists', () => {
+    assert.throws(() => mod.getStylesheet({minified:true}), err => err instanceof mod.BuildMissingError && err.code === 'QORECSS_BUILD_MISSING' && err.fallback === mod.coreCss); // typed error carries fallback
+  });
+
+  it('throws BuildMissingError when artifact missing for current hash', () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), '1234abcd'); // hash without matching file
+    assert.throws(() => mod.getStylesheet({minified:true, compression:'br'}), err => err instanceof mod.BuildMissingError && err.file.endsWith('core.1234abcd.min.css.br')); // reports missing artifact path
+  });
+
+  it('rejects unknown compression values', () => {
+    assert.throws(() => mod.getStylesheet({minified:true, compression:'zip'}), TypeError); // only br and gzip supported
+  });
+});
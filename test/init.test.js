@@ -0,0 +1,95 @@
+/*
+ * PROJECT SCAFFOLDING TESTING - scripts/init.js AND qorecss init
+ *
+ * PURPOSE AND RATIONALE:
+ * init runs against real project directories, so the guarantees under test
+ * are that a refused run writes nothing, that existing package.json content
+ * survives, and that the generated page is something updateHtml.js and the
+ * class checker accept without edits.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const init = require('../scripts/init'); // function under test
+const {main, EXIT_FAILED, EXIT_USAGE} = require('../lib/cli'); // bin entry for flag validation
+const {parseClasses, checkSource} = require('../lib/classes'); // validates the starter markup
+
+let tmpDir; // temporary project directory
+const read = name => fs.readFileSync(path.join(tmpDir, name), 'utf8'); // file contents in the project
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inittest-')); // isolated project
+  process.chdir(tmpDir); // scripts operate on the working directory
+});
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  fs.rmSync(tmpDir, {recursive:true, force:true}); // removes temporary files
+});
+
+describe('init script', {concurrency:false}, () => {
+  it('derives the palette from a hex brand color', () => {
+    assert.deepStrictEqual(init.brandTokens('#0A6E4F'), {'--color-dominant':'#0a6e4f', '--color-two':'#2f8469', '--color-bright':'#549a84'}); // mixed toward white
+    assert.strictEqual(init.brandTokens('fff')['--color-dominant'], '#ffffff'); // short form without #
+    assert.strictEqual(init.brandTokens('teal'), null); // named colors rejected
+  });
+
+  it('writes seeded variables, the page and npm scripts', async () => {
+    const result = await init({brand:'#0a6e4f', title:'Demo & Co'}); // fresh directory
+    assert.deepStrictEqual(result.files, ['variables.css', 'qore.css', 'index.html', 'package.json']); // every file reported
+    assert.match(read('variables.css'), /--color-dominant: #0a6e4f;/); // brand seeded
+    assert.strictEqual(read('qore.css'), fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8')); // build input copied verbatim
+    const html = read('index.html'); // starter page
+    assert.ok(html.includes('<title>Demo &amp; Co</title>')); // escaped title
+    const links = [...html.matchAll(/<link rel="stylesheet" href="([^"]+)"/g)].map(m => m[1]); // stylesheet order
+    assert.deepStrictEqual(links, ['variables.css', 'qore.css', 'https://cdn.jsdelivr.net/gh/iconscout/unicons@release/css/line.css']); // tokens before core, local core for updateHtml to rewrite
+    assert.deepStrictEqual(checkSource(html, parseClasses(read('qore.css'))), []); // only real qoreCSS classes
+    const pkg = JSON.parse(read('package.json')); // created manifest
+    assert.deepStrictEqual(pkg.scripts, {build:'qorecss build', 'update-html':'qorecss update-html'}); // bin backed scripts
+    assert.ok(pkg.devDependencies.qorecss.startsWith('^')); // installs the bin
+  });
+
+  it('produces a page updateHtml points at the local hashed build', async () => {
+    await init({}); // starter files
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), 'abcdef12'); // legacy build output
+    fs.writeFileSync(path.join(tmpDir, 'build.integrity'), 'sha384-abc'); // SRI digest for the core file
+    assert.strictEqual(await require('../scripts/updateHtml')(), 'abcdef12'); // page rewritten
+    const links = [...read('index.html').matchAll(/<link rel="stylesheet" href="[^"]+"[^>]*>/g)].map(m => m[0]); // rewritten link tags
+    assert.deepStrictEqual(links, ['<link rel="stylesheet" href="variables.css">', '<link rel="stylesheet" href="core.abcdef12.min.css" integrity="sha384-abc" crossorigin="anonymous">', '<link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/iconscout/unicons@release/css/line.css">']); // project build served next to the page, SRI on the core link only
+  });
+
+  it('merges scripts into an existing package.json', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({name:'site', scripts:{test:'node t.js', build:'qorecss build'}, dependencies:{qorecss:'1.0.0'}})); // existing project
+    await init({}); // no brand keeps the stock palette
+    const pkg = JSON.parse(read('package.json')); // merged manifest
+    assert.deepStrictEqual(pkg.scripts, {test:'node t.js', build:'qorecss build', 'update-html':'qorecss update-html'}); // existing scripts kept
+    assert.strictEqual(pkg.devDependencies, undefined); // dependency already declared
+    assert.ok(read('index.html').includes('<title>site</title>')); // package name as title
+    assert.strictEqual(read('variables.css'), fs.readFileSync(path.resolve(__dirname, '../variables.css'), 'utf8')); // stock tokens
+  });
+
+  it('refuses existing files and scripts without force and writes nothing', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), 'mine'); // existing page
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({scripts:{build:'make'}})); // different build script
+    assert.strictEqual(await init({}), 1); // refused
+    assert.deepStrictEqual(fs.readdirSync(tmpDir).sort(), ['index.html', 'package.json']); // nothing added
+    const result = await init({force:true}); // explicit overwrite
+    assert.deepStrictEqual(result.overwritten, ['index.html', 'package.json script "build"']); // conflicts reported
+    assert.strictEqual(JSON.parse(read('package.json')).scripts.build, 'qorecss build'); // script replaced
+  });
+
+  it('exits 2 for a bad brand and 1 when refusing through the bin', async () => {
+    const original = console.error; // silences usage output
+    console.error = () => {}; // usage text is not under test
+    try {
+      assert.strictEqual(await main(['init', '--brand', 'teal']), EXIT_USAGE); // invalid color
+      fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // existing stylesheet
+      assert.strictEqual(await main(['init', '-q']), EXIT_FAILED); // refused without --force
+    } finally { console.error = original; } // restores console
+    assert.strictEqual(read('qore.css'), 'body{}'); // untouched
+  });
+});
@@ -0,0 +1,133 @@
+/*
+ * LEVELED LOGGER TESTING - lib/log.js
+ *
+ * PURPOSE AND RATIONALE:
+ * index.js, lib/ and scripts/ route their trace and error output through
+ * lib/log.js so consumers control it with QORECSS_LOG_LEVEL, data-qorecss-debug
+ * and setLevel(). Tests cover level precedence, the quiet default, the text and
+ * JSON formats, and the browser attribute lookup.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const {describe, it, afterEach, mock} = require('node:test'); // Node.js native test framework components
+let JSDOM; // will hold jsdom constructor when available for DOM simulation
+try { ({JSDOM} = require('jsdom')); } catch { JSDOM = null; } // fallback when jsdom missing to prevent import errors
+
+function freshLog(){ // loads lib/log.js without cached override or attribute state
+ delete require.cache[require.resolve('../lib/log')]; // drops previous module instance
+ return require('../lib/log'); // new instance for the test
+}
+
+afterEach(() => {
+ delete process.env.QORECSS_LOG_LEVEL; // restores default level
+ delete process.env.QORECSS_LOG_FORMAT; // restores text format
+ delete global.document; // removes any simulated document
+ mock.restoreAll(); // restores console methods
+});
+
+describe('log levels', {concurrency:false}, () => {
+ it('defaults to warn so debug and info are hidden', () => {
+  const log = freshLog(); // module under test
+  const debug = mock.method(console, 'debug', () => {}); // captures trace output
+  const warn = mock.method(console, 'warn', () => {}); // captures warnings
+  log.debug('trace'); // below default level
+  log.info('progress'); // below default level
+  log.warn('careful'); // at default level
+  assert.strictEqual(log.getLevel(), 'warn'); // documented default
+  assert.strictEqual(debug.mock.callCount(), 0); // trace suppressed
+  assert.deepStrictEqual(warn.mock.calls[0].arguments, ['[qorecss] careful']); // prefixed text line
+ });
+
+ it('reads QORECSS_LOG_LEVEL on every call', () => {
+  const log = freshLog(); // module under test
+  const debug = mock.method(console, 'debug', () => {}); // captures trace output
+  process.env.QORECSS_LOG_LEVEL = 'DEBUG'; // case-insensitive value
+  log.debug('trace', {a: 1}); // now enabled
+  assert.deepStrictEqual(debug.mock.calls[0].arguments, ['[qorecss] trace', {a: 1}]); // data passed through
+  process.env.QORECSS_LOG_LEVEL = 'silent'; // mutes everything
+  assert.strictEqual(log.enabled('error'), false); // errors muted as well
+ });
+
+ it('ignores unknown env values', () => {
+  const log = freshLog(); // module under test
+  process.env.QORECSS_LOG_LEVEL = 'verbose'; // not a level name
+  assert.strictEqual(log.getLevel(), 'warn'); // falls back to the default
+ });
+
+ it('lets setLevel override the environment until cleared', () => {
+  const log = freshLog(); // module under test
+  process.env.QORECSS_LOG_LEVEL = 'debug'; // env asks for full trace
+  assert.strictEqual(log.setLevel('error'), 'error'); // programmatic override
+  assert.strictEqual(log.enabled('warn'), false); // override wins over env
+  assert.strictEqual(log.setLevel(null), 'debug'); // clearing hands control back to env
+  assert.throws(() => log.setLevel('loud'), /Unknown log level loud/); // typos are reported
+ });
+});
+
+describe('log formats', {concurrency:false}, () => {
+ it('writes one JSON object per line when QORECSS_LOG_FORMAT=json', () => {
+  const log = freshLog(); // module under test
+  const error = mock.method(console, 'error', () => {}); // captures error output
+  process.env.QORECSS_LOG_FORMAT = 'json'; // structured output
+  log.error('build failed', new Error('boom')); // Error data is reduced to its message
+  const record = JSON.parse(error.mock.calls[0].arguments[0]); // single serialised argument
+  assert.strictEqual(record.level, 'error'); // level field
+  assert.strictEqual(record.name, 'qorecss'); // source field
+  assert.strictEqual(record.msg, 'build failed'); // message field
+  assert.strictEqual(record.data.message, 'boom'); // error message preserved
+  assert.ok(!Number.isNaN(Date.parse(record.time))); // ISO timestamp
+ });
+});
+
+describe('log streams', {concurrency:false}, () => {
+ it('sends every level to stderr after setStream and restores it', () => {
+  const log = freshLog(); // module under test
+  const debug = mock.method(console, 'debug', () => {}); // stdout in Node
+  const error = mock.method(console, 'error', () => {}); // stderr in Node
+  process.env.QORECSS_LOG_LEVEL = 'debug'; // full trace
+  assert.strictEqual(log.setStream('stderr'), 'stderr'); // CLI --json setting
+  log.debug('trace'); // routed to stderr
+  assert.strictEqual(debug.mock.callCount(), 0); // stdout untouched
+  assert.deepStrictEqual(error.mock.calls[0].arguments, ['[qorecss] trace']); // same text record
+  assert.strictEqual(log.setStream(null), null); // per-level methods again
+  log.debug('trace'); // back on console.debug
+  assert.strictEqual(debug.mock.callCount(), 1); // restored
+  assert.throws(() => log.setStream('stdout'), /Unknown log stream stdout/); // only stderr can be selected
+ });
+});
+
+describe('browser attributes', {concurrency:false}, () => {
+ if(!JSDOM){ it('skips when jsdom missing', () => { assert.ok(true); }); return; }
+ it('enables debug for a bare data-qorecss-debug attribute', () => {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head><script data-qorecss-debug></script></head><body></body></html>`); // flag on the loading script
+  global.document = dom.window.document; // exposes document to lib/log.js
+  assert.strictEqual(freshLog().getLevel(), 'debug'); // bare flag means full trace
+  dom.window.close(); // frees jsdom resources
+ });
+
+ it('accepts a level name and the json format attribute', () => {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head><script data-qorecss-debug="info" data-qorecss-log-format="json"></script></head><body></body></html>`); // explicit level and format
+  global.document = dom.window.document; // exposes document to lib/log.js
+  const log = freshLog(); // module under test
+  const info = mock.method(console, 'info', () => {}); // captures info output
+  log.info('loaded'); // enabled at info
+  log.debug('trace'); // still hidden
+  assert.strictEqual(JSON.parse(info.mock.calls[0].arguments[0]).msg, 'loaded'); // json line from attribute
+  dom.window.close(); // frees jsdom resources
+ });
+
+ it('stops querying for a missing attribute once the document is parsed', async () => {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head><script></script></head><body></body></html>`); // no debug attribute
+  global.document = dom.window.document; // exposes document to lib/log.js
+  const log = freshLog(); // module under test
+  const query = mock.method(dom.window.document, 'querySelector'); // counts attribute lookups
+  log.debug('a'); log.debug('b'); // still parsing, the loading script may come later
+  assert.strictEqual(query.mock.callCount(), 2); // looked up on every call
+  await new Promise(resolve => dom.window.addEventListener('load', resolve)); // readyState leaves loading
+  log.debug('c'); log.debug('d'); // disabled trace on a parsed document
+  assert.strictEqual(query.mock.callCount(), 3); // negative answer cached after the next lookup
+  assert.strictEqual(log.getLevel(), 'warn'); // default level kept
+  dom.window.close(); // frees jsdom resources
+ });
+});
@@ -2,8 +2,9 @@
  * LOGGER UTILITY TESTING - DEPENDENCY FALLBACK VALIDATION
  *
  * PURPOSE AND RATIONALE:
- * Validates that scripts/utils/logger correctly prefers the qerrors module
- * when present but falls back to console.error when qerrors is unavailable.
+ * Validates that scripts/utils/logger always writes through the shared
+ * lib/log.js logger, calls the qerrors module as a side-channel when present,
+ * and that the silent level mutes both.
  * Reliable logging is critical for debugging across all environments.
  */
 
@@ -18,13 +19,14 @@ const {mock} = require('node:test'); // mocking utilities for spying
  *
  * TESTING SCOPE:
  * Temporarily overrides Module.prototype.require so that requiring 'qerrors'
- * returns a custom stub. The logger module should export this stub when
+ * returns a custom stub. The logger module should delegate to this stub when
  * available, demonstrating dependency injection capability.
  */
 describe('logger uses qerrors when available', {concurrency:false}, () => {
-  it('exports the stubbed qerrors function', () => {
+  it('writes through lib/log.js and forwards to the stubbed qerrors function', () => {
     const orig = Module.prototype.require; // preserve existing require behavior
-    const stub = () => {}; // custom qerrors stub function for test
+    const calls = []; // arguments received by the stub
+    const stub = (...args) => { calls.push(args); }; // custom qerrors stub function for test
     Module.prototype.require = function(id){ // override require during module load
       if(id==='qerrors') return stub; // returns stub when qerrors requested
       return orig.call(this,id); // otherwise defer to original require
@@ -32,7 +34,25 @@ describe('logger uses qerrors when available', {concurrency:false}, () => {
     delete require.cache[require.resolve('../scripts/utils/logger')]; // clear cache for fresh load
     const logger = require('../scripts/utils/logger'); // load logger with stubbed dependency
     Module.prototype.require = orig; // restore require to avoid test interference
-    assert.strictEqual(logger, stub); // verify export matches provided stub
+    const spy = mock.method(console, 'error', ()=>{}); // leveled output lands on console.error
+    try { logger('boom','msg','ctxVal'); } finally { spy.mock.restore(); } // invoke wrapper which should also forward to qerrors
+    assert.deepStrictEqual(spy.mock.calls.map(c => c.arguments), [['[qorecss] msg', {error:'boom', context:'ctxVal'}]]); // same record as without qerrors
+    assert.deepStrictEqual(calls, [['boom','msg','ctxVal']]); // verify stub received original arguments
+  });
+
+  it('skips qerrors when QORECSS_LOG_LEVEL is silent', () => {
+    const orig = Module.prototype.require; // preserve existing require behavior
+    let count = 0; // stub invocation counter
+    Module.prototype.require = function(id){ // override require during module load
+      if(id==='qerrors') return () => { count++; }; // counting stub
+      return orig.call(this,id); // otherwise defer to original require
+    };
+    delete require.cache[require.resolve('../scripts/utils/logger')]; // clear cache for fresh load
+    const logger = require('../scripts/utils/logger'); // load logger with stubbed dependency
+    Module.prototype.require = orig; // restore require to avoid test interference
+    process.env.QORECSS_LOG_LEVEL = 'silent'; // mute every level
+    try { logger('boom','msg','ctxVal'); } finally { delete process.env.QORECSS_LOG_LEVEL; } // restore default level
+    assert.strictEqual(count, 0); // silent level never reaches qerrors
   });
 });
 
@@ -41,10 +61,11 @@ describe('logger uses qerrors when available', {concurrency:false}, () => {
  *
  * TESTING SCOPE:
  * Simulates absence of the qerrors module by throwing MODULE_NOT_FOUND when
- * qerrors is required. The logger should then fall back to console.error.
+ * qerrors is required. The logger should then fall back to lib/log.js, which
+ * writes errors through console.error.
  */
 describe('logger falls back without qerrors', {concurrency:false}, () => {
-  it('logs via console.error when qerrors is missing', () => {
+  it('logs via the shared logger when qerrors is missing', () => {
     const orig = Module.prototype.require; // preserve current require behavior
     Module.prototype.require = function(id){ // override to simulate missing module
       if(id==='qerrors'){ // when logger tries to require qerrors
@@ -60,7 +81,7 @@ describe('logger falls back without qerrors', {concurrency:false}, () => {
     const spy = mock.method(console, 'error', ()=>{}); // spy on console.error calls
     logger('boom','msg','ctxVal'); // invoke logger to trigger console.error with context
     assert.strictEqual(spy.mock.callCount(),1); // ensure console.error was called once
-    assert.strictEqual(spy.mock.calls[0].arguments[0],'boom'); // validate error argument passed
-    assert.strictEqual(spy.mock.calls[0].arguments[2],'ctxVal'); // validate context argument passed
+    assert.strictEqual(spy.mock.calls[0].arguments[0],'[qorecss] msg'); // message carries the qorecss prefix
+    assert.deepStrictEqual(spy.mock.calls[0].arguments[1],{error:'boom',context:'ctxVal'}); // error and context passed as data
   });
 });
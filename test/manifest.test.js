@@ -0,0 +1,69 @@
+/*
+ * BUILD MANIFEST TESTING - lib/manifest.js
+ *
+ * PURPOSE AND RATIONALE:
+ * Every consumer of the build reads file names through readManifest(), so
+ * the tests cover the record fileEntry() writes, the fallback to build.hash
+ * for older builds and the errors for missing or malformed manifests.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const crypto = require('node:crypto'); // expected digests
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const {fileEntry, readManifest, emittedFiles} = require('../lib/manifest'); // helpers under test
+
+let tmpDir; // temporary project directory
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifesttest-')); // isolated project
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, {recursive:true, force:true}); // removes temporary files
+});
+
+describe('manifest entries', {concurrency:false}, () => {
+  it('records sizes, digest and source hash of a file', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'a.css'), 'body{color:red}'); // emitted file
+    fs.writeFileSync(path.join(tmpDir, 'a.css.gz'), 'xx'); // pretend gzip variant
+    fs.writeFileSync(path.join(tmpDir, 'src.css'), 'body { color: red; }'); // source
+    const entry = await fileEntry('a.css', {cwd: tmpDir, sources: ['src.css'], compressed: {gzip: 'a.css.gz', brotli: 'a.css.br'}}); // brotli variant missing
+    assert.strictEqual(entry.file, 'a.css'); // name as given
+    assert.strictEqual(entry.size.raw, 15); // byte length
+    assert.strictEqual(entry.size.gzip, 2); // emitted variant size wins
+    assert.ok(entry.size.brotli > 0); // measured when no variant exists
+    assert.deepStrictEqual(entry.compressed, {gzip: 'a.css.gz'}); // only existing variants listed
+    assert.strictEqual(entry.integrity, `sha384-${crypto.createHash('sha384').update('body{color:red}').digest('base64')}`); // SRI digest of the bytes
+    assert.strictEqual(entry.sourceHash, crypto.createHash('sha1').update('body { color: red; }').digest('hex')); // full source sha1
+  });
+
+  it('lists hashed files and their variants', () => {
+    const manifest = {files: {'core.min.css': {file: 'core.1.min.css', compressed: {gzip: 'core.1.min.css.gz'}}, 'variables.css': {file: 'variables.2.css'}}}; // two outputs
+    assert.deepStrictEqual(emittedFiles(manifest), ['core.1.min.css', 'core.1.min.css.gz', 'variables.2.css']); // deploy list
+  });
+});
+
+describe('manifest reading', {concurrency:false}, () => {
+  it('falls back to build.hash and build.integrity', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.hash'), '12345678\n'); // older build
+    fs.writeFileSync(path.join(tmpDir, 'build.integrity'), 'sha384-abc'); // older digest
+    const manifest = await readManifest(tmpDir); // rebuilt subset
+    assert.strictEqual(manifest.legacy, true); // marked as rebuilt
+    assert.deepStrictEqual(manifest.files['core.min.css'], {file: 'core.12345678.min.css', integrity: 'sha384-abc'}); // name and digest
+  });
+
+  it('rejects with the build.hash ENOENT when nothing was built', async () => {
+    await assert.rejects(readManifest(tmpDir), err => err.code === 'ENOENT' && path.basename(err.path) === 'build.hash'); // callers detect a missing build
+  });
+
+  it('names the manifest in parse and shape errors', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'qore-manifest.json'), '{'); // truncated file
+    await assert.rejects(readManifest(tmpDir), /qore-manifest\.json is not valid JSON/); // clear parse error
+    fs.writeFileSync(path.join(tmpDir, 'qore-manifest.json'), '{"files":{}}'); // no core entry
+    await assert.rejects(readManifest(tmpDir), /qore-manifest\.json has no core\.min\.css entry/); // clear shape error
+  });
+});
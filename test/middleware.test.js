@@ -0,0 +1,133 @@
+/*
+ * ASSET MIDDLEWARE TESTING - SELF-HOSTED DELIVERY RULES
+ *
+ * PURPOSE AND RATIONALE:
+ * The middleware replaces the nginx snippet for Node services, so tests check
+ * the same guarantees: precompressed variants chosen from Accept-Encoding,
+ * immutable caching only for hashed files, ETag/Last-Modified validators with
+ * 304 responses, and fall-through for anything that is not a qoreCSS asset.
+ * A real http server is used so headers are observed exactly as clients see them.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for fixture setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const http = require('node:http'); // real server so headers match what clients receive
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const qorecss = require('../index.js'); // public entry exposing middleware()
+const {acceptedEncodings} = require('../lib/middleware'); // negotiation helper tested directly
+
+let tmpDir; // fixture asset root
+let server; // http server wrapping the middleware
+
+/*
+ * REQUEST HELPER
+ * Rationale: http.request keeps compressed bodies undecoded so the test can
+ * compare them with the fixture file bytes.
+ */
+function request(urlPath, headers = {}, method = 'GET'){ // sends one request to the test server
+  return new Promise((resolve, reject) => {
+    const req = http.request({port: server.address().port, path: urlPath, method, headers}, res => {
+      const chunks = []; // raw body chunks
+      res.on('data', c => chunks.push(c)); // collects body
+      res.on('end', () => resolve({status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString()})); // response summary
+    });
+    req.on('error', reject); // surfaces connection failures
+    req.end(); // no request body
+  });
+}
+
+beforeEach(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mwtest-')); // isolated asset root
+  fs.writeFileSync(path.join(tmpDir, 'qore.css'), 'body{}'); // plain source stylesheet
+  fs.writeFileSync(path.join(tmpDir, 'core.12345678.min.css'), 'min'); // hashed build output
+  fs.writeFileSync(path.join(tmpDir, 'core.12345678.min.css.br'), 'brotli'); // precompressed brotli variant
+  fs.writeFileSync(path.join(tmpDir, 'core.12345678.min.css.gz'), 'gzip'); // precompressed gzip variant
+  fs.writeFileSync(path.join(tmpDir, 'secret.txt'), 'nope'); // non-asset file that must never be served
+  const handler = qorecss.middleware({root: tmpDir}); // middleware under test
+  server = http.createServer((req, res) => handler(req, res, err => { res.statusCode = err ? 500 : 404; res.end('next'); })); // next() marks fall-through
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve)); // random free port
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve)); // releases port
+  fs.rmSync(tmpDir, {recursive: true, force: true}); // removes fixtures
+});
+
+describe('asset middleware', {concurrency:false}, () => {
+  it('serves hashed files with immutable caching and brotli when accepted', async () => {
+    const res = await request('/core.12345678.min.css', {'accept-encoding': 'gzip, br'}); // client supports both
+    assert.strictEqual(res.status, 200); // served
+    assert.strictEqual(res.body, 'brotli'); // brotli preferred
+    assert.strictEqual(res.headers['content-encoding'], 'br'); // encoding declared
+    assert.strictEqual(res.headers['cache-control'], 'public, max-age=31536000, immutable'); // nginx snippet cache policy
+    assert.strictEqual(res.headers['vary'], 'Accept-Encoding'); // caches key on encoding
+    assert.strictEqual(res.headers['content-type'], 'text/css; charset=utf-8'); // stylesheet type
+  });
+
+  it('falls back to gzip and identity based on Accept-Encoding', async () => {
+    const gz = await request('/core.12345678.min.css', {'accept-encoding': 'gzip, br;q=0'}); // brotli refused
+    assert.strictEqual(gz.headers['content-encoding'], 'gzip'); // gzip chosen
+    assert.strictEqual(gz.body, 'gzip'); // gzip bytes sent
+    const plain = await request('/core.12345678.min.css'); // no encodings offered
+    assert.strictEqual(plain.headers['content-encoding'], undefined); // identity response
+    assert.strictEqual(plain.body, 'min'); // original bytes
+  });
+
+  it('treats hashed variables copies as immutable', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'variables.abcdef12.css'), ':root{}'); // build.js hashed variables copy
+    const res = await request('/variables.abcdef12.css'); // request hashed tokens
+    assert.strictEqual(res.body, ':root{}'); // served
+    assert.strictEqual(res.headers['cache-control'], 'public, max-age=31536000, immutable'); // cached like core.<hash>
+  });
+
+  it('uses no-cache for unhashed stylesheets', async () => {
+    const res = await request('/qore.css?v=1'); // query strings ignored
+    assert.strictEqual(res.body, 'body{}'); // source served
+    assert.strictEqual(res.headers['cache-control'], 'no-cache'); // must revalidate
+    assert.ok(res.headers['last-modified']); // date validator present
+  });
+
+  it('answers 304 for matching ETag and If-Modified-Since', async () => {
+    const first = await request('/core.12345678.min.css'); // primes validators
+    const byTag = await request('/core.12345678.min.css', {'if-none-match': first.headers.etag}); // ETag revalidation
+    assert.strictEqual(byTag.status, 304); // not modified
+    assert.strictEqual(byTag.body, ''); // no body
+    const byDate = await request('/core.12345678.min.css', {'if-modified-since': first.headers['last-modified']}); // date revalidation
+    assert.strictEqual(byDate.status, 304); // not modified
+    const stale = await request('/core.12345678.min.css', {'if-none-match': '"other"'}); // mismatched tag
+    assert.strictEqual(stale.status, 200); // full response
+  });
+
+  it('gives each encoding its own ETag', async () => {
+    const br = await request('/core.12345678.min.css', {'accept-encoding': 'br'}); // brotli variant
+    const plain = await request('/core.12345678.min.css'); // identity variant
+    assert.notStrictEqual(br.headers.etag, plain.headers.etag); // validators differ per variant
+  });
+
+  it('sends headers without body for HEAD', async () => {
+    const res = await request('/qore.css', {}, 'HEAD'); // header-only request
+    assert.strictEqual(res.status, 200); // success
+    assert.strictEqual(res.headers['content-length'], '6'); // size of qore.css fixture
+    assert.strictEqual(res.body, ''); // no body
+  });
+
+  it('passes unknown, missing and non-GET requests to next', async () => {
+    assert.strictEqual((await request('/secret.txt')).body, 'next'); // not an asset name
+    assert.strictEqual((await request('/../secret.txt')).body, 'next'); // traversal attempt
+    assert.strictEqual((await request('/core.87654321.min.css')).body, 'next'); // stale hash not on disk
+    assert.strictEqual((await request('/variables.css')).body, 'next'); // allowed name but absent from root
+    assert.strictEqual((await request('/qore.css', {}, 'POST')).body, 'next'); // unsupported method
+  });
+});
+
+describe('acceptedEncodings', {concurrency:false}, () => {
+  it('honors q-values and wildcards', () => {
+    assert.deepStrictEqual(acceptedEncodings('gzip').map(e => e.name), ['gzip']); // single encoding
+    assert.deepStrictEqual(acceptedEncodings('*').map(e => e.name), ['br', 'gzip']); // wildcard accepts both
+    assert.deepStrictEqual(acceptedEncodings('*, br;q=0').map(e => e.name), ['gzip']); // explicit refusal beats wildcard
+    assert.deepStrictEqual(acceptedEncodings(undefined), []); // no header means identity
+  });
+});
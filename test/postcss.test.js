@@ -0,0 +1,72 @@
+/*
+ * POSTCSS PLUGIN TESTING - qorecss/postcss
+ *
+ * PURPOSE AND RATIONALE:
+ * Projects inline qoreCSS into their own PostCSS pipeline with build-time
+ * token overrides instead of rebranding at runtime. Tests run the plugin
+ * through the real postcss runner against a small package copy so placement,
+ * overrides and name validation are checked on actual output.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, beforeEach, afterEach} = require('node:test'); // Node.js native test framework components
+const postcss = require('postcss'); // runner the plugin is written for
+const qorecss = require('../lib/postcss'); // plugin under test
+
+let root; // temporary package directory
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'postcss-')); // isolated package copy
+  fs.writeFileSync(path.join(root, 'qore.css'), '.btn{color:var(--color-dominant)}'); // core rules
+  fs.writeFileSync(path.join(root, 'variables.css'), ':root{--color-dominant:#8b4c42;--bg-btn:var(--color-dominant);}'); // tokens
+  fs.writeFileSync(path.join(root, 'variables.light.css'), ':root{--bg-btn:#fff}'); // light tokens
+});
+
+afterEach(() => {
+  fs.rmSync(root, {recursive:true, force:true}); // removes temporary package
+});
+
+const run = (css, opts) => postcss([qorecss({root, ...opts})]).process(css, {from: 'app.css'}).then(r => r.css.replace(/\s+/g, '')); // whitespace-free output for comparison
+
+describe('qorecss/postcss', {concurrency:false}, () => {
+  it('is a PostCSS 8 plugin creator', () => {
+    assert.strictEqual(qorecss.postcss, true); // flag postcss checks
+    assert.strictEqual(require('../package.json').exports['./postcss'], './lib/postcss.js'); // qorecss/postcss subpath
+  });
+
+  it('replaces @import "qorecss" with themed tokens and core rules', async () => {
+    const out = await run('@charset "utf-8";.app{margin:0}@import "qorecss";', {tokens: {'--color-dominant': '#0a0'}}); // marker after project rules
+    assert.strictEqual(out, '@charset"utf-8";.app{margin:0}:root{--color-dominant:#0a0;--bg-btn:var(--color-dominant);}.btn{color:var(--color-dominant)}'); // inlined in place with override
+  });
+
+  it('leaves files without a marker alone by default', async () => {
+    assert.strictEqual(await run('.module{margin:0}'), '.module{margin:0}'); // other files of a multi-file pipeline
+  });
+
+  it('prepends after @charset without a marker when prepend is set', async () => {
+    const out = await run('@charset "utf-8";.app{margin:0}', {prepend: true}); // single-entry pipeline
+    assert.ok(out.startsWith('@charset"utf-8";:root{--color-dominant:#8b4c42')); // charset stays first
+    assert.ok(out.endsWith('.app{margin:0}')); // project rules keep priority
+  });
+
+  it('appends an override rule when variables.css is not included', async () => {
+    const out = await run('@import url(qorecss);', {include: ['qore.css'], tokens: {'bg-btn': '#123'}}); // url() marker, dashes optional
+    assert.strictEqual(out, '.btn{color:var(--color-dominant)}:root{--bg-btn:#123}'); // core then overrides
+  });
+
+  it('inlines the light tokens in cascade order', async () => {
+    const out = await run('@import "qorecss";', {include: ['qore.css', 'variables.light.css', 'variables.css']}); // unordered include list
+    assert.ok(out.indexOf('--bg-btn:#fff') > out.indexOf('--color-dominant:#8b4c42') && out.indexOf('--bg-btn:#fff') < out.indexOf('.btn')); // variables, light, core
+    assert.ok(out.includes('@media(prefers-color-scheme:light){:root:not([data-theme="dark"]){--bg-btn:#fff}}:root[data-theme="light"]{--bg-btn:#fff}')); // scoped like the build, never a bare :root
+    assert.ok(!out.includes(':root{--bg-btn:#fff}')); // dark visitors keep the dark tokens
+  });
+
+  it('rejects unknown tokens and files when created', () => {
+    assert.throws(() => qorecss({root, tokens: {'--colour-dominant': 'red'}}), /Unknown qorecss tokens: --colour-dominant/); // typo fails the config load
+    assert.throws(() => qorecss({root, include: ['core.css']}), /cannot include core\.css/); // files the package does not ship
+  });
+});
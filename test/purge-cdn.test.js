@@ -178,4 +178,29 @@ describe('run uses hash', {concurrency:false}, () => {
     assert.strictEqual(code, 202); // confirms purge request returns expected status code
     assert.ok(calledUrl.includes('core.12345678.min.css')); // validates correct hashed filename construction
   });
-});
\ No newline at end of file
+});
+/*
+ * FORK REPOSITORY TESTING
+ *
+ * TESTING SCOPE:
+ * Forks publish under their own GitHub path, so cdn.repo in qore.config must
+ * reach the purge URL instead of the hard coded Bijikyu/qoreCSS.
+ */
+describe('purgeCdn uses qore.config', {concurrency:false}, () => {
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purge-')); // project with its own config
+    fs.writeFileSync(path.join(tmpDir, 'qore.config.json'), JSON.stringify({cdn:{repo:'acme/brandCSS@v2'}})); // fork repository path
+    process.chdir(tmpDir); // config is read from the working directory
+    calledUrl = ''; // initializes URL tracking for validation
+    load({fetchRetry: async (url) => { calledUrl = url; return {status:200}; }}); // captures the purge URL
+  });
+  afterEach(() => {
+    process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+    fs.rmSync(tmpDir, {recursive:true, force:true}); // removes temporary directory and contents
+  });
+
+  it('purges the configured repository path', async () => {
+    await purgeCdn('core.abcdef12.min.css'); // online purge
+    assert.strictEqual(calledUrl, 'https://purge.jsdelivr.net/gh/acme/brandCSS@v2/core.abcdef12.min.css'); // fork path in the URL
+  });
+});
@@ -0,0 +1,138 @@
+/*
+ * UNUSED CSS PURGE TESTING - lib/purge.js, purgeCss CLI AND BUILD STEP
+ *
+ * PURPOSE AND RATIONALE:
+ * A purge that drops a rule still in use breaks a page silently, so tests pin
+ * down what always survives (element selectors, :root, safelisted names,
+ * @keyframes) as well as what goes. The CLI and the PURGE_CONTENT build step
+ * are run in temporary directories like the tokens and build tests.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, afterEach} = require('node:test'); // Node.js native test framework components
+const {expandContent, extractCandidates, purgeCss, sizeReport, formatReport} = require('../lib/purge'); // helpers under test
+const purge = require('../scripts/purgeCss'); // CLI function under test
+
+let tmpDir; // temporary project directory
+
+function project(files){ // writes files into a fresh temporary directory
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'purgetest-')); // unique directory per test
+  Object.keys(files).forEach(f => { fs.mkdirSync(path.dirname(path.join(tmpDir, f)), {recursive:true}); fs.writeFileSync(path.join(tmpDir, f), files[f]); }); // nested paths allowed
+  return tmpDir; // project root
+}
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  delete process.env.PURGE_CONTENT; // build step disabled again
+  delete process.env.PURGE_SAFELIST; // no safelist leaks into other tests
+  delete process.env.CODEX; // offline flag only for the build test
+  if(tmpDir){ fs.rmSync(tmpDir, {recursive:true, force:true}); tmpDir = undefined; } // removes temporary files
+});
+
+describe('purge candidates and content', {concurrency:false}, () => {
+  it('extracts class names from html, jsx and template strings', () => {
+    const set = extractCandidates(`<div class="row center"><p id="lead">`); // plain markup
+    extractCandidates(`<a className={\`card \${dark ? 'dark' : ''}\`} />`, set); // JSX template literal
+    ['row', 'center', 'lead', 'card', 'dark'].forEach(n => assert.ok(set.has(n), n)); // every name found
+  });
+
+  it('expands globs with braces, ** and exclusions', () => {
+    const dir = project({'index.html':'', 'src/a.jsx':'', 'src/deep/b.hbs':'', 'src/c.js':'', 'node_modules/x/d.html':''}); // mixed content tree
+    const rel = files => files.map(f => path.relative(dir, f).replace(/\\/g, '/')); // comparable paths
+    assert.deepStrictEqual(rel(expandContent('*.html,src/**/*.{jsx,hbs}', dir)), ['index.html', 'src/a.jsx', 'src/deep/b.hbs']); // braces survive comma splitting
+    assert.deepStrictEqual(rel(expandContent(['**/*.html'], dir)), ['index.html']); // node_modules never scanned
+    assert.deepStrictEqual(rel(expandContent(['src/**', '!src/deep/**'], dir)), ['src/a.jsx', 'src/c.js']); // negated pattern excludes
+  });
+});
+
+describe('purgeCss', {concurrency:false}, () => {
+  const css = `/* header */\nhtml, body {margin:0}\n:root {--a:1px}\n.row {display:flex}\n/* unused */\n.card {padding:1px}\n.row .card, .row > a {color:red}\ninput[type="text"] {border:0}\na:not(.card) {color:blue}\n#lead {font-size:2em}\n@media (max-width: 10px) {\n  .card {padding:0}\n}\n@media print {\n  .row {display:block}\n}\n@keyframes spin {from {opacity:0} to {opacity:1}}\n.wide20, .wide90 {width:20%}`; // sample covering every rule kind
+
+  it('drops rules whose classes and ids are unused', () => {
+    const result = purgeCss(css, new Set(['row'])); // only .row is used
+    assert.ok(!/\.card \{padding:1px\}/.test(result.css)); // unused class rule gone
+    assert.ok(!result.css.includes('#lead')); // unused id rule gone
+    assert.ok(!result.css.includes('max-width: 10px')); // emptied @media dropped
+    assert.ok(result.css.includes('@media print {\n  .row {display:block}\n}')); // used @media rule kept
+    assert.ok(result.css.includes('.row > a {color:red}')); // surviving selector of a partial list
+    assert.ok(!result.css.includes('.row .card')); // unused selector of the same list
+    assert.ok(result.removed.includes('.card') && result.removed.includes('#lead')); // removed selectors reported
+  });
+
+  it('keeps element, attribute, :root, :not() and @keyframes rules', () => {
+    const result = purgeCss(css, new Set()); // no content candidates
+    ['html, body {margin:0}', ':root {--a:1px}', 'input[type="text"] {border:0}', 'a:not(.card) {color:blue}', '@keyframes spin {from {opacity:0} to {opacity:1}}'].forEach(r => assert.ok(result.css.includes(r), r)); // always kept
+  });
+
+  it('keeps safelisted names given as strings, wildcards or RegExps', () => {
+    assert.ok(purgeCss(css, new Set(), {safelist: 'wide*'}).css.includes('.wide20, .wide90 {width:20%}')); // wildcard from the CLI
+    assert.ok(purgeCss(css, new Set(), {safelist: ['.card']}).css.includes('.card {padding:1px}')); // leading dot accepted
+    assert.ok(purgeCss(css, new Set(), {safelist: [/^le/]}).css.includes('#lead')); // RegExp entries
+  });
+
+  it('purges the packaged stylesheet into valid css', () => {
+    const source = fs.readFileSync(path.resolve(__dirname, '../qore.css'), 'utf8'); // real framework source
+    const result = purgeCss(source, new Set(['row'])); // nearly everything unused
+    assert.ok(result.removed.length > 100); // most class rules removed
+    assert.ok(result.css.length < source.length * 0.6); // roughly half the text was class rules
+    assert.ok(result.css.includes('.row')); // used class kept
+    assert.strictEqual((result.css.match(/\{/g) || []).length, (result.css.match(/\}/g) || []).length); // braces stay balanced
+  });
+
+  it('reports raw, gzip and brotli savings', () => {
+    const before = '.a{color:red}'.repeat(50); // compressible input
+    const report = sizeReport(before, '.a{color:red}'); // shrunk output
+    assert.strictEqual(report.saved.raw, before.length - 13); // raw difference
+    assert.ok(report.saved.gzip > 0 && report.saved.brotli > 0); // compressed differences
+    assert.ok(/^gzip: \d+ -> \d+ bytes \(saved \d+\)$/m.test(formatReport(report))); // printed line per encoding
+  });
+});
+
+describe('purgeCss script', {concurrency:false}, () => {
+  it('writes the purged copy and returns the report', async () => {
+    const dir = project({'qore.css':'.row{a:b}\n.card{c:d}\n', 'pages/index.html':'<div class="row">'}); // project with its own stylesheet
+    process.chdir(dir); // scripts operate on the working directory
+    const report = await purge({content:'pages/*.html'}); // default output
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'qore.purged.css'), 'utf8'), '.row{a:b}\n'); // unused rule dropped
+    assert.strictEqual(report.files, 1); // one content file scanned
+    assert.strictEqual(report.removed, 1); // .card removed
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'qore.css'), 'utf8'), '.row{a:b}\n.card{c:d}\n'); // source untouched
+  });
+
+  it('returns 1 without content or when globs match nothing', async () => {
+    process.chdir(project({'qore.css':'.row{}'})); // project without content files
+    assert.strictEqual(await purge({}), 1); // missing --content
+    assert.strictEqual(await purge({content:'src/*.html'}), 1); // globs matching nothing
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'qore.purged.css'))); // nothing written
+  });
+
+  it('returns 1 for a missing explicit input', async () => {
+    process.chdir(project({'index.html':'<p>'})); // content without stylesheet
+    assert.strictEqual(await purge({content:'index.html', input:'missing.css'}), 1); // usage error
+  });
+});
+
+describe('build purge step', {concurrency:false}, () => {
+  it('purges core.min.css before hashing when PURGE_CONTENT is set', async () => {
+    const dir = project({'qore.css':'body{margin:0}.row{a:b}.card{c:d}.hid{e:f}', 'index.html':'<div class="row">'}); // project build input
+    process.chdir(dir); // build operates on the working directory
+    process.env.CODEX = 'True'; // copies instead of running postcss
+    process.env.PURGE_CONTENT = 'index.html'; // enables the purge step
+    process.env.PURGE_SAFELIST = 'hid'; // runtime class
+    delete require.cache[require.resolve('../scripts/build')]; // fresh module state
+    const hash = await require('../scripts/build')(); // runs the whole build
+    assert.strictEqual(fs.readFileSync(path.join(dir, `core.${hash}.min.css`), 'utf8'), 'body{margin:0}.row{a:b}.hid{e:f}'); // hashed file is the purged one
+  });
+
+  it('fails when PURGE_CONTENT matches no files', async () => {
+    process.chdir(project({'qore.css':'.row{}'})); // project without content
+    process.env.CODEX = 'True'; // copies instead of running postcss
+    process.env.PURGE_CONTENT = 'src/*.html'; // matches nothing
+    delete require.cache[require.resolve('../scripts/build')]; // fresh module state
+    await assert.rejects(require('../scripts/build')(), /PURGE_CONTENT matches no files/); // refuses to strip everything
+  });
+});
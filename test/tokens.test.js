@@ -0,0 +1,91 @@
+/*
+ * DESIGN TOKEN TESTING - variables.css PARSER AND tokens CLI
+ *
+ * PURPOSE AND RATIONALE:
+ * Documentation and design tooling consume the token records as data, so the
+ * parser must keep names, raw values, resolved var() chains, categories and
+ * descriptions accurate. Tests cover the parser directly, the getTokens helper
+ * on the CommonJS API, and the CLI that writes tokens.json.
+ */
+
+require("./helper"); // loads module stubbing for consistent test environment
+const assert = require('node:assert'); // Node.js built-in assertion library for test validation
+const fs = require('node:fs'); // file system operations for test setup and validation
+const path = require('node:path'); // path utilities for cross-platform file handling
+const os = require('node:os'); // operating system utilities for temporary directory creation
+const {describe, it, afterEach} = require('node:test'); // Node.js native test framework components
+const {parseTokens, resolveValue} = require('../lib/tokens'); // parser under test
+const writeTokens = require('../scripts/tokens'); // CLI function under test
+
+let tmpDir; // temporary directory for CLI runs
+
+afterEach(() => {
+  process.chdir(path.resolve(__dirname, '..')); // restores original working directory
+  if(tmpDir){ fs.rmSync(tmpDir, {recursive:true, force:true}); tmpDir = undefined; } // removes CLI output
+});
+
+describe('token parser', {concurrency:false}, () => {
+  it('parses name, value, category and description', () => {
+    const css = `:root {\n/*\n * BRAND COLOR PALETTE\n */\n  --color-dominant: #8b4c42; /* Primary brand */\n}`; // minimal sectioned token file
+    assert.deepStrictEqual(parseTokens(css), [{name:'--color-dominant', value:'#8b4c42', resolved:'#8b4c42', category:'brand', description:'Primary brand'}]); // full record shape
+  });
+
+  it('resolves var() chains to literal values', () => {
+    const css = `:root{--a:#111;--b:var(--a);--c:1px solid var(--b);}`; // two-level chain inside a shorthand
+    const tokens = parseTokens(css); // parsed records
+    assert.strictEqual(tokens[2].value, '1px solid var(--b)'); // raw value preserved
+    assert.strictEqual(tokens[2].resolved, '1px solid #111'); // chain followed to literal
+  });
+
+  it('leaves cycles and unknown names as var() text', () => {
+    const raw = new Map([['--x','var(--y)'],['--y','var(--x)']]); // mutual reference
+    assert.strictEqual(resolveValue('var(--x)', raw), 'var(--x)'); // cycle stops without throwing
+    assert.strictEqual(resolveValue('var(--missing)', raw), 'var(--missing)'); // unknown left untouched
+    assert.strictEqual(resolveValue('var(--missing, red)', raw), 'red'); // fallback applied for unknown
+  });
+
+  it('defaults category to general without a heading', () => {
+    assert.strictEqual(parseTokens(`:root{--a:1px;}`)[0].category, 'general'); // heading-less token
+  });
+
+  it('ignores declarations outside :root', () => {
+    assert.deepStrictEqual(parseTokens(`html{--a:1px;}`), []); // non-root rules are not tokens
+  });
+});
+
+describe('getTokens', {concurrency:false}, () => {
+  it('returns every token declared in variables.css', () => {
+    const tokens = require('../index.js').getTokens(); // package variables.css
+    const btn = tokens.find(t => t.name === '--bg-btn'); // token defined through var()
+    assert.ok(btn.value.startsWith('var(')); // raw reference kept
+    assert.ok(!btn.resolved.includes('var(')); // resolved to a literal
+    const cats = new Set(tokens.map(t => t.category)); // categories present
+    ['grayscale','brand','borders','glow'].forEach(c => assert.ok(cats.has(c), c)); // section headings mapped
+  });
+});
+
+describe('tokens CLI', {concurrency:false}, () => {
+  it('writes tokens.json from the project variables.css', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenstest-')); // isolated project directory
+    fs.writeFileSync(path.join(tmpDir, 'variables.css'), `:root{--a:#fff; /* White */}`); // project token file
+    process.chdir(tmpDir); // runs CLI in project
+    assert.strictEqual((await writeTokens()).length, 1); // one token written
+    const out = JSON.parse(fs.readFileSync(path.join(tmpDir, 'tokens.json'), 'utf8')); // generated file
+    assert.strictEqual(out[0].description, 'White'); // inline comment carried over
+  });
+
+  it('falls back to the packaged variables.css', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenstest-')); // project without variables.css
+    process.chdir(tmpDir); // runs CLI in project
+    const tokens = await writeTokens('out.json'); // custom output path
+    assert.ok(tokens.length > 20); // package defaults exported
+    assert.ok(fs.existsSync(path.join(tmpDir, 'out.json'))); // written where requested
+  });
+
+  it('returns 1 when an explicit input is missing', async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenstest-')); // empty project
+    process.chdir(tmpDir); // runs CLI in project
+    assert.strictEqual(await writeTokens('tokens.json', 'nope.css'), 1); // missing input signalled
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'tokens.json'))); // nothing written
+  });
+});
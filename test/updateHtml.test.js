@@ -137,6 +137,37 @@ describe('updateHtml', () => {
     assert.strictEqual(hash, '12345678'); // returned hash remains correct
   });
 
+  /*
+   * SUBRESOURCE INTEGRITY VALIDATION
+   *
+   * TEST STRATEGY:
+   * With build.integrity present, every hashed link gains integrity and
+   * crossorigin attributes; stale values from a previous run are replaced.
+   */
+  it('adds integrity and crossorigin to hashed links', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.integrity'), 'sha384-abc123'); // mock digest written by build
+    fs.writeFileSync(path.join(tmpDir, 'index.html'), '<link rel="stylesheet" href="core.aaaaaaaa.min.css" integrity="sha384-old" crossorigin>\n<link href="qore.css" />'); // stale digest plus self-closing tag
+    await updateHtml(); // run update with digest present
+    const updated = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // read result for validation
+    assert.ok(updated.includes('<link rel="stylesheet" href="core.12345678.min.css" integrity="sha384-abc123" crossorigin="anonymous">')); // stale digest replaced
+    assert.ok(updated.includes('<link href="core.12345678.min.css" integrity="sha384-abc123" crossorigin="anonymous" />')); // self-closing tag preserved
+    assert.ok(!updated.includes('sha384-old')); // old digest removed
+  });
+
+  it('leaves links untouched when build.integrity missing', async () => {
+    await updateHtml(); // run update without digest file
+    const updated = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // read result for validation
+    assert.ok(!updated.includes('integrity=')); // no SRI attributes without digest
+  });
+
+  it('prefers the file name and digest from qore-manifest.json', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'build.integrity'), 'sha384-legacy'); // older artifact left behind
+    fs.writeFileSync(path.join(tmpDir, 'qore-manifest.json'), JSON.stringify({hash:'87654321', files:{'core.min.css':{file:'core.87654321.min.css', integrity:'sha384-new'}}})); // manifest from a newer build
+    assert.strictEqual(await updateHtml(), '87654321'); // manifest hash returned
+    const updated = fs.readFileSync(path.join(tmpDir, 'index.html'), 'utf8'); // read result for validation
+    assert.ok(updated.includes('<link href="core.87654321.min.css" integrity="sha384-new" crossorigin="anonymous">')); // manifest name and digest used
+  });
+
   it('writes file using utf8 encoding', async () => {
     let encOpt; // stores provided encoding option for assertion
     const origWrite = fs.promises.writeFile; // save original function for later restoration